@@ -11,11 +11,11 @@
 
 import {
   mountWithApolloClient,
-  parentPropsForContainer,
-  waitForChildComponentRenderTask
+  parentPropsForContainer
 } from './componentTestHelpers.js';
 import {e} from '@rescapes/helpers-component';
 import PropTypes from 'prop-types';
+import {adopt} from 'react-adopt';
 import {v} from '@rescapes/validate';
 import T from 'folktale/concurrency/task';
 
@@ -24,7 +24,6 @@ import {
   defaultNode,
   defaultRunConfig,
   filterWithKeys,
-  mapObjToValues,
   mapToMergedResponseAndInputs,
   mapToNamedResponseAndInputs,
   omitDeep,
@@ -32,55 +31,75 @@ import {
   strPathOr
 } from '@rescapes/ramda';
 import * as R from 'ramda';
-import Result from 'folktale/result';
 import {
   apolloQueryResponsesContainer,
   composeWithComponentMaybeOrTaskChain,
-  containerForApolloType, deleteTokenCookieMutationRequestContainer,
-  getRenderPropFunction,
-  mapTaskOrComponentToNamedResponseAndInputs, mutationParts,
-  nameComponent
+  containerForApolloType,
+  deleteTokenCookieMutationRequestContainer,
+  getRenderPropFunction
 } from '@rescapes/apollo';
 import * as chakra from "@chakra-ui/react";
-import {tokenAuthMutationContainer, tokenAuthOutputParams} from '@rescapes/apollo'
+import path from 'path';
+import fs from 'fs';
+import {createFixtureStore, fixtureApolloConfigTask, fixtureMode} from './links/fixtureLinks.js';
+import {FAULT_TYPES} from './links/faultLinks.js';
+import {inFlightTrackerForApolloClient} from './links/inFlightLinks.js';
+import {cacheSnapshot, diffCacheSnapshots} from './cacheSnapshotHelpers.js';
+import {pubSubForApolloClient} from './links/pubSubLinks.js';
+import {operationLogForApolloClient} from './links/operationLogLinks.js';
+import {FUZZ_KINDS} from './mutationFuzzHelpers.js';
 import {
-  mapTaskOrComponentToConcattedNamedResponseAndInputs,
-  mutateOnceAndWaitContainer
-} from '@rescapes/apollo/src/helpers/containerHelpers';
-
-const {fromPromised, of, waitAll} = T;
-const {ChakraProvider} = defaultNode(chakra);
+  requestTimeline as buildRequestTimeline,
+  requestTimelineReport,
+  trackContainerDependencies
+} from './requestTimelineHelpers.js';
+import {FETCH_POLICIES} from './fetchPolicyHelpers.js';
+import {ERROR_POLICIES} from './errorPolicyHelpers.js';
+import {
+  AUTH_MUTATION_CONTAINERS,
+  authMutationTask,
+  componentProps,
+  componentRequests,
+  filterForMutationContainers,
+  filterForQueryContainers,
+  filterForSubscriptionContainers,
+  operationNamesOfContainers,
+  sequenceTasks,
+  testRenderComponentMutationsTask,
+  testRenderComponentTask,
+  testRenderErrorTask
+} from './containerSuites/suiteHelpers.js';
+import {renderFaultsSuite} from './containerSuites/renderFaults.js';
+import {renderLoadingSuite} from './containerSuites/renderLoading.js';
+import {renderTimelinesSuite} from './containerSuites/renderTimelines.js';
+import {renderOptimisticSuite} from './containerSuites/renderOptimistic.js';
+import {subscriptionsSuite} from './containerSuites/subscriptions.js';
+import {paginationSuite} from './containerSuites/pagination.js';
+import {queryVariationsSuite} from './containerSuites/queryVariations.js';
+import {requestCountsSuite} from './containerSuites/requestCounts.js';
+import {cacheEvictionSuite} from './containerSuites/cacheEviction.js';
+import {fetchPoliciesSuite} from './containerSuites/fetchPolicies.js';
+import {pollingSuite} from './containerSuites/polling.js';
+import {refetchQueriesSuite} from './containerSuites/refetchQueries.js';
+import {errorPoliciesSuite} from './containerSuites/errorPolicies.js';
+import {renderTokenExpiryTask, tokenExpiryAssertionCount} from './containerSuites/tokenExpiry.js';
+import {renderPersonasSuite} from './containerSuites/renderPersonas.js';
+import {concurrentUsersSuite} from './containerSuites/concurrentUsers.js';
+import {mutationConflictsSuite} from './containerSuites/mutationConflicts.js';
+import {mutationFuzzingSuite} from './containerSuites/mutationFuzzing.js';
 
+export {
+  AUTH_MUTATION_CONTAINERS,
+  authMutationTask,
+  defaultContainerOperationName,
+  filterForMutationContainers,
+  filterForQueryContainers,
+  filterForSubscriptionContainers
+} from './containerSuites/suiteHelpers.js';
 
-/**
- * Filter for just the query containers of the given apolloContainersLogout
- * @param {Object} apolloContainers Keyed by request name and valued by apollo request container.
- * Only those beginning with 'query' are considered
- * @return {*}
- */
-export const filterForQueryContainers = apolloContainers => {
-  return filterWithKeys(
-    (_, key) => {
-      return R.includes('query', key);
-    },
-    apolloContainers
-  );
-};
+const {of} = T;
+const {ChakraProvider} = defaultNode(chakra);
 
-/***
- * Filter for just the mutation containers of the given apolloContainersLogout
- * @param {Object} apolloContainers Keyed by request name and valued by apollo request container.
- * Only those beginning with 'mutat' are considered
- * @return {*}
- */
-export const filterForMutationContainers = apolloContainers => {
-  return filterWithKeys(
-    (_, key) => {
-      return R.includes('mutat', key);
-    },
-    apolloContainers
-  );
-};
 
 /**
  * Returns default empty updatePaths object for all mutation requests in the form
@@ -126,19 +145,42 @@ export const defaultUpdatePathsForMutationContainers = (apolloContainers, overri
           error: ...
           // A classname rendered in the component renderNoAuthentication (or renderData with no auth)
           noAuthentication: ...
-        }
+        },
+        theme,
+        renderer
       },
       apolloContext: {
         apolloConfigContainer,
         apolloContainersLogout,
-        waitLength
+        waitLength,
+        fixtures
       },
       testContext: {
         errorMaker,
         omitKeysFromSnapshots,
         updatedPaths,
         authorizeMutationKey
-        deauathorizeMutationKey
+        deauathorizeMutationKey,
+        faults,
+        containerOperationNames,
+        loadingDelay,
+        timelines,
+        snapshotCacheDiffs,
+        optimisticResponses,
+        subscriptionEvents,
+        paginations,
+        queryVariations,
+        requestCounts,
+        requestTimeline,
+        cacheEviction,
+        fetchPolicies,
+        polling,
+        errorPolicies,
+        tokenExpiry,
+        personas,
+        concurrentUsers,
+        mutationConflicts,
+        mutationFuzzing
       }
     }
  * @param {String} context.componentContext.componentId The data-testid of the React component that the container wraps.
@@ -155,10 +197,15 @@ export const defaultUpdatePathsForMutationContainers = (apolloContainers, overri
  * This can be any combination of class and component name that Enzyme can find.
  * component's renderData method--or any render code when apollo data is loaded
  * @param {Object} context.theme The Chakra theme
+ * @param {String|Object} [context.componentContext.renderer] Default 'enzyme'. The renderer that every test mounts with,
+ * 'enzyme', 'testingLibrary' or a renderer object. With 'testingLibrary' no enzyme adapter is needed, but the child
+ * ids must be data-testids. The componentId can be a component name, which then stands for the whole mounted tree.
+ * See renderers.js
  * @param {Object} apolloContext
  * @param {Task|Function<String, Task>} apolloContext.apolloConfigContainer Task resolving to the ApolloConfig.
  * This can alternatively be a function that accepts the name of the test and returns a task.
- * This is used to optionally pass authenticated or non authenticated apolloConfigs based on the test
+ * This is used to optionally pass authenticated or non authenticated apolloConfigs based on the test.
+ * testRenderPersonas also passes the name of the persona as the second argument
  * @param {[Object|Function|Task]} apolloContext.apolloContainersLogout List of apolloContainersLogout returning an Apollo Query or Mutate component
  * Apollo Containers or Apollo Tasks. The tests below call this function with and empty value and then
  * wrap the result in adopt of react-adopt to make adopted Apollo components that render all of their
@@ -166,6 +213,14 @@ export const defaultUpdatePathsForMutationContainers = (apolloContainers, overri
  * contains an apolloClient to generate tasks out of the apollo containers. This is used for testQueries
  * and testMutations so we can see if the requests work as expected independent of a readct component
  * @param {Number} apolloContext.waitLength how long to wait in ms for async apollo requests. Defaults to 10000 ms
+ * @param {Object} [apolloContext.fixtures] Optional. Records the requests of each test to a fixture file and replays
+ * them in later runs instead of using the network. See fixtureLinks.js
+ * @param {String} apolloContext.fixtures.directory The directory of the fixture files. There is one file per test,
+ * named by componentId and test name. A recording test writes its files once it finishes
+ * @param {String} [apolloContext.fixtures.mode] 'record' or 'replay'. Defaults to 'replay'. Setting the environment
+ * variable RECORD_GRAPHQL_FIXTURES=true re-records regardless
+ * @param {Object} [apolloContext.fixtures.cacheOptions] InMemoryCache options, such as typePolicies, for the
+ * apolloClient created when replaying
  * @param {Object} testContext
  * @param {Function} testContext.apolloContainersLogout Function expecting an optional apolloConfig and returning
  * @param {Function} [testContext.errorMaker] Optional unary function that expects the results of the
@@ -176,18 +231,154 @@ export const defaultUpdatePathsForMutationContainers = (apolloContainers, overri
  * This only works for things like update date or instance version number that change every mutation.
  * It's in the form {component: path, client: path}. For component we use the result of querying after mutation,
  * since we do all requests. For client tests we test the difference between mutating twice
- * @param {String} [authorizeMutationKey] The name of the mutation key in the result of testContext.apolloContainersLogout
- * functions for authorizing when we run testRenderAuthentication. Props from configToChainedPropsForSampleContainer
- * are passed, so they must have the needed params, such as username and password
- * @param {String} [deauthorizeMutationKey] The name of the mutation key in the result of testContext.apolloContainersLogout
- * functions for deauthorizing when we run testRenderAuthentication. Props from configToChainedPropsForSampleContainer
- * are passed although typically no props are needed
- * @param {String} testContext.loginComponentId For the authentication test, a component that is expected on the login component
- * This is sought and the mutation with key authorizeMutationKey is expected in its props
- * This can be any combination of class and component name that Enzyme can find.
- * @param {String} testContext.logoutComponentId For the authentication test, a component that is expected on the logout component
- * This is sought and the mutation with key deauthorizeMutationKey is expected in its props
- * This can be any combination of class and component name that Enzyme can find.
+ * @param {Boolean} [testContext.snapshotCacheDiffs] Default false. If true, testMutations, testRender and
+ * testRenderAuthentication snapshot test how each mutation changed the normalized Apollo cache: the entities added,
+ * removed and changed and the queries whose cached results changed. omitKeysFromSnapshots are redacted from the diff.
+ * Since the diff is keyed by cache ids, only use this with deterministic ids, such as the local server's
+ * @param {Object} [testContext.optimisticResponses] For testRenderOptimistic, keyed by mutation container key and
+ * valued by a unary function expecting the component's props and returning the optimisticResponse for the mutation.
+ * The optimistic values at the mutation's updatedPaths.component must differ from both the current values and the
+ * server's, e.g. an updatedAt far in the future. Mutations without an optimistic response or component paths are not
+ * tested. The mutations are delayed by loadingDelay so the optimistic render can be seen
+ * @param {Object} [testContext.subscriptionEvents] For testSubscriptions, keyed by subscription container key and
+ * valued by a list of unary functions expecting the component's props and returning the data of an event to publish
+ * to the container's subscription. Containers with keys containing 'subscri' are subscription containers. Their
+ * subscriptions are served by an in-memory pub/sub in every test, see pubSubLinks.js. Subscription containers without
+ * events are not tested
+ * @param {Object} [testContext.paginations] For testPagination, keyed by paginated query container key and valued by
+ * {allContainerKey, pageSize, mergePages}. allContainerKey is the key of the container that queries all pages at once,
+ * whose objects must equal the concatenated pages. pageSize defaults to the pageSize of the props. mergePages defaults
+ * to false. Set it true if the cache's typePolicies merge the pages fetched with fetchMore into one list. Otherwise each
+ * page fetched with fetchMore must be cached under its own variables. Defaults to each query container with a key
+ * ending in 'Paginated', with allContainerKey set to the key plus 'All' if that container exists
+ * @param {Object} [testContext.queryVariations] For testQueryVariations, keyed by the container key of each variation
+ * of a query variation container and valued by a unary function expecting the sample props and returning the props
+ * that select only that variation via the container's allowRequestProp. queryVariationContainersTestAll is set false
+ * before the function is called. The keys should be all the variations of one variation container, since the
+ * requests and results of the others are expected to be absent
+ * @param {Object} [testContext.requestCounts] For testRequestCounts, {networkRequests, allowDuplicates, settleLength}.
+ * Only the requests of the query containers are counted, those matching testContext.containerOperationNames or its
+ * default, and not those that resolve the sample props or authenticate. networkRequests is the budget, the most of
+ * these requests that mounting the component may send to the network. If omitted the number isn't tested.
+ * allowDuplicates are the names of operations that may reach the network more than once with identical variables.
+ * settleLength defaults to 100, the ms to wait after the data state for later requests.
+ * Every apolloConfig the tests create logs its requests, see operationLogLinks.js
+ * @param {Object} [testContext.requestTimeline] For testRender, {maxDepth, report, reportDirectory}. If given,
+ * testRender builds the timeline of the requests made until the component renders its data, without those that
+ * resolve the sample props or authenticate. Each request waited on the requests of the containers whose results its
+ * container read, which testRender records by rendering the containers of apolloContext.apolloContainers adopted with
+ * react-adopt. maxDepth is the most requests allowed on the critical path, the waterfall depth. If omitted the depth
+ * isn't tested. report true prints the critical path. reportDirectory is where to write the report as JSON, named by
+ * componentId. See requestTimelineHelpers.js
+ * @param {Object} [testContext.cacheEviction] For testCacheEviction, {typenames, settleLength}. typenames limits the
+ * evicted entities to those of the given __typenames. Defaults to every entity in the component's query results.
+ * settleLength defaults to 100, the ms to wait after the eviction before waiting for requests in flight
+ * @param {Object} [testContext.fetchPolicies] For testFetchPolicies, keyed by query container key and valued by the
+ * fetch policies the container supports. Each is one of FETCH_POLICIES or {fetchPolicy, nextFetchPolicy}. Containers
+ * not given support cache-first, cache-and-network and network-only with a nextFetchPolicy of cache-first, cache-only
+ * and no-cache. Declare cache-only-by-design containers, such as those reading local state, as ['cache-only'].
+ * Containers are tested if they are given here or in containerOperationNames, or by its default
+ * @param {Object} [testContext.polling] For testPolling, {pollIntervals, polls, mutationKey, settleLength}.
+ * pollIntervals is keyed by query container key and valued by the pollInterval in ms to force on the container's
+ * queries. Queries that the containers give a pollInterval poll without it. The polls run on a fake clock that only
+ * the polling queries use, see pollClockHelpers.js. polls defaults to 2, the
+ * number of times the clock is advanced to the next poll. mutationKey names a mutation container with
+ * updatedPaths.component that is run with another apolloClient before the last poll, so that the poll must render
+ * the server's update. If omitted the updated data isn't tested. settleLength defaults to 100, the ms to wait after
+ * each poll before waiting for requests in flight
+ * @param {Object} [testContext.errorPolicies] For testErrorPolicies, keyed by query or mutation container key and
+ * valued by the error policies to test the container with, each one of ERROR_POLICIES. Defaults to all of them for
+ * the containers of containerOperationNames or its default
+ * @param {Object} [testContext.tokenExpiry] For testRenderAuthentication, {clock, refreshTokenCookie, tokenLifetime,
+ * revokeMutationKey, settleLength}. If given, testRenderAuthentication also renders with an apolloConfig requested with
+ * the test name testRenderAuthenticationExpiry, whose tokens the clock expires. The token expires mid-session and must
+ * be renewed with the refresh token cookie, see tokenRefreshLinks.js. If refreshTokenCookie, a nullary function
+ * returning the value of the session's refresh token cookie, is given, the refresh token spent by that renewal is then
+ * sent again and must be rejected, since the server rotates refresh tokens. Then the revokeMutationKey mutation of
+ * testContext.authMutationContainers revokes the refresh token, which mustn't end the session while the token is valid.
+ * Finally the token expires again and the component must render the noAuthentication status. clock is the
+ * controllable clock of the server, see createControllableClock. tokenLifetime is the server's token lifetime in
+ * seconds, default 300. revokeMutationKey defaults to 'mutateDeleteRefreshTokenCookie'. settleLength defaults to 100,
+ * the ms to wait after each step before waiting for requests in flight
+ * @param {Object} [testContext.personas] For testRenderPersonas, keyed by persona name, such as anonymous, user, staff
+ * or superuser, and valued by {status, views, mutations, settleLength}. The component is rendered once per persona
+ * with an apolloConfig requested with the test name testRenderPersonas and the persona name, which must resolve to
+ * the apolloConfig of a user with the persona's permissions, or an unauthenticated one. status is the one status of
+ * statusClasses that must render once the requests settle, such as data or noAuthentication. views are the component
+ * names or data-testids that must render. The views of the other personas that aren't in views must not.
+ * mutations are the keys of the mutation containers that the persona may run. Once the status and views are read,
+ * every mutation container that isn't skipped is called with the component props, and those that the server
+ * responds to without errors must be exactly mutations. Each persona also snapshots its query results. settleLength
+ * defaults to 100, the ms to wait after the status renders and after each mutation before waiting for requests in flight
+ * @param {Object} [testContext.concurrentUsers] For testConcurrentUsers, {users, scenarios}. users names two or more
+ * users. Each scenario mounts the component once per user at the same time, each with an apolloConfig requested with
+ * the test name testConcurrentUsers and the user name. These must resolve to the apolloConfigs of different users of
+ * the same server, each with its own apolloClient and token. scenarios are each {name, steps, settleLength}, where
+ * steps are run in order, each {user, mutationKey, mutationProps}. The mutation container mutationKey of the user's
+ * component is called with its props, or with the variables of mutationProps if given, a unary function expecting the
+ * component props and returning {name, props} like the values of errorMaker. Steps don't need to succeed, since
+ * conflicting edits may be rejected. After the steps every client refetches its queries. The test asserts that the
+ * entities in the cache of every client then agree and snapshots them with the result of each step. settleLength
+ * defaults to 100, the ms to wait after each step and the refetch before waiting for requests in flight
+ * @param {Object} [testContext.mutationConflicts] For testMutationConflicts, keyed by mutation container key and valued
+ * by {name, entityPath, changes, conflictError, settleLength}. For each, the component is rendered and the
+ * versionNumber of the entity at entityPath of its props is read from the cache. Another apolloClient then runs the
+ * mutation container, which bumps the entity's version on the server. Then the component's mutation is called again
+ * with the stale versionNumber, the entity's id and changes. The test asserts that the response has an error
+ * matching conflictError, that the component renders its error status and that the entity refetched has the
+ * version of the other writer. name is the base name of the mutation's input, like the name of errorMaker's values.
+ * entityPath defaults to name. changes defaults to {}. conflictError defaults to /conflict/i, which matches the
+ * VERSION_CONFLICT errors of the local server. settleLength defaults to 100, the ms to wait after each mutation and
+ * the refetch before waiting for requests in flight
+ * @param {Object} [testContext.mutationFuzzing] For testMutationFuzzing, {schema, mutationKeys, kinds, oversizedLength,
+ * settleLength}. Each mutation container is first called with its own props to learn its mutation and valid variables.
+ * Then the invalid variants of the variables that mutationInputVariants derives from the schema are each passed to the
+ * mutation of a newly rendered component, the way testRenderError passes the props of errorMaker. The test asserts
+ * that each variant is either rejected with errors that the component renders as its error status or accepted with
+ * the data status, and never crashes the render or times out.
+ * schema defaults to the schema of the apolloConfig. mutationKeys defaults to all mutation containers. kinds and
+ * oversizedLength are passed to mutationInputVariants. settleLength defaults to 100, the ms to wait after each
+ * variant before waiting for requests in flight. Null skips the test, such as when the server isn't a local one that
+ * may receive invalid input
+ * @param {String} [authorizeMutationKey] The key in testContext.authMutationContainers of the mutation that
+ * testRenderAuthentication authorizes with. The component's props are passed, so they must have the needed params,
+ * such as username and password
+ * @param {String} [deauthorizeMutationKey] The key in testContext.authMutationContainers of the mutation that
+ * testRenderAuthentication deauthorizes with. The component's props are passed although typically none are needed
+ * @param {Object} [testContext.authMutationContainers] Default AUTH_MUTATION_CONTAINERS. The mutations that
+ * testRenderAuthentication runs with the apolloClient of the mounted component, like the login and logout components
+ * would, so that it works with every renderer. See authMutationTask
+ * @param {[Object]} [testContext.faults] For testRenderFaults, the faults to inject into the requests of each container.
+ * Each is a faultInjectionLink fault without the operationName, e.g. {type: 'http', statusCode: 503}.
+ * Defaults to one fault of each of FAULT_TYPES
+ * @param {Object} [testContext.containerOperationNames] For testRenderFaults, testRenderLoading, testRenderOptimistic,
+ * testSubscriptions, testPagination, testQueryVariations, testRequestCounts, testFetchPolicies, testPolling and
+ * testErrorPolicies, keyed by the container keys to test and valued by the operation name or RegExp matching the
+ * container's operations. The name must not match requests that resolve the sample props, or the component never
+ * renders. Defaults to every query, mutation and subscription container except cache-only containers with 'Local' in
+ * the key, using defaultContainerOperationName. Each test only uses the containers of the kind it tests
+ * @param {Number} [testContext.loadingDelay] For testRenderLoading, the milliseconds that each query container's
+ * requests are delayed. Defaults to 500
+ * @param {[Object]} [testContext.timelines] For testRenderTimelines, each is {name, steps, authenticate, settleLength,
+ * delays}.
+ * steps are the statuses of componentContext.statusClasses that the component must render, in order and with no
+ * others in between. A step is a status name or {status, action}, where action is called when the status renders with
+ * {apolloClient, wrapper, props, statusSequence}, props being the component's props, and returns a Task, Promise or
+ * nothing. authenticate defaults to true. Set it false to start with an unauthenticated apolloConfig, which is requested
+ * with the test name testRenderTimelinesNoAuth. settleLength defaults to 100 ms, the time after the last step during
+ * which no other status may render. delays are {operationName, delay}, each holding the matching queries for delay ms
+ * (see createDelayLink) so that their responses arrive staggered or in reverse of the order the queries depend on each
+ * other. Each must delay a query. Example:
+ *  {
+ *    name: 'login',
+ *    authenticate: false,
+ *    steps: [
+ *      {status: 'noAuthentication', action: ({apolloClient, props}) => authMutationTask({apolloClient}, 'mutateTokenAuth', props)},
+ *      'loading',
+ *      'data'
+ *    ]
+ *  }
+ * Defaults to one timeline of ['loading', 'data'], or ['data'] without a loading status
  * @param {Object} HOC Apollo container created by calling react-adopt or similar
  * @param {Object} component. The child component to container having a render function that receives
  * the results of the apollo requests from container
@@ -201,6 +392,23 @@ export const defaultUpdatePathsForMutationContainers = (apolloContainers, overri
  testQueries,
  testMutations,
  testRenderError,
+ testRenderFaults,
+ testRenderLoading,
+ testRenderTimelines,
+ testRenderPersonas,
+ testConcurrentUsers,
+ testRenderOptimistic,
+ testSubscriptions,
+ testPagination,
+ testQueryVariations,
+ testRequestCounts,
+ testCacheEviction,
+ testFetchPolicies,
+ testPolling,
+ testRefetchQueries,
+ testErrorPolicies,
+ testMutationConflicts,
+ testMutationFuzzing,
  testRender,
  testRenderAuthentication,
  afterEachTask}
@@ -218,12 +426,14 @@ export const apolloContainerTests = v((context, container, component, configToCh
           // testRenderAuthentication
           noAuthentication: childClassNoAuthName
         },
-        theme
+        theme,
+        renderer
       },
       apolloContext: {
         apolloConfigContainer,
         apolloContainers,
-        waitLength
+        waitLength,
+        fixtures
       },
       testContext: {
         errorMaker,
@@ -231,22 +441,89 @@ export const apolloContainerTests = v((context, container, component, configToCh
         updatedPaths,
         authorizeMutationKey,
         deauthorizeMutationKey,
-        loginComponentId,
-        logoutComponentId
+        authMutationContainers = AUTH_MUTATION_CONTAINERS,
+        faults,
+        containerOperationNames,
+        loadingDelay,
+        timelines,
+        snapshotCacheDiffs = false,
+        optimisticResponses,
+        subscriptionEvents,
+        paginations,
+        queryVariations,
+        requestCounts = {},
+        requestTimeline,
+        cacheEviction = {},
+        fetchPolicies = {},
+        polling = {},
+        errorPolicies = {},
+        tokenExpiry,
+        personas = {},
+        concurrentUsers = {},
+        mutationConflicts = {},
+        mutationFuzzing = {}
       }
     } = context;
 
-    const apolloConfigOptionalFunctionContainer = testName => {
-      return R.ifElse(
+    // Fixture stores by test name, shared by all apolloConfigs created for the same test
+    const fixtureStores = {};
+    const fixtureStoreForTest = testName => {
+      if (!R.has(testName, fixtureStores)) {
+        fixtureStores[testName] = createFixtureStore({
+          filePath: path.join(fixtures.directory, `${componentId}.${testName}.json`),
+          mode: fixtureMode(fixtures)
+        });
+      }
+      return fixtureStores[testName];
+    };
+    // Writes what the fixture stores recorded. Recording writes each fixture file once, after its test finishes
+    const saveFixtureRecordings = () => {
+      R.forEach(store => store.saveRecording(), R.values(fixtureStores));
+    };
+    const savingFixtureRecordings = test => done => {
+      const finish = (...args) => {
+        saveFixtureRecordings();
+        return done(...args);
+      };
+      finish.fail = (...args) => {
+        saveFixtureRecordings();
+        return done.fail(...args);
+      };
+      return test(finish);
+    };
+
+    const apolloConfigOptionalFunctionContainer = (testName = 'afterEachTask', persona = null) => {
+      const apolloConfigTask = R.ifElse(
         R.hasIn('run'),
         apolloConfigContainer => {
-          return () => apolloConfigContainer;
+          return apolloConfigContainer;
         },
         // Call with test name if not task
         apolloConfigContainer => {
-          return apolloConfigContainer(testName);
+          return persona ? apolloConfigContainer(testName, persona) : apolloConfigContainer(testName);
         }
       )(apolloConfigContainer);
+      // When replaying, fixtureApolloConfigTask never runs apolloConfigTask, so the network isn't used
+      const fixtureOrApolloConfigTask = fixtures ?
+        fixtureApolloConfigTask(
+          {store: fixtureStoreForTest(persona ? `${testName}.${persona}` : testName), cacheOptions: fixtures.cacheOptions},
+          apolloConfigTask
+        ) :
+        apolloConfigTask;
+      const hasSubscriptions = !R.isEmpty(filterForSubscriptionContainers(apolloContainers({})));
+      return R.map(
+        apolloConfig => {
+          const apolloClient = reqStrPathThrowing('apolloClient', apolloConfig);
+          // Subscriptions are served by an in-memory pub/sub instead of the server
+          if (hasSubscriptions) {
+            pubSubForApolloClient(apolloClient);
+          }
+          // Log every request so tests can assert how many reach the network
+          operationLogForApolloClient(apolloClient);
+          return apolloConfig;
+        },
+        fixtureOrApolloConfigTask
+      );
     };
 
     // A task function or component function that resolves props all the way up the hierarchy chain, ending with props for this
@@ -281,7 +558,8 @@ export const apolloContainerTests = v((context, container, component, configToCh
                 return e('div');
               }
             )
-          )
+          ),
+          {renderer}
         )),
         mapToNamedResponseAndInputs('props',
           ({apolloClient}) => resolvedPropsContainer({apolloClient}, {})
@@ -323,7 +601,9 @@ export const apolloContainerTests = v((context, container, component, configToCh
       {
         apolloConfigContainer: apolloConfigOptionalFunctionContainer('testMutations'),
         resolvedPropsContainer,
-        updatedPaths
+        updatedPaths,
+        omitKeysFromSnapshots,
+        snapshotCacheDiffs
       },
       apolloConfig => filterForMutationContainers(apolloContainers(apolloConfig)),
       done
@@ -337,10 +617,14 @@ export const apolloContainerTests = v((context, container, component, configToCh
     const testRender = done => {
       const errors = [];
       const mutationComponents = filterForMutationContainers(apolloContainers({}));
-      _testRenderExpectations({}, mutationComponents, updatedPaths);
+      _testRenderExpectations(
+        {snapshotCacheDiffs, testingRequestDepth: R.has('maxDepth', requestTimeline || {})},
+        mutationComponents,
+        updatedPaths
+      );
       R.map(
         ({prePostMutationComparisons, ...rest}) => {
-          testMutationChanges('component', updatedPaths, prePostMutationComparisons);
+          testMutationChanges('component', {updatedPaths, snapshotCacheDiffs}, prePostMutationComparisons);
           return rest;
         },
         _testRenderTask(
@@ -354,7 +638,11 @@ export const apolloContainerTests = v((context, container, component, configToCh
             mutationComponents,
             updatedPaths,
             waitLength,
-            theme
+            theme,
+            renderer,
+            requestTimeline,
+            apolloContainers,
+            containerOperationNames: operationNamesOfContainers(containerOperationNames, apolloContainers({}))
           },
           container,
           component,
@@ -369,8 +657,41 @@ export const apolloContainerTests = v((context, container, component, configToCh
     const testRenderAuthentication = done => {
       const mutationComponents = filterForMutationContainers(apolloContainers({}));
       const errors = [];
-      _testRenderExpectations({testingAuthentication: true}, mutationComponents, updatedPaths);
+      _testRenderExpectations(
+        {
+          testingAuthentication: true,
+          snapshotCacheDiffs,
+          tokenExpiryAssertions: tokenExpiry ? tokenExpiryAssertionCount(tokenExpiry) : 0
+        },
+        mutationComponents,
+        updatedPaths
+      );
       composeWithChain([
+        // Expire the token mid-session, then revoke the refresh token
+        logoutRender => {
+          return tokenExpiry ?
+            R.map(
+              () => logoutRender,
+              renderTokenExpiryTask(
+                {
+                  apolloConfigContainer: apolloConfigOptionalFunctionContainer('testRenderAuthenticationExpiry'),
+                  resolvedPropsContainer,
+                  componentId,
+                  childLoadingId,
+                  childDataId,
+                  childClassNoAuthName,
+                  authMutationContainers,
+                  tokenExpiry,
+                  waitLength,
+                  theme,
+                  renderer
+                },
+                container,
+                component
+              )
+            ) :
+            of(logoutRender);
+        },
         // Logout and render
         () => {
           return _testRenderTask(
@@ -388,6 +709,7 @@ export const apolloContainerTests = v((context, container, component, configToCh
               // We can't mutate with an unauthenticated user
               skipMutationTests: true,
               theme,
+              renderer,
               authenticate: false
             },
             container,
@@ -396,22 +718,19 @@ export const apolloContainerTests = v((context, container, component, configToCh
           );
         },
         // Deauthorize
-        ({wrapper}) => {
-          const logoutIdSearch = R.test(/^[A-Z]\S+/, logoutComponentId) ? logoutComponentId : `[data-testid='${logoutComponentId}']`;
-          const {mutation} = reqStrPathThrowing(
+        ({apolloClient, wrapper}) => {
+          return authMutationTask(
+            {apolloClient, authMutationContainers},
             deauthorizeMutationKey,
-            wrapper.find(logoutIdSearch).first().props()
+            componentProps(wrapper)
           );
-          return fromPromised(() => {
-            return mutation();
-          })();
         },
         // Authorized render
         (tokenAuthResponse) => {
           return R.map(
             ({prePostMutationComparisons, ...rest}) => {
               // Test our mutation tests while authorized
-              testMutationChanges('component', updatedPaths, prePostMutationComparisons);
+              testMutationChanges('component', {updatedPaths, snapshotCacheDiffs}, prePostMutationComparisons);
               return rest;
             },
             _testRenderTask(
@@ -436,25 +755,21 @@ export const apolloContainerTests = v((context, container, component, configToCh
                 )({}),
                 updatedPaths,
                 waitLength,
-                theme
+                theme,
+                renderer
               },
               container,
               component,
               done
             ));
         },
-        // Authorize
-        ({wrapper, container}) => {
-          const props = container.props();
-          const loginIdSearch = R.test(/^[A-Z]\S+/, loginComponentId) ? loginComponentId : `[data-testid='${loginComponentId}']`;
-          const {mutation} = reqStrPathThrowing(
+        // Authorize, passing the username and password from the props
+        ({apolloClient, wrapper}) => {
+          return authMutationTask(
+            {apolloClient, authMutationContainers},
             authorizeMutationKey,
-            wrapper.find(loginIdSearch).first().props()
+            componentProps(wrapper)
           );
-          // Pass the username and password from the props
-          return fromPromised(() => {
-            return mutation({variables: R.pick(['username', 'password'], props)});
-          })();
         },
         // No auth login
         () => {
@@ -473,6 +788,7 @@ export const apolloContainerTests = v((context, container, component, configToCh
               // We can't mutate with an unauthenticated user
               skipMutationTests: true,
               theme,
+              renderer,
               authenticate: false
             },
             container,
@@ -501,7 +817,341 @@ export const apolloContainerTests = v((context, container, component, configToCh
           mutationComponents: filterForMutationContainers(apolloContainers({})),
           waitLength,
           authenticate: true,
-          theme
+          theme,
+          renderer
+        },
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Injects each of testContext.faults into the requests of each query and mutation container and tests
+     * that the component renders its error state. Query faults are injected into the first render. Mutation
+     * faults are injected when the mutation is called after the data state renders. Each fault runs once with
+     * errorPolicy 'all' and once with 'none' forced on the container's requests and must result in the error state
+     * @param done
+     */
+    const testRenderFaults = done => {
+      renderFaultsSuite(
+        {
+          // Each case needs a new apolloClient, so call this for each
+          apolloConfigContainer: () => apolloConfigOptionalFunctionContainer('testRenderFaults'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          childErrorId,
+          faults,
+          containerOperationNames,
+          waitLength,
+          theme,
+          renderer
+        },
+        apolloContainers({}),
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Delays the requests of each query container in turn and tests that the component renders its loading state
+     * before its data state and never renders the loading state again after the data state
+     * @param done
+     */
+    const testRenderLoading = done => {
+      renderLoadingSuite(
+        {
+          // Each case needs a new apolloClient, so call this for each
+          apolloConfigContainer: () => apolloConfigOptionalFunctionContainer('testRenderLoading'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          childErrorId,
+          containerOperationNames,
+          loadingDelay,
+          waitLength,
+          theme,
+          renderer
+        },
+        apolloContainers({}),
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Mounts the component once per testContext.timelines and tests that it renders the timeline's statuses in order
+     * @param done
+     */
+    const testRenderTimelines = done => {
+      renderTimelinesSuite(
+        {
+          // Each timeline needs a new apolloClient, so call this for each
+          apolloConfigContainer: authenticate => apolloConfigOptionalFunctionContainer(
+            authenticate ? 'testRenderTimelines' : 'testRenderTimelinesNoAuth'
+          ),
+          resolvedPropsContainer,
+          componentId,
+          statusClasses: R.reject(R.isNil, {
+            data: childDataId,
+            loading: childLoadingId,
+            error: childErrorId,
+            noAuthentication: childClassNoAuthName
+          }),
+          timelines,
+          waitLength,
+          theme,
+          renderer
+        },
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Mounts the component once per testContext.personas and tests the status, views and mutations permitted to each
+     * @param done
+     */
+    const testRenderPersonas = done => {
+      renderPersonasSuite(
+        {
+          // Each persona needs a new apolloClient of its user, so call this for each
+          apolloConfigContainer: persona => apolloConfigOptionalFunctionContainer('testRenderPersonas', persona),
+          resolvedPropsContainer,
+          componentId,
+          statusClasses: R.reject(R.isNil, {
+            data: childDataId,
+            loading: childLoadingId,
+            error: childErrorId,
+            noAuthentication: childClassNoAuthName
+          }),
+          personas,
+          omitKeysFromSnapshots,
+          waitLength,
+          theme,
+          renderer
+        },
+        apolloContainers({}),
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Mounts the component for each of testContext.concurrentUsers at once, interleaves their mutations and tests
+     * that their caches agree after refetching
+     * @param done
+     */
+    const testConcurrentUsers = done => {
+      concurrentUsersSuite(
+        {
+          // Each user of each scenario needs a new apolloClient, so call this for each
+          apolloConfigContainer: user => apolloConfigOptionalFunctionContainer('testConcurrentUsers', user),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          concurrentUsers,
+          omitKeysFromSnapshots,
+          waitLength,
+          theme,
+          renderer
+        },
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Replays each mutation of testContext.mutationConflicts with a stale version after another writer updated its
+     * entity and tests that the component renders the conflict instead of overwriting the newer data
+     * @param done
+     */
+    const testMutationConflicts = done => {
+      mutationConflictsSuite(
+        {
+          // Each mutation needs a new apolloClient and the other writer one of its own, so call this for each
+          apolloConfigContainer: () => apolloConfigOptionalFunctionContainer('testMutationConflicts'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          childErrorId,
+          mutationConflicts,
+          waitLength,
+          theme,
+          renderer
+        },
+        apolloContainers,
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Calls each mutation with the invalid variants of its variables that testContext.mutationFuzzing derives from
+     * the schema and tests that the component renders each as an error or as data
+     * @param done
+     */
+    const testMutationFuzzing = done => {
+      if (R.isNil(mutationFuzzing)) {
+        expect.assertions(0);
+        done();
+        return;
+      }
+      mutationFuzzingSuite(
+        {
+          // Each variant needs a new apolloClient, so call this for each
+          apolloConfigContainer: () => apolloConfigOptionalFunctionContainer('testMutationFuzzing'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          childErrorId,
+          mutationFuzzing,
+          waitLength,
+          theme,
+          renderer
+        },
+        filterForMutationContainers(apolloContainers({})),
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Calls each mutation with its testContext.optimisticResponses and tests that the component renders the
+     * optimistic values at updatedPaths, then the server's values, and that a failed mutation rolls back
+     * @param done
+     */
+    const testRenderOptimistic = done => {
+      renderOptimisticSuite(
+        {
+          // Each case needs a new apolloClient, so call this for each
+          apolloConfigContainer: () => apolloConfigOptionalFunctionContainer('testRenderOptimistic'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          optimisticResponses,
+          updatedPaths,
+          containerOperationNames,
+          loadingDelay,
+          waitLength,
+          theme,
+          renderer
+        },
+        apolloContainers({}),
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Publishes each of testContext.subscriptionEvents to its subscription container and tests that the component
+     * renders each payload, then that unmounting the component closes the subscription
+     * @param done
+     */
+    const testSubscriptions = done => {
+      subscriptionsSuite(
+        {
+          // Each case needs a new apolloClient, so call this for each
+          apolloConfigContainer: () => apolloConfigOptionalFunctionContainer('testSubscriptions'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          subscriptionEvents,
+          containerOperationNames,
+          waitLength,
+          theme,
+          renderer
+        },
+        apolloContainers({}),
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * For paginated query containers, walks every page and tests that the pages are disjoint and complete, that
+     * fetchMore caches each page as configured and that the container that queries all pages equals the pages
+     * concatenated
+     * @param done
+     */
+    const testPagination = done => {
+      paginationSuite(
+        {
+          apolloConfigContainer: apolloConfigOptionalFunctionContainer('testPagination'),
+          resolvedPropsContainer,
+          paginations,
+          containerOperationNames
+        },
+        apolloConfig => filterForQueryContainers(apolloContainers(apolloConfig)),
+        done
+      );
+    };
+
+    /**
+     * Renders the component once per testContext.queryVariations with only that variation selected and tests that
+     * only its request fired and that only its result reached the component. The result is snapshot tested
+     * @param done
+     */
+    const testQueryVariations = done => {
+      queryVariationsSuite(
+        {
+          // Each variation needs a new apolloClient, so call this for each
+          apolloConfigContainer: () => apolloConfigOptionalFunctionContainer('testQueryVariations'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          queryVariations,
+          containerOperationNames,
+          omitKeysFromSnapshots,
+          waitLength,
+          theme,
+          renderer
+        },
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Mounts the component and tests the requests that reached the network: that no operation was sent twice with
+     * identical variables and, if testContext.requestCounts.networkRequests is given, that no more were sent
+     * @param done
+     */
+    const testRequestCounts = done => {
+      requestCountsSuite(
+        {
+          apolloConfigContainer: apolloConfigOptionalFunctionContainer('testRequestCounts'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          requestCounts,
+          containerOperationNames: operationNamesOfContainers(
+            containerOperationNames,
+            filterForQueryContainers(apolloContainers({}))
+          ),
+          waitLength,
+          theme,
+          renderer
         },
         container,
         component,
@@ -509,19 +1159,184 @@ export const apolloContainerTests = v((context, container, component, configToCh
       );
     };
 
-    return {
+    /**
+     * For each entity in the component's query results, evicts the entity from the cache, garbage collects and tests
+     * that the component refetches or renders its loading or error state instead of crashing
+     * @param done
+     */
+    const testCacheEviction = done => {
+      cacheEvictionSuite(
+        {
+          // Each entity needs a new apolloClient, so call this for each
+          apolloConfigContainer: () => apolloConfigOptionalFunctionContainer('testCacheEviction'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          childErrorId,
+          cacheEviction,
+          waitLength,
+          theme,
+          renderer
+        },
+        apolloContainers({}),
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Renders the component once per query container and fetch policy the container supports, with the policy forced
+     * on the container's queries after a first render fills the cache, and tests the render states, the network
+     * requests and the result
+     * @param done
+     */
+    const testFetchPolicies = done => {
+      fetchPoliciesSuite(
+        {
+          // Each case needs a new apolloClient, so call this for each
+          apolloConfigContainer: () => apolloConfigOptionalFunctionContainer('testFetchPolicies'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          childErrorId,
+          containerOperationNames,
+          fetchPolicies,
+          omitKeysFromSnapshots,
+          waitLength,
+          theme,
+          renderer
+        },
+        apolloContainers({}),
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Advances the polls of the component's polling queries with a fake clock and tests that each poll reaches the
+     * network, that the component renders the server's update and that polling stops when the component unmounts
+     * @param done
+     */
+    const testPolling = done => {
+      pollingSuite(
+        {
+          // The mutation of the server's data needs another apolloClient, so call this for each
+          apolloConfigContainer: () => apolloConfigOptionalFunctionContainer('testPolling'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          containerOperationNames,
+          polling,
+          updatedPaths,
+          waitLength,
+          theme,
+          renderer
+        },
+        apolloContainers,
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Calls each mutation of the component and tests that the queries in the mutation's refetchQueries reach the
+     * network
+     * @param done
+     */
+    const testRefetchQueries = done => {
+      refetchQueriesSuite(
+        {
+          apolloConfigContainer: () => apolloConfigOptionalFunctionContainer('testRefetchQueries'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          mutationComponents: filterForMutationContainers(apolloContainers({})),
+          waitLength,
+          theme,
+          renderer
+        },
+        container,
+        component,
+        done
+      );
+    };
+
+    /**
+     * Forces each error policy on the requests of each query and mutation container while the server returns
+     * partial data with errors and tests what the container passes to the component and which status renders
+     * @param done
+     */
+    const testErrorPolicies = done => {
+      errorPoliciesSuite(
+        {
+          // Each case needs a new apolloClient, so call this for each
+          apolloConfigContainer: () => apolloConfigOptionalFunctionContainer('testErrorPolicies'),
+          resolvedPropsContainer,
+          componentId,
+          childLoadingId,
+          childDataId,
+          childErrorId,
+          containerOperationNames,
+          errorPolicies,
+          waitLength,
+          theme,
+          renderer
+        },
+        apolloContainers({}),
+        container,
+        component,
+        done
+      );
+    };
+
+    const tests = {
       testComposeRequests,
       testQueries,
       testMutations,
       testRenderError,
+      testRenderFaults,
+      testRenderLoading,
+      testRenderTimelines,
+      testRenderPersonas,
+      testConcurrentUsers,
+      testRenderOptimistic,
+      testSubscriptions,
+      testPagination,
+      testQueryVariations,
+      testRequestCounts,
+      testCacheEviction,
+      testFetchPolicies,
+      testPolling,
+      testRefetchQueries,
+      testErrorPolicies,
+      testMutationConflicts,
+      testMutationFuzzing,
       testRender,
-      testRenderAuthentication,
-      // Return this so we can logout and clear the cache after each test
-      afterEachTask: composeWithChain([
-        ({apolloClient}) => deleteTokenCookieMutationRequestContainer({apolloClient}, {}, {}),
-        () => apolloConfigOptionalFunctionContainer()
-      ])()
+      testRenderAuthentication
     };
+    return R.merge(
+      fixtures ? R.map(savingFixtureRecordings, tests) : tests,
+      {
+        // Return this so we can logout and clear the cache after each test
+        afterEachTask: R.map(
+          response => {
+            saveFixtureRecordings();
+            return response;
+          },
+          composeWithChain([
+            ({apolloClient}) => deleteTokenCookieMutationRequestContainer({apolloClient}, {}, {}),
+            () => apolloConfigOptionalFunctionContainer()
+          ])()
+        )
+      }
+    );
   },
   [
     ['config', PropTypes.shape({
@@ -531,7 +1346,11 @@ export const apolloContainerTests = v((context, container, component, configToCh
             data: PropTypes.string.isRequired,
             loading: PropTypes.string,
             error: PropTypes.string
-          })
+          }),
+          renderer: PropTypes.oneOfType([
+            PropTypes.oneOf(['enzyme', 'testingLibrary']),
+            PropTypes.shape({mount: PropTypes.func.isRequired})
+          ])
         }),
         apolloContext: PropTypes.shape({
           apolloConfigContainer: PropTypes.oneOfType(
@@ -539,10 +1358,112 @@ export const apolloContainerTests = v((context, container, component, configToCh
               PropTypes.shape(),
               PropTypes.func
             ]).isRequired,
-          requests: PropTypes.shape()
+          requests: PropTypes.shape(),
+          fixtures: PropTypes.shape({
+            directory: PropTypes.string.isRequired,
+            mode: PropTypes.oneOf(['record', 'replay']),
+            cacheOptions: PropTypes.shape()
+          })
         }),
         testContext: PropTypes.shape({
-          errorMaker: PropTypes.func
+          errorMaker: PropTypes.func,
+          faults: PropTypes.arrayOf(PropTypes.shape({
+            type: PropTypes.oneOf(FAULT_TYPES).isRequired
+          })),
+          containerOperationNames: PropTypes.objectOf(
+            PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(RegExp)])
+          ),
+          loadingDelay: PropTypes.number,
+          snapshotCacheDiffs: PropTypes.bool,
+          optimisticResponses: PropTypes.objectOf(PropTypes.func),
+          subscriptionEvents: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.func)),
+          queryVariations: PropTypes.objectOf(PropTypes.func),
+          requestCounts: PropTypes.shape({
+            networkRequests: PropTypes.number,
+            allowDuplicates: PropTypes.arrayOf(PropTypes.string),
+            settleLength: PropTypes.number
+          }),
+          requestTimeline: PropTypes.shape({
+            maxDepth: PropTypes.number,
+            report: PropTypes.bool,
+            reportDirectory: PropTypes.string
+          }),
+          cacheEviction: PropTypes.shape({
+            typenames: PropTypes.arrayOf(PropTypes.string),
+            settleLength: PropTypes.number
+          }),
+          errorPolicies: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.oneOf(ERROR_POLICIES))),
+          mutationFuzzing: PropTypes.shape({
+            schema: PropTypes.shape(),
+            mutationKeys: PropTypes.arrayOf(PropTypes.string),
+            kinds: PropTypes.arrayOf(PropTypes.oneOf(FUZZ_KINDS)),
+            oversizedLength: PropTypes.number,
+            settleLength: PropTypes.number
+          }),
+          mutationConflicts: PropTypes.objectOf(PropTypes.shape({
+            name: PropTypes.string.isRequired,
+            entityPath: PropTypes.string,
+            changes: PropTypes.shape(),
+            conflictError: PropTypes.instanceOf(RegExp),
+            settleLength: PropTypes.number
+          })),
+          concurrentUsers: PropTypes.shape({
+            users: PropTypes.arrayOf(PropTypes.string),
+            scenarios: PropTypes.arrayOf(PropTypes.shape({
+              name: PropTypes.string.isRequired,
+              steps: PropTypes.arrayOf(PropTypes.shape({
+                user: PropTypes.string.isRequired,
+                mutationKey: PropTypes.string.isRequired,
+                mutationProps: PropTypes.func
+              })).isRequired,
+              settleLength: PropTypes.number
+            }))
+          }),
+          personas: PropTypes.objectOf(PropTypes.shape({
+            status: PropTypes.string.isRequired,
+            views: PropTypes.arrayOf(PropTypes.string),
+            mutations: PropTypes.arrayOf(PropTypes.string),
+            settleLength: PropTypes.number
+          })),
+          tokenExpiry: PropTypes.shape({
+            clock: PropTypes.func.isRequired,
+            refreshTokenCookie: PropTypes.func,
+            tokenLifetime: PropTypes.number,
+            revokeMutationKey: PropTypes.string,
+            settleLength: PropTypes.number
+          }),
+          authMutationContainers: PropTypes.objectOf(PropTypes.func),
+          polling: PropTypes.shape({
+            pollIntervals: PropTypes.objectOf(PropTypes.number),
+            polls: PropTypes.number,
+            mutationKey: PropTypes.string,
+            settleLength: PropTypes.number
+          }),
+          fetchPolicies: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.oneOfType([
+            PropTypes.oneOf(FETCH_POLICIES),
+            PropTypes.shape({
+              fetchPolicy: PropTypes.oneOf(FETCH_POLICIES).isRequired,
+              nextFetchPolicy: PropTypes.oneOf(FETCH_POLICIES)
+            })
+          ]))),
+          paginations: PropTypes.objectOf(PropTypes.shape({
+            allContainerKey: PropTypes.string,
+            pageSize: PropTypes.number,
+            mergePages: PropTypes.bool
+          })),
+          timelines: PropTypes.arrayOf(PropTypes.shape({
+            name: PropTypes.string.isRequired,
+            steps: PropTypes.arrayOf(PropTypes.oneOfType([
+              PropTypes.string,
+              PropTypes.shape({status: PropTypes.string.isRequired, action: PropTypes.func})
+            ])).isRequired,
+            authenticate: PropTypes.bool,
+            settleLength: PropTypes.number,
+            delays: PropTypes.arrayOf(PropTypes.shape({
+              operationName: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(RegExp)]).isRequired,
+              delay: PropTypes.oneOfType([PropTypes.number, PropTypes.func]).isRequired
+            }))
+          }))
         })
       }
     )],
@@ -663,7 +1584,9 @@ const _testMutations = (
   {
     apolloConfigContainer,
     resolvedPropsContainer,
-    updatedPaths
+    updatedPaths,
+    omitKeysFromSnapshots,
+    snapshotCacheDiffs
   },
   apolloConfigToMutationTasks,
   done
@@ -677,6 +1600,9 @@ const _testMutations = (
       updatedValues => R.chain(R.propOr([], 'client'), updatedValues),
       updatedPaths => R.values(updatedPaths)
     )(updatedPaths)
+  ) + (
+    // One cache diff snapshot per mutation
+    snapshotCacheDiffs ? R.length(R.values(updatedPaths)) : 0
   );
 
   expect.assertions(assertions);
@@ -689,14 +1615,15 @@ const _testMutations = (
   const mutationResponseTask = apolloMutationResponsesTask(
     {
       apolloConfigContainer,
-      resolvedPropsContainer
+      resolvedPropsContainer,
+      omitKeysFromSnapshots
     },
     apolloConfigToMutationTasks
   );
   mutationResponseTask.run().listen(
     defaultRunConfig({
       onResolved: prePostMutationComparisons => {
-        testMutationChanges('client', updatedPaths, prePostMutationComparisons);
+        testMutationChanges('client', {updatedPaths, snapshotCacheDiffs}, prePostMutationComparisons);
       }
     }, errors, done)
   );
@@ -704,22 +1631,25 @@ const _testMutations = (
 
 
 /**
- * Runs the apollo mutations in mutationComponents
+ * Runs the apollo mutations in mutationComponents one at a time, each twice
  * @param apolloConfigContainer
  * @param resolvedPropsContainer
+ * @param {[String]} [omitKeysFromSnapshots] Keys to redact from the cache diffs
  * @param {Function } apolloConfigToMutationTasks Expects an apolloConfig and returns and object keyed by mutation
  * name and valued by mutation tasks
- * @return {Task<[Object]>} A task resolving to a list of the mutation responses
+ * @return {Task<[Object]>} A task resolving to a list of the mutation responses. Each has a cacheDiff of how the
+ * mutation changed the normalized cache. See diffCacheSnapshots
  * @private
  */
 export const apolloMutationResponsesTask = ({
                                               apolloConfigContainer,
-                                              resolvedPropsContainer
+                                              resolvedPropsContainer,
+                                              omitKeysFromSnapshots = []
                                             }, apolloConfigToMutationTasks) => {
   // Task Object -> Task
   return composeWithChain([
-    // Wait for all the mutations to finish
-    ({apolloConfigToMutationTasks, props, apolloClient}) => {
+    // Run the mutations one at a time so each cache diff only shows the changes of its mutation
+    ({apolloConfigToMutationTasks, props, apolloClient, inFlightTracker}) => {
       // Create variables for the current queryComponent by sending props to its configuration
       const propsWithRender = R.merge(
         props, {
@@ -728,38 +1658,48 @@ export const apolloMutationResponsesTask = ({
           //render: props => null
         }
       );
-      return waitAll(
-        mapObjToValues(
-          (mutationExpectingProps, mutationName) => {
-            return composeWithChain([
-              ({mutationExpectingProps, preMutationApolloRenderProps, postMutationApolloRenderProps}) => {
-                if (!preMutationApolloRenderProps || !postMutationApolloRenderProps) {
-                  throw new Error(`For mutation ${mutationName}, either the preMutationApolloRenderProps or postMutationApolloRenderProps or both are null`);
-                }
-                return of({
-                  mutationName,
-                  // Return the render props before and after the mutations so we can confirm that values changed
-                  preMutationApolloRenderProps,
-                  postMutationApolloRenderProps,
-                  mutationResponse: postMutationApolloRenderProps
-                });
-              },
-              mapToNamedResponseAndInputs('postMutationApolloRenderProps',
-                ({mutationExpectingProps, propsWithRender, preMutationApolloRenderProps}) => {
-                  // Mutate again to get updated dates
-                  return mutationExpectingProps(propsWithRender);
-                }
-              ),
-              mapToNamedResponseAndInputs('preMutationApolloRenderProps',
-                ({mutationExpectingProps, propsWithRender}) => {
-                  // Mutate once
-                  return mutationExpectingProps(propsWithRender);
-                }
+      const mutationTask = (mutationExpectingProps, mutationName) => {
+        return composeWithChain([
+          ({mutationExpectingProps, preMutationApolloRenderProps, postMutationApolloRenderProps, cacheBefore}) => {
+            if (!preMutationApolloRenderProps || !postMutationApolloRenderProps) {
+              throw new Error(`For mutation ${mutationName}, either the preMutationApolloRenderProps or postMutationApolloRenderProps or both are null`);
+            }
+            return of({
+              mutationName,
+              // Return the render props before and after the mutations so we can confirm that values changed
+              preMutationApolloRenderProps,
+              postMutationApolloRenderProps,
+              mutationResponse: postMutationApolloRenderProps,
+              // How both mutations changed the cache
+              cacheDiff: diffCacheSnapshots(
+                cacheBefore,
+                cacheSnapshot(apolloClient, inFlightTracker.operations('query')),
+                {omitKeys: omitKeysFromSnapshots}
               )
-            ])({mutationExpectingProps, propsWithRender});
+            });
           },
-          apolloConfigToMutationTasks({apolloClient})
-        )
+          mapToNamedResponseAndInputs('postMutationApolloRenderProps',
+            ({mutationExpectingProps, propsWithRender, preMutationApolloRenderProps}) => {
+              // Mutate again to get updated dates
+              return mutationExpectingProps(propsWithRender);
+            }
+          ),
+          mapToNamedResponseAndInputs('preMutationApolloRenderProps',
+            ({mutationExpectingProps, propsWithRender}) => {
+              // Mutate once
+              return mutationExpectingProps(propsWithRender);
+            }
+          ),
+          mapToNamedResponseAndInputs('cacheBefore',
+            () => {
+              return of(cacheSnapshot(apolloClient, inFlightTracker.operations('query')));
+            }
+          )
+        ])({mutationExpectingProps, propsWithRender});
+      };
+      return sequenceTasks(
+        ([mutationName, mutationExpectingProps]) => mutationTask(mutationExpectingProps, mutationName),
+        R.toPairs(apolloConfigToMutationTasks({apolloClient}))
       );
     },
 
@@ -769,6 +1709,12 @@ export const apolloMutationResponsesTask = ({
         return resolvedPropsContainer({apolloClient}, {});
       }
     ),
+    // Track the queries that resolve the props, so the cache snapshots can read them back
+    mapToNamedResponseAndInputs('inFlightTracker',
+      ({apolloClient}) => {
+        return of(inFlightTrackerForApolloClient(apolloClient));
+      }
+    ),
     // Resolve the apolloConfigContainer
     mapToMergedResponseAndInputs(
       ({}) => {
@@ -805,6 +1751,13 @@ export const apolloMutationResponsesTask = ({
  * Make sure that each path begins with the query name whose results we are comparing with before and after.
  * Example: {mutationRegion: ['queryRegions.data.regions.0.updatedAt']} means "when I call mutatRegion, queryRegion's
  * result should update"
+ * @param {[String]} [config.omitKeysFromSnapshots] Keys to redact from the cache diffs of the mutations
+ * @param {Object} [config.requestTimeline] Optional. See testContext.requestTimeline of apolloContainerTests. If given,
+ * the request timeline is built once the component renders its data, before the mutations. The containers of
+ * apolloContainers are then rendered adopted in place of the container, wrapped to record what each depends on.
+ * See trackContainerDependencies
+ * @param {Function} [config.apolloContainers] Required with requestTimeline. See apolloContext.apolloContainers
+ * @param {Object} [config.containerOperationNames] Labels the requests of the timeline with their container keys
  * @param {Object} theme The Chakra theme
  * @param {Object} container The composed Apollo container. We create a react element from this
  * with component as the children prop. component
@@ -827,12 +1780,18 @@ const _testRenderTask = (
     childLoadingId,
     mutationComponents,
     updatedPaths,
+    omitKeysFromSnapshots,
     waitLength,
     skipMutationTests = false,
     theme,
-    authenticate = true
+    renderer,
+    authenticate = true,
+    requestTimeline = null,
+    apolloContainers,
+    containerOperationNames = {}
   }, container, component, done) => {
 
+  const trackedContainers = requestTimeline ? trackContainerDependencies(apolloContainers({})) : null;
   return composeWithChain([
     mapToNamedResponseAndInputs('prePostMutationComparisons',
       // Once we are loaded, we've already run queries, so only call mutation functions here.
@@ -849,19 +1808,35 @@ const _testRenderTask = (
               response: null
             }
           ) :
-          _testRenderComponentMutationsTask({
+          testRenderComponentMutationsTask({
             apolloConfig: {apolloClient},
             mutationComponents,
             componentId,
             childDataId,
-            waitLength
+            waitLength,
+            omitKeysFromSnapshots
           }, wrapper, component);
       }
     ),
+    // Report the requests made until the data rendered, before the mutations add their own
+    mapToNamedResponseAndInputs('requestTimelineReport',
+      ({wrapper}) => {
+        return of(requestTimeline ?
+          _testRequestTimeline({
+            wrapper,
+            componentId,
+            containerOperationNames,
+            containerDependencies: trackedContainers.dependencies(),
+            ...requestTimeline
+          }) :
+          null
+        );
+      }
+    ),
     // Render component, calling queries
     mapToMergedResponseAndInputs(
       ({apolloClient, resolvedPropsContainer, componentId, childLoadingId, childDataId, childErrorId}) => {
-        return _testRenderComponentTask(
+        return testRenderComponentTask(
           {
             apolloClient,
             componentId,
@@ -870,9 +1845,10 @@ const _testRenderTask = (
             childErrorId,
             waitLength,
             theme,
+            renderer,
             authenticate
           },
-          container,
+          trackedContainers ? adopt(trackedContainers.containers) : container,
           component,
           resolvedPropsContainer
         );
@@ -894,7 +1870,16 @@ const _testRenderTask = (
     mutationComponents
   });
 };
-const _testRenderExpectations = ({testingAuthentication = false}, mutationComponents, updatedPaths) => {
+const _testRenderExpectations = (
+  {
+    testingAuthentication = false,
+    snapshotCacheDiffs = false,
+    testingRequestDepth = false,
+    tokenExpiryAssertions = 0
+  },
+  mutationComponents,
+  updatedPaths
+) => {
   // If we are testing authentication, to early assertions are run thrice because _testRenderTask
   // is called twice. The mutation tests are only run once when we are authorized to run them
   const multiplier = testingAuthentication ? 3 : 1;
@@ -903,322 +1888,85 @@ const _testRenderExpectations = ({testingAuthentication = false}, mutationCompon
   // TODO seems unneeded, but I don't know why
   const subtract = 0; //testingAuthentication ? 2 : 0;
   expect.assertions(
-    // Assertions during _testRenderComponentTask
+    // Assertions during testRenderComponentTask
     (2 * multiplier) - subtract +
     // Asserts that the child component was found
     1 +
     // One assertion per mutation component to prove the mutation function returned a value
     R.length(R.values(mutationComponents)) +
     // One per updated paths, which are keyed by mutation and valued by {component: [paths]}
-    R.length(R.chain(R.prop('component'), R.values(updatedPaths)))
+    R.length(R.chain(R.prop('component'), R.values(updatedPaths))) +
+    // One cache diff snapshot per mutation component
+    (snapshotCacheDiffs ? R.length(R.values(mutationComponents)) : 0) +
+    // The waterfall depth of the request timeline is within its budget
+    (testingRequestDepth ? 1 : 0) +
+    // Those of the token expiry scenarios. See tokenExpiryAssertionCount
+    tokenExpiryAssertions
   );
 };
 
-const _testRenderRunConfig = (updatedPaths, errors, done = null) => {
-  return defaultRunConfig({
-    onResolved: ({component, prePostMutationComparisons}) => {
-      expect(component.length).toBeGreaterThan(0); // We found the child, meaning we loaded data and rendered
-    }
-  }, errors, done);
-};
-
-
 /**
- * Tests rendering a component where Apollo query responses must be awaited.
- * We first check for the childLoadingId component to be loaded and then childDataId,
- * which is either the data ready or error component, depending on which result we are expeciting
+ * Builds the timeline of the requests the component has made, leaving out those of the harness's setup, optionally
+ * prints its critical path and writes the report, and expects the waterfall depth to be within maxDepth
  * @param {Object} config
- * @param config.apolloClient
- * @param config.componentId
- * @param {String} config.childLoadingId
- * @param {String} config.childDataId
- * @param {Number} config.waitLength Optional number of milliseconds to wait for asynchronous operations. Defaults to 10000
- * @param {Object} config.theme Chakra theme
- * @param {Object} container The apollo container to test
- * @param {Object} component The apollo component of the container to test
- * @param {Object} props The props to pass
- * @return {Task} A Task resolving to {wrapper, childComponent, component},
- * where wrapper is the mounted ApolloProvider->ReadAdopt->Containers->Component
- * and component is the Component within that stack. This result can be used to test mutations.
- * childComponent is the child of component that has the class containerId of childDataId
+ * @param {Object} config.wrapper The wrapper of the mounted component. See componentRequests
+ * @param {String} config.componentId Names the report and its file
+ * @param {Object} config.containerOperationNames Labels the requests with their container keys
+ * @param {Object} config.containerDependencies The containers that each container depends on
+ * @param {Number} [config.maxDepth] The most requests allowed on the critical path
+ * @param {Boolean} [config.report] If true, print the critical path
+ * @param {String} [config.reportDirectory] Where to write the JSON report
+ * @returns {Object} The report, {text, json}. See requestTimelineReport
  * @private
  */
-const _testRenderComponentTask = v((
+const _testRequestTimeline = (
   {
-    apolloClient,
+    wrapper,
     componentId,
-    childLoadingId,
-    childDataId,
-    waitLength,
-    theme,
-    authenticate,
-    errorMaker
-  }, container, component, resolvedPropsContainer) => {
-
-    const render = props => {
-      const _props = R.omit(['render', 'children'], props);
-      return e(
-        // Name the container so we can find it by name
-        nameComponent('TestContainer', container),
-        _props,
-        // These props contains the results of the Apollo queries and the mutation functions
-        // Merge them with the original props, which can return values unrelated to the apollo requests
-        responseProps => {
-          return nameComponent('testComponent', e(
-            component,
-            R.omit(['render', 'children'], R.merge(props, responseProps))
-          ));
-        }
-      );
-    };
-
-    const samplePropsContainer = composeWithComponentMaybeOrTaskChain([
-      props => {
-        return containerForApolloType(
-          {},
-          {
-            render: getRenderPropFunction(props),
-            response: props
-          }
-        );
-      },
-      mapTaskOrComponentToNamedResponseAndInputs({}, 'tokenAuth',
-        ({tokenAuthResponse, ...props}) => {
-          // Create the React element from container, passing the props and component via a render function.
-          // The react-adopt container expects to be given a render function so it can pass the results of the
-          // Apollo request components
-          return authenticate ?
-            // Login in to the server so the apolloClient is authenticated
-            mutateOnceAndWaitContainer(
-              {},
-              {responsePath: 'result.data.tokenAuth'},
-              tokenAuthResponse,
-              reqStrPathThrowing('render', props)
-            ) :
-            containerForApolloType(
-              {},
-              {
-                render: getRenderPropFunction(props),
-                response: props
-              }
-            );
-        }
-      ),
-      mapTaskOrComponentToNamedResponseAndInputs({}, 'tokenAuthResponse',
-        props => {
-          return tokenAuthMutationContainer(
-            {},
-            {outputParams: tokenAuthOutputParams},
-            props
-          );
-        }
-      ),
-
-      ({render}) => {
-        // Create the React element from container, passing the props and component via a render function.
-        // The react-adopt container expects to be given a render function so it can pass the results of the
-        // Apollo request components
-        return resolvedPropsContainer(
-          // Never pass the apolloClient to the resolved props container.
-          // We want to treat the latter as a component
-          {},
-          {render}
-        );
-      }
-    ])({render});
-
-    // Mount the sample props container, whose render method renders the component
-    const wrapper = mountWithApolloClient(
-      {apolloClient},
-      nameComponent('ChakraProvider',
-        e(ChakraProvider, {theme},
-          samplePropsContainer
-        ))
+    containerOperationNames,
+    containerDependencies,
+    maxDepth,
+    report: printReport = false,
+    reportDirectory
+  }) => {
+  const timeline = buildRequestTimeline(componentRequests(wrapper), containerOperationNames, containerDependencies);
+  const report = requestTimelineReport(timeline, {name: componentId});
+  if (printReport) {
+    console.info(report.text);
+  }
+  if (reportDirectory) {
+    fs.mkdirSync(reportDirectory, {recursive: true});
+    fs.writeFileSync(
+      path.join(reportDirectory, `${componentId}.requestTimeline.json`),
+      JSON.stringify(report.json, null, 2)
     );
+  }
+  if (!R.isNil(maxDepth)) {
+    expect(report.json.depth).toBeLessThanOrEqual(maxDepth);
+  }
+  return report;
+};
 
-    return composeWithChain([
-      ({rendered: {wrapper, component: container, childComponent: component}}) => {
-        return of({
-          wrapper,
-          container,
-          component: component.first()
-        });
-      },
-      mapToNamedResponseAndInputs('rendered',
-        ({wrapper, childLoadingId, childDataId, loading}) => {
-          const componentIdSearch = R.test(/^[A-Z]\S+/, componentId) ? componentId : `[data-testid='${componentId}']`;
-          const childLoadingIdSearch = R.test(/^[A-Z]\S+/, childLoadingId) ? childLoadingId : `[data-testid='${childLoadingId}']`;
-          const childDataIdSearch = R.test(/^[A-Z]\S+/, childDataId) ? childDataId : `[data-testid='${childDataId}']`;
-          const foundComponent = wrapper.find(componentIdSearch);
-          // If either loading or data component is found, we've succeeded
-          const loadedComponent = foundComponent.find(childLoadingIdSearch);
-          const dataComponent = foundComponent.find(childDataIdSearch);
-          // Make sure we have at least one match. There can be > 1 if child components inherit the className
-          expect(R.length(loadedComponent) || R.length(dataComponent)).toBeGreaterThan(0);
-
-          // TODO act doesn't suppress the warning as it should
-          // If we have an Apollo componentInstance, we use testing-library to await the query to run and the the child
-          // componentInstance that is dependent on the query result to render. If we don't have an Apollo componentInstance,
-          // this child will be rendered immediately without delay
-          // resolves to {wrapper, component, render: {childComponent}}
-          return waitForChildComponentRenderTask({
-            componentId,
-            childId: childDataId,
-            waitLength
-          }, wrapper);
-        }
-      ),
-      mapToNamedResponseAndInputs('loading',
-        ({waitLength, wrapper, childLoadingId, childDataId, foundContainer: {childComponent: foundContainer}}) => {
-          expect(foundContainer.length).toEqual(1);
-          // Make sure the componentInstance props are consistent since the last test run
-          return waitForChildComponentRenderTask({
-            componentId,
-            childId: childLoadingId,
-            // Some components go to data state immediately because there is nothing to load,
-            // so check this before waiting for loading state
-            alreadyChildId: childDataId,
-            waitLength
-          }, foundContainer);
-        }
-      ),
-      mapToNamedResponseAndInputs('foundContainer',
-        ({wrapper}) => {
-          return waitForChildComponentRenderTask({
-            componentId: 'ChakraProvider',
-            childId: 'TestContainer',
-            waitLength: waitLength
-          }, wrapper);
-        }
-      )
-    ])({wrapper, container, childLoadingId, childDataId});
-  },
-  [
-    ['config', PropTypes.shape({
-      authenticate: PropTypes.bool,
-      componentId: PropTypes.string.isRequired,
-      childLoadingId: PropTypes.string.isRequired,
-      childDataId: PropTypes.string.isRequired,
-      waitLength: PropTypes.number
-    })],
-    ['container', PropTypes.oneOfType([PropTypes.func, PropTypes.object]).isRequired],
-    ['component', PropTypes.oneOfType([PropTypes.func, PropTypes.object]).isRequired],
-    ['resolvedPropsContainer', PropTypes.func.isRequired]
-  ], '_testRenderComponentContainer'
-);
-
-const _testRenderComponentMutationsTask = (
-  {
-    apolloConfig,
-    mutationComponents,
-    componentId,
-    childDataId,
-    childErrorId,
-    waitLength,
-    errorProps
-  }, wrapper, childComponent) => {
-  // Store the state of the component's prop before the mutation
-  const apolloRenderProps = wrapper.find(componentId).props();
-  return composeWithChain([
-    ({mutationResponseObjects}) => {
-      return of(R.map(mutationResponseObject => {
-        const {mutationName, mutationResponse, updatedComponent} = mutationResponseObject;
-        return {
-          mutationName,
-          // Return the render props before and after the mutations so we can confirm that values changed
-          preMutationApolloRenderProps: apolloRenderProps,
-          postMutationApolloRenderProps: updatedComponent.instance() ?
-            updatedComponent.instance().props :
-            updatedComponent.props(),
-          // This isn't really needed. It just shows the return value of the mutation
-          mutationResponse
-        };
-      }, mutationResponseObjects));
-    },
-    // Call the mutate function of each mutation container. This will update the state of the mounted components
-    // If we have an errorMaker apply it
-    // Then find the components
-    ...mapObjToValues(
-      (mutationComponent, mutationName) => {
-        return mapTaskOrComponentToConcattedNamedResponseAndInputs(apolloConfig, 'mutationResponseObjects',
-          ({errorProps}) => {
-            // Get the mutate function that was returned in the props sent to the component's render function
-            // This mutate function is what HOC passes via render to the component for each composed
-            // mutation component
-            const {mutation, result, skip} = reqStrPathThrowing(mutationName, apolloRenderProps);
-            return composeWithChain([
-                mapToNamedResponseAndInputs('updatedComponent',
-                  ({}) => {
-                    const componentIdSearch = R.test(/^[A-Z]\S+/, componentId) ? componentId : `[data-testid='${componentId}']`;
-                    return of(wrapper.find(componentIdSearch).first());
-                  }
-                ),
-                // Wait for render again--this might be immediate
-                mapToNamedResponseAndInputs('childRendered',
-                  ({}) => {
-                    return waitForChildComponentRenderTask({
-                        componentId,
-                        childId: childErrorId || childDataId,
-                        waitLength
-                      },
-                      wrapper);
-                  }
-                ),
-                // Call the mutate function
-                mapToNamedResponseAndInputs('mutationResponse',
-                  ({errorProps, mutation, skip}) => {
-                    const task = fromPromised(() => {
-                      // We don't need to pass mutation variables because they are already set in the request
-                      if (skip) {
-                        throw Error(`Attempt to run a skipped mutation ${mutationName}, meaning its variables are not ready. This occurs when the component is ready before the mutation component is. Check the component renderChoicepoint settings to make sure the mutation component is awaited`);
-                      }
-                      // If we want to make an error condition in the props, do it now
-                      if (errorProps) {
-                        // Extract the mutation arg base name and error props
-                        const {name, props} = errorProps[mutationName]
-                        const {namedProps} = mutationParts(
-                          apolloConfig, {
-                            name, outputParams: {id: 1}
-                          },
-                          props
-                        );
-                        // Cause an error
-                        return mutation({variables: namedProps});
-                      }
-                      else {
-                        return mutation();
-                      }
-                    })();
-                    return task.orElse(error => {
-                      // If testing error, return the error
-                      return of(error);
-                    });
-                  }
-                )
-              ]
-            )({mutation, mutationName, skip, errorProps});
-          }
-        );
-      },
-      mutationComponents
-    )
-  // Default mutationResponseObjects in case there are no mutations
-  ])({errorProps, mutationResponseObjects: []});
+const _testRenderRunConfig = (updatedPaths, errors, done = null) => {
+  return defaultRunConfig({
+    onResolved: ({component, prePostMutationComparisons}) => {
+      expect(component.length).toBeGreaterThan(0); // We found the child, meaning we loaded data and rendered
+    }
+  }, errors, done);
 };
 
 /**
- * Tests changes in the results of the same mutation run twice for each mutation in prePostMutationComparisons
- * We can tests things like updateDate in updatePaths that changes on each mutation
- * @param {String} clientOrComponent 'client' or 'component'. The key to use for each updatePaths object.
- * We use client if we're testing mutations with an ApolloClient. We use component if we're testing with an
- * Apollo Component
- * @param {Object} updatedPaths Keyed by mutation name, valued by an Object. We only care about the
- * client key of the Object, which are paths into the mutation response, such as updateMutation.
- * @param {[{Object}]} prePostMutationComparisons Array of objects in the form:
- * {mutationName, mutationResponse, preMutationApolloRenderProps, postMutationApolloRenderProps}
- * where the latter two are the result of calling the mutation once then again, or the before and after state of a single mutation
+ * Asserts that each mutation returned a result and changed the values at its updatedPaths
+ * @param {String} clientOrComponent 'client' or 'component', the key of the paths to test in updatedPaths
+ * @param {Object} config
+ * @param {Object} config.updatedPaths See defaultUpdatePathsForMutationContainers
+ * @param {Boolean} [config.snapshotCacheDiffs] If true, also snapshot test each mutation's cacheDiff
+ * @param {[Object]} prePostMutationComparisons The comparisons of each mutation, each
+ * {mutationName, mutationResponse, preMutationApolloRenderProps, postMutationApolloRenderProps}, where the latter two
+ * are the result of calling the mutation once then again, or the before and after state of a single mutation
+ * @private
  */
-const testMutationChanges = (clientOrComponent, updatedPaths, prePostMutationComparisons) => {
+const testMutationChanges = (clientOrComponent, {updatedPaths, snapshotCacheDiffs}, prePostMutationComparisons) => {
   // We should get a non-null mutation result for every mutationComponent
   R.forEach(
     prePostMutationComparisons => {
@@ -1226,10 +1974,15 @@ const testMutationChanges = (clientOrComponent, updatedPaths, prePostMutationCom
         mutationName,
         mutationResponse,
         preMutationApolloRenderProps,
-        postMutationApolloRenderProps
+        postMutationApolloRenderProps,
+        cacheDiff
       } = prePostMutationComparisons;
       // Make sure the mutation returned something
       expect(R.head(R.values(strPathOr([], 'result.data', mutationResponse)))).toBeTruthy();
+      if (snapshotCacheDiffs) {
+        // The entities the mutation added, removed and changed and the queries it rebroadcast to
+        expect(cacheDiff).toMatchSnapshot(`${clientOrComponent} ${mutationName} cache diff`);
+      }
       const updatedPathsForMutaton = R.propOr({client: []}, mutationName, updatedPaths)[clientOrComponent];
       if (updatedPathsForMutaton) {
         R.forEach(
@@ -1262,7 +2015,8 @@ const _testRenderError = (
     updatedPaths,
     waitLength,
     authenticate,
-    theme
+    theme,
+    renderer
   }, container, component, done) => {
 
   expect.assertions(
@@ -1271,51 +2025,32 @@ const _testRenderError = (
 
   const errors = [];
   return composeWithChain([
-    mapToNamedResponseAndInputs('prePostMutationComparisons',
-      // Once we are loaded, we've already run queries, so only call mutation functions here.
-      // This will update the component with the mutated data.
-      // We don't actually change the values explicitly when we mutate here, so we assert it worked
-      // by checking the object's update timestamp at the end of the test
-      ({
-         apolloClient,
-         mutationComponents,
-         wrapper,
-         component,
-         componentId,
-         childDataId,
-         childErrorId,
-         errorMaker
-       }) => {
-        const props = component.props();
-        return _testRenderComponentMutationsTask({
-          errorProps: errorMaker ? errorMaker(props) : null,
-          apolloConfig: {apolloClient},
-          mutationComponents,
-          componentId,
-          childDataId,
-          childErrorId,
-          waitLength
-        }, wrapper, component);
-      }
-    ),
-    // Render component, calling queries
+    // Render component, calling queries. Once we are loaded, we've already run queries, so only call mutation
+    // functions with the props of errorMaker
     mapToMergedResponseAndInputs(
       ({
          apolloClient,
          resolvedPropsContainer,
+         mutationComponents,
          componentId,
          childLoadingId,
          childDataId,
-         authenticate
+         childErrorId,
+         authenticate,
+         errorMaker
        }) => {
-        return _testRenderComponentTask(
+        return testRenderErrorTask(
           {
             apolloClient,
+            errorMaker,
+            mutationComponents,
             componentId,
             childLoadingId,
             childDataId,
+            childErrorId,
             waitLength,
             theme,
+            renderer,
             authenticate
           },
           container,
@@ -1344,7 +2079,7 @@ const _testRenderError = (
     defaultRunConfig({
       onResolved: ({component, prePostMutationComparisons}) => {
         // Just make sure the error child component exists. If there are no mutations, just check the component exists
-        expect(strPathOr(component, '0.updatedComponent', prePostMutationComparisons)).toBeTruthy();
+        expect(strPathOr(component, '0.updatedProps', prePostMutationComparisons)).toBeTruthy();
       }
     }, errors, done)
   );
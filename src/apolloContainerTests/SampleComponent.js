@@ -169,6 +169,8 @@ Sample.choicepoint = p => {
       // meaning we are not ready to render a page that lets us run this mutation.
       // mutateRegion doesn't need onReady because it is always ready to run if the queries have completed
       mutateRegion: ['onError'],
+      // A subscription is loading until its first event, so only its errors matter
+      subscribeRegionUpdated: ['onError'],
       mutateUserRegion: ['onError', 'onReady']
     },
     p
@@ -10,6 +10,8 @@ import {
 } from '@rescapes/place';
 import {adopt} from 'react-adopt';
 import * as R from 'ramda';
+import * as AC from '@apollo/client';
+import {e} from '@rescapes/helpers-component';
 import {strPathOr, reqStrPathThrowing} from '@rescapes/ramda';
 import {
   apolloResponseFilterOrEmpty,
@@ -19,6 +21,29 @@ import {
   queryLocalTokenAuthContainer
 } from '@rescapes/apollo';
 
+const {gql, useSubscription} = AC;
+
+// Pushed whenever the region is saved
+const regionUpdatedSubscription = gql`
+  subscription regionUpdated($id: Int) {
+    regionUpdated(id: $id) {
+      id
+      updatedAt
+    }
+  }
+`;
+
+/**
+ * Subscribes to regionUpdated and passes the subscription result to render
+ * @param {Object} props
+ * @param {Object} props.variables The subscription variables
+ * @param {Boolean} props.skip True to not subscribe
+ * @param {Function} props.render The render function
+ */
+const RegionUpdatedSubscription = ({variables, skip, render}) => {
+  return render(useSubscription(regionUpdatedSubscription, {variables, skip}));
+};
+
 const userRegions = props => {
   return R.compose(
     queryUserStateRegions => {
@@ -151,6 +176,25 @@ export const apolloContainersSample = (apolloConfig = {}) => {
         )(props);
       },
 
+      // Listen for updates to the region
+      subscribeRegionUpdated: props => {
+        // Subscriptions only render, so there is nothing to run as a task
+        if (R.has('apolloClient', apolloConfig)) {
+          return containerForApolloType(
+            apolloConfig,
+            {
+              render: getRenderPropFunction(props),
+              response: null
+            }
+          );
+        }
+        return e(RegionUpdatedSubscription, {
+          variables: R.pick(['id'], R.propOr({}, 'region', props)),
+          skip: !R.propOr(false, 'region', props),
+          render: getRenderPropFunction(props)
+        });
+      },
+
       // Mutate the user region
       mutateUserRegion: props => {
         const mutateProps = R.merge(
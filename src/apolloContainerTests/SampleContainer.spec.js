@@ -1,3 +1,6 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import * as R from 'ramda';
 import Sample, {c} from './SampleComponent.js';
 import {c as cLogin} from './login/LoginComponent.js';
@@ -6,8 +9,10 @@ import {configToChainedPropsForSampleContainer} from './SampleContainer.sample.j
 import {VERSION_PROPS} from '@rescapes/apollo';
 import {apolloContainerTests, defaultUpdatePathsForMutationContainers} from '../apolloContainerTestHelpers.js';
 import {testAuthTask, testNoAuthTask} from '@rescapes/place';
+import {localTestAuthTask, localTestNoAuthTask} from '../localServer/localApolloConfig.js';
+import {createControllableClock, createLocalBackend} from '../localServer/localBackend.js';
 import * as chakraReact from '@chakra-ui/react';
-import {defaultNode} from '@rescapes/ramda';
+import {defaultNode, reqStrPathThrowing} from '@rescapes/ramda';
 
 import themeExtensions from './theme/index.js';
 const {extendTheme} = defaultNode(chakraReact);
@@ -48,6 +53,86 @@ const errorMaker = props => ({
   }
 });
 
+// Test against the GraphQL server at remoteConfig.settings.api.uri only when integration tests are enabled.
+// Otherwise use the in-process local schema
+const integrationTestsEnabled = process.env.ENABLE_INTEGRATION_TESTS === 'true';
+const [authTask, noAuthTask] = integrationTestsEnabled ?
+  [testAuthTask, testNoAuthTask] :
+  [localTestAuthTask, localTestNoAuthTask];
+// The local server can only expire tokens mid-session with a clock that testRenderAuthentication controls
+const expiryClock = integrationTestsEnabled ? null : createControllableClock();
+const expiryBackend = integrationTestsEnabled ? null : createLocalBackend({clock: expiryClock});
+// The cookie jar of the expiry client, so that testRenderAuthentication can reuse a spent refresh token
+const expirySession = integrationTestsEnabled ? null : expiryBackend.createSession();
+
+// The users that testRenderPersonas and testConcurrentUsers authenticate as. The anonymous persona doesn't authenticate
+const personaUsers = {
+  user: {
+    id: 1, firstName: 'Plain', lastName: 'User', email: 'user@example.com', username: 'user', password: 'userpass',
+    isStaff: false, isSuperuser: false, isActive: true
+  },
+  staff: {
+    id: 2, firstName: 'Staff', lastName: 'User', email: 'staff@example.com', username: 'staff', password: 'staffpass',
+    isStaff: true, isSuperuser: false, isActive: true
+  },
+  superuser: {
+    id: 3, firstName: 'Super', lastName: 'User', email: 'super@example.com', username: 'super', password: 'superpass',
+    isStaff: true, isSuperuser: true, isActive: true
+  }
+};
+const personaBackend = integrationTestsEnabled ? null : createLocalBackend({users: R.values(personaUsers)});
+const personaApolloConfigTask = persona => {
+  return R.has(persona, personaUsers) ?
+    localTestAuthTask({
+      backend: personaBackend,
+      testAuthorization: R.pick(['username', 'password'], R.prop(persona, personaUsers))
+    }) :
+    localTestNoAuthTask({backend: personaBackend});
+};
+// The local server only lets staff update regions, so the user may only mutate its own userState. The superuser
+// may also read and save the userStates of the other users. The anonymous persona is asked to login
+const personas = {
+  anonymous: {status: 'noAuthentication', views: [c.sampleLogin], mutations: []},
+  user: {status: 'data', views: [c.sampleLogout], mutations: ['mutateUserRegion']},
+  staff: {status: 'data', views: [c.sampleLogout], mutations: ['mutateRegion', 'mutateUserRegion']},
+  superuser: {status: 'data', views: [c.sampleLogout], mutations: ['mutateRegion', 'mutateUserRegion']}
+};
+
+// Renames the viewed region, as one user's edit of it
+const renameRegion = regionName => props => ({
+  name: 'region',
+  props: {region: R.merge(R.pick(['id'], reqStrPathThrowing('region', props)), {name: regionName})}
+});
+// The users of the persona server view the same region while editing it and their own userStates. Only staff may
+// edit the region, so the user's edit is denied
+const concurrentUsers = {
+  users: ['user', 'staff', 'superuser'],
+  scenarios: [
+    {
+      name: 'regionEditedWhileViewed',
+      steps: [{user: 'staff', mutationKey: 'mutateRegion', mutationProps: renameRegion('Edited by staff')}]
+    },
+    {
+      name: 'regionEditDenied',
+      steps: [{user: 'user', mutationKey: 'mutateRegion', mutationProps: renameRegion('Edited by user')}]
+    },
+    {
+      name: 'conflictingRegionEdits',
+      steps: [
+        {user: 'staff', mutationKey: 'mutateRegion', mutationProps: renameRegion('Edited by staff')},
+        {user: 'superuser', mutationKey: 'mutateRegion', mutationProps: renameRegion('Edited by superuser')}
+      ]
+    },
+    {
+      name: 'concurrentUserRegionEdits',
+      steps: [
+        {user: 'user', mutationKey: 'mutateUserRegion'},
+        {user: 'staff', mutationKey: 'mutateUserRegion'}
+      ]
+    }
+  ]
+};
+
 const omitKeysFromSnapshots = R.concat(['id', 'key', 'lastLogin', 'exp', 'origIat', 'token'], VERSION_PROPS);
 // We expect calling mutateRegion to update the updatedAt of the queryRegions response
 const updatedPaths = defaultUpdatePathsForMutationContainers(apolloContainersSample, {
@@ -63,51 +148,165 @@ const updatedPaths = defaultUpdatePathsForMutationContainers(apolloContainersSam
   }
 });
 
-describe('SampleContainer', () => {
+// The optimistic region that testRenderOptimistic expects queryRegions to render before the server responds.
+// Its updatedAt is far in the future so it differs from both the current and the server's updatedAt
+const optimisticResponses = {
+  mutateRegion: props => ({
+    updateRegion: {
+      __typename: 'RegionMutation',
+      region: R.merge(
+        reqStrPathThrowing('queryRegions.data.regions.0', props),
+        {updatedAt: '2100-01-01T00:00:00+00:00'}
+      )
+    }
+  })
+};
+
+// regionQueryVariationContainers runs only the variation whose key is the value of props.allowRequestProp
+const queryVariations = R.fromPairs(R.map(
+  containerKey => [containerKey, props => R.merge(props, {allowRequestProp: containerKey})],
+  ['queryRegions', 'queryRegionsMinimized', 'queryRegionsPaginated', 'queryRegionsPaginatedAll']
+));
+
+// The regionUpdated events that testSubscriptions publishes. Each must differ from the previous one
+const subscriptionEvents = {
+  subscribeRegionUpdated: R.map(
+    updatedAt => props => ({
+      regionUpdated: {
+        __typename: 'RegionType',
+        id: reqStrPathThrowing('region.id', props),
+        updatedAt
+      }
+    }),
+    ['2100-01-01T00:00:00+00:00', '2100-01-02T00:00:00+00:00']
+  )
+};
+
+// queryActiveRegions waits for the userStates of queryUserRegions, so the regions queries respond after the
+// userStates query they depend on even when held for less time. The component must render loading until all respond
+const timelines = [
+  {name: 'render', steps: ['loading', 'data']},
+  {
+    name: 'staggeredResponses',
+    steps: ['loading', 'data'],
+    delays: [{operationName: /userStates/i, delay: 100}, {operationName: /regions/i, delay: 300}]
+  },
+  {
+    name: 'reversedResponses',
+    steps: ['loading', 'data'],
+    delays: [{operationName: /userStates/i, delay: 300}, {operationName: /regions/i, delay: 100}]
+  }
+];
+
+// The apolloContainerTests config, mounting with the given renderer
+const sampleContainerTestConfig = renderer => ({
+  componentContext: {
+    componentId,
+    statusClasses: {
+      data: childDataId,
+      loading: childLoadingId,
+      error: childErrorId,
+      noAuthentication: childClassNoAuthenticationId
+    },
+    // The Chakra theme
+    theme,
+    // Mount with enzyme or testing-library
+    renderer
+  },
+  apolloContext: {
+    state: {},
+    apolloConfigContainer: (testName, persona) => {
+      if (R.includes(testName, ['testRenderPersonas', 'testConcurrentUsers'])) {
+        return personaApolloConfigTask(persona);
+      }
+      // Don't auth if we are testing authentication. We want to authenticate using mutation
+      if (R.includes(testName, ['testRenderAuthenticationNoAuth', 'testRenderTimelinesNoAuth'])) {
+        return noAuthTask();
+      }
+      return R.equals('testRenderAuthenticationExpiry', testName) ?
+        localTestAuthTask({backend: expiryBackend, session: expirySession}) :
+        authTask();
+    },
+    // This is called with one argument, null or and apolloConfig to return the containers
+    // Compose with the loginContainers and logoutContainers so we can test authentication
+    apolloContainers: apolloContainersSample
+  },
+  testContext: {
+    errorMaker,
+    // Don't snapshot compare these non-deterministic keys on any object
+    omitKeysFromSnapshots,
+    // This value should change when we mutate
+    updatedPaths,
+    optimisticResponses,
+    subscriptionEvents,
+    queryVariations,
+    timelines,
+    // The regions query variations, of which queryRegionsPaginatedAll requests both pages of the two sample regions,
+    // and queryActiveRegions. queryUserRegions' userStates query doesn't match the default operation name
+    requestCounts: {networkRequests: 6},
+    // Print the critical path of the requests that testRender makes
+    requestTimeline: {report: true},
+    // Poll queryRegions and expect the polls to render the updatedAt of mutateRegion
+    polling: {
+      pollIntervals: {queryRegions: 30000},
+      mutationKey: 'mutateRegion'
+    },
+    // These only read the cache
+    fetchPolicies: {
+      queryLocalTokenAuthContainer: ['cache-only'],
+      queryAuthenticatedUserLocalContainer: ['cache-only']
+    },
+    authorizeMutationKey: 'mutateTokenAuth',
+    deauthorizeMutationKey: 'mutateDeleteTokenCookie',
+    // Expire the token of the local server mid-session, renew it with the refresh token and reuse the spent one
+    tokenExpiry: integrationTestsEnabled ? null : {
+      clock: expiryClock,
+      refreshTokenCookie: () => expirySession.refreshToken
+    },
+    // Render as each persona of the local server
+    personas: integrationTestsEnabled ? {} : personas,
+    // Interleave the edits of users of the local server
+    concurrentUsers: integrationTestsEnabled ? {} : concurrentUsers,
+    // The local server rejects updates of stale versions
+    mutationConflicts: integrationTestsEnabled ? {} : {
+      mutateRegion: {name: 'region', changes: {name: 'Stale edit'}},
+      mutateUserRegion: {name: 'userState'}
+    },
+    // Fuzz the mutation inputs of the local server with oversized strings shorter than the default
+    mutationFuzzing: integrationTestsEnabled ? null : {oversizedLength: 1000}
+  }
+});
+
+// Runs every suite, mounting with the given renderer
+const describeSampleContainerTests = (name, renderer) => describe(name, () => {
 
   const {
     testComposeRequests,
     testQueries,
     testMutations,
     testRenderError,
+    testRenderFaults,
+    testRenderLoading,
+    testRenderTimelines,
+    testRenderPersonas,
+    testConcurrentUsers,
+    testRenderOptimistic,
+    testSubscriptions,
+    testPagination,
+    testQueryVariations,
+    testRequestCounts,
+    testCacheEviction,
+    testFetchPolicies,
+    testPolling,
+    testRefetchQueries,
+    testErrorPolicies,
+    testMutationConflicts,
+    testMutationFuzzing,
     testRender,
     testRenderAuthentication,
     afterEachTask
   } = apolloContainerTests(
-    {
-      componentContext: {
-        componentId,
-        statusClasses: {
-          data: childDataId,
-          loading: childLoadingId,
-          error: childErrorId,
-          noAuthentication: childClassNoAuthenticationId
-        },
-        // The Chakra theme
-        theme
-      },
-      apolloContext: {
-        state: {},
-        apolloConfigContainer: testName => {
-          // Don't auth if we are testing authentication. We want to authenticate using mutation
-          return R.includes(testName, ['testRenderAuthenticationNoAuth']) ? testNoAuthTask() : testAuthTask();
-        },
-        // This is called with one argument, null or and apolloConfig to return the containers
-        // Compose with the loginContainers and logoutContainers so we can test authentication
-        apolloContainers: apolloContainersSample
-      },
-      testContext: {
-        errorMaker,
-        // Don't snapshot compare these non-deterministic keys on any object
-        omitKeysFromSnapshots,
-        // This value should change when we mutate
-        updatedPaths,
-        authorizeMutationKey: 'mutateTokenAuth',
-        deauthorizeMutationKey: 'mutateDeleteTokenCookie',
-        loginComponentId: 'LoginComponent',
-        logoutComponentId: 'LogoutComponent'
-      }
-    },
+    sampleContainerTestConfig(renderer),
     container,
     component,
     configToChainedPropsForSampleContainer
@@ -122,5 +321,51 @@ describe('SampleContainer', () => {
   test('testRender', testRender, 100000);
   test('testRenderAuthentication', testRenderAuthentication, 100000);
   test('testRenderError', testRenderError, 100000);
+  test('testRenderFaults', testRenderFaults, 300000);
+  test('testRenderLoading', testRenderLoading, 100000);
+  test('testRenderTimelines', testRenderTimelines, 100000);
+  test('testRenderPersonas', testRenderPersonas, 100000);
+  test('testConcurrentUsers', testConcurrentUsers, 300000);
+  test('testRenderOptimistic', testRenderOptimistic, 100000);
+  test('testSubscriptions', testSubscriptions, 100000);
+  test('testPagination', testPagination, 100000);
+  test('testQueryVariations', testQueryVariations, 100000);
+  test('testRequestCounts', testRequestCounts, 100000);
+  test('testCacheEviction', testCacheEviction, 300000);
+  test('testFetchPolicies', testFetchPolicies, 300000);
+  test('testPolling', testPolling, 100000);
+  test('testRefetchQueries', testRefetchQueries, 100000);
+  test('testErrorPolicies', testErrorPolicies, 300000);
+  test('testMutationConflicts', testMutationConflicts, 100000);
+  test('testMutationFuzzing', testMutationFuzzing, 600000);
 });
 
+describeSampleContainerTests('SampleContainer', 'enzyme');
+describeSampleContainerTests('SampleContainer with the testingLibrary renderer', 'testingLibrary');
+
+// Records the requests of the suites that don't depend on timing against the server, then replays them without it
+describe('SampleContainer replaying recorded fixtures', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'SampleContainer-fixtures-'));
+  const fixtureTests = mode => apolloContainerTests(
+    R.over(
+      R.lensProp('apolloContext'),
+      R.merge(R.__, {fixtures: {directory, mode}}),
+      sampleContainerTestConfig('enzyme')
+    ),
+    container,
+    component,
+    configToChainedPropsForSampleContainer
+  );
+  const recording = fixtureTests('record');
+  const replaying = fixtureTests('replay');
+  afterEach(async () => {
+    await recording.afterEachTask.run().promise();
+  });
+  afterAll(() => {
+    fs.rmSync(directory, {recursive: true, force: true});
+  });
+
+  const testNames = ['testQueries', 'testMutations', 'testRender'];
+  R.forEach(testName => test(`${testName} recording`, recording[testName], 100000), testNames);
+  R.forEach(testName => test(`${testName} replaying`, replaying[testName], 100000), testNames);
+});
@@ -14,4 +14,4 @@ import LoginComponent from './LoginComponent.js';
 import {e} from '@rescapes/helpers-component';
 export const Login = props => {
   return e(LoginComponent, props);
-};;
\ No newline at end of file
+};
\ No newline at end of file
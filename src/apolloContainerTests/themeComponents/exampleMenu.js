@@ -15,7 +15,7 @@ import {e} from '@rescapes/helpers-component';
 import * as chakraCore from '@chakra-ui/react';
 import {defaultNode} from '@rescapes/ramda';
 
-const {Flex, StylesProvider, useMultiStyleConfig, useStyles} = defaultNode(chakraReact)
+const {Box, Flex, StylesProvider, useMultiStyleConfig, useStyles} = defaultNode(chakraReact)
 const {} = defaultNode(chakraCore);
 
 /*
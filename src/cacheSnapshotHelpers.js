@@ -0,0 +1,125 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import {omitDeep} from '@rescapes/ramda';
+import {operationKey} from './links/linkHelpers.js';
+
+/**
+ * @fileoverview Snapshots of the normalized Apollo cache and the structured difference between two of them.
+ * The harness takes them around each mutation to show which cached entities the mutation response changed and
+ * which queries the change was rebroadcast to
+ */
+
+// Replaces the value of redacted fields in a diff
+export const OMITTED_VALUE = '[omitted]';
+
+/**
+ * Reads the result of each query from the cache without going to the network
+ * @param {Object} apolloClient The ApolloClient
+ * @param {[Object]} operations Query operations with query, variables and operationName
+ * @returns {Object} The results keyed by operationKey. Results that can't be read from the cache are null
+ * @private
+ */
+const _cachedQueryResults = (apolloClient, operations) => {
+  return R.fromPairs(R.map(
+    operation => {
+      const {result} = apolloClient.cache.diff({
+        query: operation.query,
+        variables: operation.variables,
+        returnPartialData: true,
+        optimistic: false
+      });
+      return [operationKey(operation), R.isNil(result) ? null : result];
+    },
+    operations
+  ));
+};
+
+/**
+ * Snapshots the normalized cache and the cached results of the given queries
+ * @param {Object} apolloClient The ApolloClient
+ * @param {[Object]} [queryOperations] Query operations, e.g. those the apolloClient has sent,
+ * whose cached results are compared to find rebroadcast queries. See inFlightTracker.operations
+ * @returns {Object} {entities, queryResults}, where entities is cache.extract() keyed by dataId
+ */
+export const cacheSnapshot = (apolloClient, queryOperations = []) => {
+  return {
+    entities: R.clone(apolloClient.cache.extract()),
+    queryResults: _cachedQueryResults(apolloClient, queryOperations)
+  };
+};
+
+/**
+ * Redacts the omitKeys from the entities and field values of a diff. Changed fields keep their names but their
+ * values are replaced with OMITTED_VALUE, so a diff that only changes omitted fields still shows the change
+ * @param {[String]} omitKeys Keys to redact, such as omitKeysFromSnapshots
+ * @param {Object} diff The diff from diffCacheSnapshots
+ * @returns {Object} The redacted diff
+ * @private
+ */
+const _redactDiff = (omitKeys, diff) => {
+  const redactField = (values, field) => {
+    return R.includes(field, omitKeys) ?
+      {before: OMITTED_VALUE, after: OMITTED_VALUE} :
+      R.map(value => omitDeep(omitKeys, value), values);
+  };
+  return R.merge(diff, {
+    added: R.map(entity => omitDeep(omitKeys, entity), diff.added),
+    removed: R.map(entity => omitDeep(omitKeys, entity), diff.removed),
+    changed: R.map(fields => R.mapObjIndexed(redactField, fields), diff.changed)
+  });
+};
+
+/**
+ * Returns the structured difference between two cache snapshots
+ * @param {Object} before The snapshot from cacheSnapshot before the change
+ * @param {Object} after The snapshot from cacheSnapshot after the change
+ * @param {Object} [options]
+ * @param {[String]} [options.omitKeys] Keys to redact so the diff can be snapshot tested, such as
+ * omitKeysFromSnapshots
+ * @returns {Object} {added, removed, changed, rebroadcastQueries} where:
+ *  added: The entities only in after, keyed by dataId
+ *  removed: The entities only in before, keyed by dataId
+ *  changed: Keyed by the dataId of entities in both with different fields, valued by
+ *  {[fieldName]: {before, after}} for each differing field
+ *  rebroadcastQueries: The operation keys of the queries whose cached result changed. These are the queries
+ *  that a cache watcher, such as a rendered query container, is given a new result for
+ */
+export const diffCacheSnapshots = (before, after, {omitKeys = []} = {}) => {
+  const beforeEntities = R.propOr({}, 'entities', before);
+  const afterEntities = R.propOr({}, 'entities', after);
+  const changedFields = (beforeEntity, afterEntity) => {
+    return R.fromPairs(R.map(
+      field => [field, {before: R.prop(field, beforeEntity), after: R.prop(field, afterEntity)}],
+      R.filter(
+        field => !R.equals(R.prop(field, beforeEntity), R.prop(field, afterEntity)),
+        R.union(R.keys(beforeEntity), R.keys(afterEntity))
+      )
+    ));
+  };
+  const beforeResults = R.propOr({}, 'queryResults', before);
+  const afterResults = R.propOr({}, 'queryResults', after);
+  return _redactDiff(omitKeys, {
+    added: R.omit(R.keys(beforeEntities), afterEntities),
+    removed: R.omit(R.keys(afterEntities), beforeEntities),
+    changed: R.reject(
+      R.isEmpty,
+      R.mapObjIndexed(
+        (afterEntity, dataId) => changedFields(R.prop(dataId, beforeEntities), afterEntity),
+        R.pick(R.keys(beforeEntities), afterEntities)
+      )
+    ),
+    rebroadcastQueries: R.filter(
+      key => R.has(key, beforeResults) && !R.equals(R.prop(key, beforeResults), R.prop(key, afterResults)),
+      R.keys(afterResults)
+    )
+  });
+};
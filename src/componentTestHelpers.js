@@ -10,12 +10,12 @@
  */
 
 import {inspect} from 'util';
-import {createWaitForElement} from 'enzyme-wait';
 import PropTypes from 'prop-types';
 import enzyme from 'enzyme';
-import {promiseToTask, reqPathThrowing, reqStrPathThrowing} from '@rescapes/ramda';
-import * as apolloTestUtils from 'apollo-test-utils';
+import {reqPathThrowing, reqStrPathThrowing} from '@rescapes/ramda';
 import * as AC from '@apollo/client';
+import graphqlTools from 'graphql-tools';
+import graphql from 'graphql';
 import {SchemaLink} from '@apollo/client/link/schema';
 import {onError} from "@apollo/client/link/error";
 import {e, getClass} from '@rescapes/helpers-component';
@@ -28,15 +28,16 @@ import {ApolloProvider} from "react-apollo";
 import apolloReactHooks from '@apollo/react-hooks';
 import {getRenderPropFunction} from '@rescapes/apollo'
 import {containerForApolloType} from '@rescapes/apollo'
+import {createSchemaMocks} from './mockDataHelpers.js';
+import {resolveRenderer} from './renderers/renderers.js';
 
-const {of} = T;
+const {of, task} = T;
 const {ApolloProvider: ApolloHookProvider} = apolloReactHooks;
+const {ApolloClient, ApolloLink, InMemoryCache} = AC;
+const {addMocksToSchema} = graphqlTools;
+const {isSchema} = graphql;
 
-const {mount, shallow} = enzyme;
-
-
-// Importing this way because rollup can't find it
-const mockNetworkInterfaceWithSchema = apolloTestUtils.mockNetworkInterfaceWithSchema;
+const {shallow} = enzyme;
 
 /**
  * Create an initial test state based on the sampleConfig for tests to use.
@@ -60,33 +61,99 @@ export const testState = (createInitialState, sampleConfig) => createInitialStat
 export const propsFromSampleStateAndContainer = (initialState, containerPropMaker, sampleParentProps = {}) =>
   containerPropMaker(initialState, sampleParentProps);
 
-export const mockApolloClient = (schema, context) => {
-  const mockNetworkInterface = mockNetworkInterfaceWithSchema({schema});
-
-  const errorLink = onError(({graphQLErrors, response, operation}) => {
-    //if (graphQLErrors) {
-    //graphQLErrors.map(({message, locations, path}) =>
-    //console.log(
-    //  `[GraphQL error]: Message: ${message}, Location: ${locations}, Path: ${path}`
-    //)
-    //);
-    //}
+/**
+ * Creates an Apollo Client 3 client whose requests are resolved in-process by the given schema, so tests
+ * run without a server.
+ * The original positional form mockApolloClient(schema, context) is still accepted and is the same as
+ * mockApolloClient({schema, context})
+ * @param {Object} config
+ * @param {Object} config.schema The executable GraphQLSchema
+ * @param {Object} [config.mocks] graphql-tools mocks keyed by type name. Fields that have a resolver in the
+ * schema keep using it. The mocks only fill in fields without resolvers
+ * @param {Object|Boolean} [config.mockGenerator] Default {}. Generates deterministic data from the schema for every
+ * field without a resolver. config.mocks take precedence over the generated mocks. Pass false to only use
+ * config.mocks. See createSchemaMocks
+ * @param {Number} [config.mockGenerator.seed] Default 1. Keep the seed fixed so snapshots are stable
+ * @param {Date|String} [config.mockGenerator.now] Freezes all dates to this date
+ * @param {Object} [config.mockGenerator.overrides] Field values by type name, e.g. {RegionType: {name: 'Earth'}}
+ * @param {Object} [config.typePolicies] InMemoryCache typePolicies
+ * @param {Object|Function} [config.context] The resolver context or a function expecting the operation and
+ * returning the context. Use this for per-test context, such as the sample state
+ * @param {[Object]} [config.errors] Optional array. If given, the GraphQL errors and network errors of each
+ * operation are pushed to it as {operationName, graphQLErrors, networkError} so tests can assert on them
+ * @param {[Object]} [config.links] Apollo links to put in front of the schema link
+ * @returns {Object} The ApolloClient
+ */
+export const mockApolloClient = (config, context) => {
+  return isSchema(config) ?
+    _mockApolloClient(R.merge({schema: config}, context ? {context} : {})) :
+    _mockApolloClient(config);
+};
 
+const _mockApolloClient = v((
+  {
+    schema,
+    mocks,
+    mockGenerator = {},
+    typePolicies = {},
+    context = {},
+    errors,
+    links = []
+  }) => {
+  const errorLink = onError(({graphQLErrors, networkError, operation}) => {
+    errors.push({
+      operationName: operation.operationName,
+      graphQLErrors: graphQLErrors || [],
+      networkError: networkError || null
+    });
   });
-  const apolloCache = new InMemoryCache();
+  const allMocks = mockGenerator === false ?
+    mocks :
+    R.merge(createSchemaMocks(schema, mockGenerator), mocks || {});
   return new ApolloClient({
-    cache: apolloCache,
-    link: new SchemaLink({schema, context}),
-    networkInterface: mockNetworkInterface
+    cache: new InMemoryCache({typePolicies}),
+    link: ApolloLink.from(R.concat(
+      R.concat(errors ? [errorLink] : [], links),
+      [
+        new SchemaLink({
+          schema: allMocks ? addMocksToSchema({schema, mocks: allMocks, preserveResolvers: true}) : schema,
+          context
+        })
+      ]
+    ))
   });
-};
+}, [
+  ['config', PropTypes.shape({
+    schema: PropTypes.shape().isRequired,
+    mocks: PropTypes.shape(),
+    mockGenerator: PropTypes.oneOfType([
+      PropTypes.oneOf([false]),
+      PropTypes.shape({
+        seed: PropTypes.number,
+        now: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string]),
+        overrides: PropTypes.shape()
+      })
+    ]),
+    typePolicies: PropTypes.shape(),
+    context: PropTypes.oneOfType([PropTypes.shape(), PropTypes.func]),
+    errors: PropTypes.array,
+    links: PropTypes.array
+  }).isRequired]
+], 'mockApolloClient');
 
 /**
- * Creates a mockApolloClient
+ * Creates a mockApolloClient whose resolvers find the sample state in context.options.dataSource
+ * @param {Object} state The sample state
+ * @param {Object} resolvedSchema The executable GraphQLSchema whose resolvers read the state
+ * @param {Object} [config] Any other mockApolloClient config, such as mocks, typePolicies or errors.
+ * config.context is merged with the sample state context
+ * @returns {Object} The ApolloClient
  */
-export const mockApolloClientWithSamples = (state, resolvedSchema) => {
-  const context = {options: {dataSource: state}};
-  return mockApolloClient(resolvedSchema, context);
+export const mockApolloClientWithSamples = (state, resolvedSchema, {context = {}, ...config} = {}) => {
+  return mockApolloClient(R.merge(config, {
+    schema: resolvedSchema,
+    context: R.merge(context, {options: {dataSource: state}})
+  }));
 };
 
 /**
@@ -94,11 +161,14 @@ export const mockApolloClientWithSamples = (state, resolvedSchema) => {
  * @param apolloConfig
  * @param apolloConfig.apolloClient
  * @param componentElement A React component element
- * @param props for the component
- * @return {*}
+ * @param {Object} [options] Optional mount options, such as {attachTo: domNode} to mount into the document
+ * @param {String|Object} [options.renderer] Default 'enzyme'. The renderer to mount with, 'enzyme', 'testingLibrary'
+ * or a renderer object. See renderers.js
+ * @return {Object} The mounted wrapper. An enzyme ReactWrapper or a wrapper with the same methods that the
+ * test harness uses
  */
-export const mountWithApolloClient = v((apolloConfig, componentElement) => {
-  return mount(
+export const mountWithApolloClient = v((apolloConfig, componentElement, {renderer, ...options} = {}) => {
+  return resolveRenderer(renderer).mount(
     e(
       ApolloProvider,
       {client: reqStrPathThrowing('apolloClient', apolloConfig)},
@@ -107,13 +177,17 @@ export const mountWithApolloClient = v((apolloConfig, componentElement) => {
         {client: reqStrPathThrowing('apolloClient', apolloConfig)},
         componentElement
       )
-    )
+    ),
+    options
   );
 }, [
   ['apolloConfig', PropTypes.shape({
     apolloClient: PropTypes.shape().isRequired
   }).isRequired],
-  ['component', PropTypes.shape().isRequired]
+  ['component', PropTypes.shape().isRequired],
+  ['options', PropTypes.shape({
+    renderer: PropTypes.oneOfType([PropTypes.string, PropTypes.shape({mount: PropTypes.func.isRequired})])
+  })]
 ], 'mountWithApolloClient');
 
 /**
@@ -155,86 +229,250 @@ export const classifyChildClassName = childId => {
   ])(childId);
 };
 
+/**
+ * Returns the enzyme selector for an id. Ids that start with a capital are component names and used as is.
+ * Others are data-testids
+ * @param {String} id The component name or data-testid
+ * @returns {String} The selector
+ */
+export const testIdSearch = id => {
+  return R.test(/^[A-Z]\S+/, id) ? id : `[data-testid='${id}']`;
+};
+
+/**
+ * Finds the id in the wrapper with testIdSearch. The wrappers of renderers that only query the DOM, such as the
+ * testingLibrary renderer's, can't find components by name. For them a component name finds the mounted root,
+ * whose DOM is that of every mounted component. See renderers.js
+ * @param {Object} wrapper The mounted wrapper or a wrapper found in it
+ * @param {String} id The component name or data-testid
+ * @returns {Object} The wrapper of the matches
+ */
+export const findById = (wrapper, id) => {
+  return R.test(/^[A-Z]\S+/, id) && R.propOr(false, 'domOnly', wrapper.root()) ?
+    wrapper.root() :
+    wrapper.find(testIdSearch(id));
+};
+
+/**
+ * Returns the topmost DOM ancestor of the mounted wrapper, which is the node enzyme mounted into or the document
+ * when mounted with attachTo. Returns null if the wrapper has no DOM yet
+ * @param {Object} wrapper The mounted enzyme wrapper
+ * @returns {Object} The DOM node or null
+ * @private
+ */
+const _mountRootNode = wrapper => {
+  try {
+    let node = wrapper.root().getDOMNode();
+    while (node && node.parentNode) {
+      node = node.parentNode;
+    }
+    return node || null;
+  } catch (e) {
+    // The root rendered nothing or more than one node
+    return null;
+  }
+};
+
+/**
+ * Calls check each time the DOM that the wrapper is mounted into changes and each time an Apollo operation of
+ * inFlightTracker settles, until check returns true or waitLength passes. If the wrapper has a waitFor method, such
+ * as the testingLibrary renderer's, it is used instead of observing the DOM. The wrapper is only polled if the DOM
+ * can't be observed. check is called once right away
+ * @param {Object} config
+ * @param {Function} config.check Nullary function returning true once the wait is over
+ * @param {Function} config.onTimeout Nullary function called if check hasn't returned true after waitLength
+ * @param {Number} config.waitLength Milliseconds to wait
+ * @param {Object} [config.inFlightTracker] The tracker of the apolloClient. See inFlightTrackerForApolloClient
+ * @param {Number} [config.pollInterval] Default 50 ms. The polling interval when the DOM can't be observed, or the
+ * interval of the renderer's waitFor
+ * @param {Object} wrapper The mounted wrapper
+ * @returns {Function} Nullary function that stops checking. Checking already stops once check returns true or at the
+ * timeout
+ */
+export const checkOnRenders = ({check, onTimeout, waitLength, inFlightTracker, pollInterval = 50}, wrapper) => {
+  let stopped = false;
+  let observer = null;
+  let pollTimer = null;
+  let timeoutTimer = null;
+  let settleTimer = null;
+  let unregisterSettled = null;
+
+  const stop = () => {
+    stopped = true;
+    if (observer) {
+      observer.disconnect();
+    }
+    if (unregisterSettled) {
+      unregisterSettled();
+    }
+    clearInterval(pollTimer);
+    clearTimeout(timeoutTimer);
+    clearTimeout(settleTimer);
+  };
+  const run = () => {
+    if (stopped) {
+      return true;
+    }
+    const done = check();
+    if (done) {
+      stop();
+    }
+    return done;
+  };
+
+  if (run()) {
+    return stop;
+  }
+
+  // Check each time the DOM changes. React has committed the render by the time the observer is called
+  const rootNode = _mountRootNode(wrapper);
+  // The root is the document when mounted with attachTo
+  const view = rootNode && (rootNode.defaultView || rootNode.ownerDocument.defaultView);
+  if (R.is(Function, wrapper.root().waitFor)) {
+    // The renderer has its own waitFor, such as testing-library's. It rejects at the timeout, which is handled below
+    wrapper.root().waitFor(() => {
+      if (!run()) {
+        throw new Error('Waiting for a render');
+      }
+    }, {timeout: waitLength, interval: pollInterval}).catch(R.identity);
+  } else if (view && view.MutationObserver) {
+    observer = new view.MutationObserver(() => run());
+    observer.observe(rootNode, {childList: true, subtree: true, attributes: true, characterData: true});
+  } else {
+    pollTimer = setInterval(run, pollInterval);
+  }
+
+  // Check after Apollo operations settle, in case the render they cause changes no observed DOM
+  if (inFlightTracker) {
+    unregisterSettled = inFlightTracker.onSettled(() => {
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(run, 0);
+    });
+  }
+
+  timeoutTimer = setTimeout(() => {
+    stop();
+    onTimeout();
+  }, waitLength);
+  return stop;
+};
+
 /**
  * Waits for a child component with the given className to render. Useful for apollo along with Enzyme
  * 3, since Enzyme 3 doesn't keep it's wrapper synced with all DOM changes, and Apollo doesn't expose
- * any event that announces when the network status changes to 7 (loaded)
+ * any event that announces when the network status changes to 7 (loaded).
+ * The wrapper is checked each time the DOM it is mounted into changes and each time an Apollo operation of
+ * config.inFlightTracker settles. See checkOnRenders
  * @param {Object} config
  * @param {String|Object|Function} config.componentId or The component name or component or anything that can be found
- * of the wrapper whose render method will render the child component. This is search for by
- * wrapper.find(componentId) and failing that wrapper.find(`[data-testid'=${componentId}`])
- * @param {String} config.childId The child class id  to search for periodically
- * @param {String} [config.alreadyChildId] A child class to check for. If it already exists,
- * skip waiting for childclassName. This is handy to look for the ready state when a component is never actually in the loading state
+ * of the wrapper whose render method will render the child component. This is searched for with findById
+ * @param {String} config.childId The child class id  to search for
+ * @param {String} [config.alreadyChildId] A child class to check for. If it already exists or renders while waiting,
+ * stop waiting for childclassName. This is handy to look for the ready state when a component is never actually in
+ * the loading state
  * @param {Number} [config.waitLength] Default 10000 ms. Set longer for longer queries
- * @param {Object} wrapper The mounted enzyme Component
- * @returns {Task} A task that returns the component matching childId or if an error
- * occurs return an Error with the message and dump of the props
+ * @param {Object} [config.statusClasses] Keyed by status name and valued by child id, e.g.
+ * {loading: childLoadingId, data: childDataId}. The statuses found at each check are reported in statusSequence.
+ * Defaults to childId and alreadyChildId keyed by themselves
+ * @param {Object} [config.inFlightTracker] The tracker of the apolloClient. See inFlightTrackerForApolloClient
+ * @param {Number} [config.pollInterval] Default 50 ms. The polling interval when the DOM can't be observed, or the
+ * interval of the renderer's waitFor
+ * @param {Object} wrapper The mounted enzyme Component or the wrapper of another renderer. If the wrapper has a
+ * waitFor method, such as the testingLibrary renderer's, it is used instead of observing the DOM
+ * @returns {Task} A task that returns {wrapper, component, childComponent, elapsed, statusSequence} where
+ * childComponent matches childId, elapsed is the milliseconds waited and statusSequence is the statuses observed in
+ * order without consecutive duplicates. If the wait times out the Task rejects with an Error with the message and
+ * dump of the props
  */
 export const waitForChildComponentRenderTask = v(({
                                                     componentId,
                                                     childId,
                                                     alreadyChildId,
-                                                    waitLength = 10000
+                                                    waitLength = 10000,
+                                                    statusClasses,
+                                                    inFlightTracker,
+                                                    pollInterval = 50
                                                   }, wrapper) => {
 
-    const componentIdSearch = R.test(/^[A-Z]\S+/, componentId) ? componentId : `[data-testid='${componentId}']`;
-    const alreadyChildIIdSearch = alreadyChildId && R.test(/^[A-Z]\S+/, alreadyChildId) ? alreadyChildId : `[data-testid='${alreadyChildId}']`;
-    const childIIdSearch = R.test(/^[A-Z]\S+/, childId) ? childId : `[data-testid='${childId}']`;
-    const component = wrapper.find(componentIdSearch);
+    const childIdSearch = testIdSearch(childId);
+    const _statusClasses = statusClasses || R.fromPairs(
+      R.map(id => [id, id], R.reject(R.isNil, [alreadyChildId, childId]))
+    );
+    const _error = new Error();
 
-    // If alreadyChildId already exists, return it.
-    // This happens when the component never was in the loading state but went straight to the ready/data state
-    if (alreadyChildId && R.length(component.find(alreadyChildIIdSearch))) {
-      return of({wrapper, component, childComponent: component.find(childIIdSearch)});
-    }
+    return task(resolver => {
+      const start = Date.now();
+      const statusHistory = [];
 
-    // Wait for the child component to render, which indicates that data loading completed
-    const waitForChild = createWaitForElement(
-      childIIdSearch,
-      waitLength
-    );
-    const find = component.find;
-    // Override find to call update each time we poll for an update
-    // Enzyme 3 doesn't stay synced with React DOM changes without update
-    component.find = (...args) => {
-      try {
-        wrapper.update();
-      } catch (e) {
-        console.warn("Couldn't update wrapper. Assuming that render failed.");
-        // If update failed because of a component error, just quit
-      }
-      // Find the component with the updated wrapper, otherwise we get the old component
-      return find.apply(wrapper.find(componentIdSearch), args);
-    };
-    const _error = new Error()
-    return promiseToTask(waitForChild(component)).map(
-      component => {
-        // We need to get the updated reference to the component that has all requests finished
-        const updatedComponent = wrapper.find(componentIdSearch);
-        return {wrapper, component: updatedComponent, childComponent: updatedComponent.find(childIIdSearch)};
-      }).orElse(
-      error => {
-        const comp = wrapper.find(componentIdSearch);
-        if (comp.length) {
-          const errorMessage = `${error.message}
-        \n${error.stack}
-        \n${comp.debug()}
-        \n${inspect(comp.props().data, {depth: 3})}
-      `;
-          console.error(errorMessage);
+      // Enzyme 3 doesn't stay synced with React DOM changes without update, which only the root wrapper supports
+      const findComponent = () => {
+        const root = wrapper.root();
+        try {
+          root.update();
+        } catch (e) {
+          // If update failed because of a component error, just quit
+          console.warn("Couldn't update wrapper. Assuming that render failed.");
+        }
+        return findById(root, componentId);
+      };
+
+      const statusSequence = () => R.dropRepeats(R.unnest(statusHistory));
+
+      const check = () => {
+        // Stop checking once cancelled
+        if (resolver.isCancelled) {
+          return true;
+        }
+        const component = findComponent();
+        statusHistory.push(R.keys(R.filter(id => R.length(findById(component, id)) > 0, _statusClasses)));
+        const found = R.length(findById(component, childId)) ||
+          (alreadyChildId && R.length(findById(component, alreadyChildId)));
+        if (found) {
+          resolver.resolve({
+            wrapper,
+            component,
+            childComponent: findById(component, childId),
+            elapsed: Date.now() - start,
+            statusSequence: statusSequence()
+          });
+        }
+        return found;
+      };
+
+      const onTimeout = () => {
+        const component = findComponent();
+        const error = new Error(
+          `Timed out after ${waitLength} ms waiting for ${childIdSearch}. Observed statuses: ${
+            R.join(', ', statusSequence())
+          }. In flight: ${inFlightTracker ? R.join(', ', inFlightTracker.inFlight()) : 'unknown'}`
+        );
+        if (component.length) {
+          console.error(`${error.message}
+        \n${component.debug()}
+        \n${inspect(component.props().data, {depth: 3})}
+      `);
           console.error(_error.stack);
-          throw error
-        } else {
-          throw error;
         }
-      });
+        resolver.reject(error);
+      };
+
+      // Register the cleanup first, since check can resolve right away and a settled task takes no cleanup
+      let stopChecking = null;
+      resolver.cleanup(() => stopChecking && stopChecking());
+      stopChecking = checkOnRenders({check, onTimeout, waitLength, inFlightTracker, pollInterval}, wrapper);
+    });
   },
   [
     ['config', PropTypes.shape({
       componentId: PropTypes.string.isRequired,
       childId: PropTypes.string.isRequired,
-      waitLength: PropTypes.number
+      alreadyChildId: PropTypes.string,
+      waitLength: PropTypes.number,
+      statusClasses: PropTypes.objectOf(PropTypes.string),
+      inFlightTracker: PropTypes.shape({
+        onSettled: PropTypes.func.isRequired
+      }),
+      pollInterval: PropTypes.number
     }).isRequired],
     ['wrapper', PropTypes.shape().isRequired]
   ], 'waitForChildComponentRenderTask');
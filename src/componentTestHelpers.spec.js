@@ -10,7 +10,12 @@
  */
 
 import * as R from 'ramda';
-import {classifyChildClassName, testState} from './componentTestHelpers.js';
+import * as AC from '@apollo/client';
+import graphqlTools from 'graphql-tools';
+import {classifyChildClassName, mockApolloClient, testState} from './componentTestHelpers.js';
+
+const {ApolloLink, gql} = AC;
+const {makeExecutableSchema} = graphqlTools;
 
 const createInitialState = config => R.merge({
   foo: 'boo'
@@ -19,6 +24,36 @@ const sampleConfig = {
   bar: 'roo'
 };
 
+// Regions resolve from the context. Projects have no resolver, so only mocks can fill them in
+const schema = makeExecutableSchema({
+  typeDefs: `
+    type RegionType {
+      id: Int
+      key: String
+      name: String
+    }
+    type ProjectType {
+      id: Int
+      name: String
+    }
+    type Query {
+      regions: [RegionType]
+      projects: [ProjectType]
+      failing: String
+    }
+  `,
+  resolvers: {
+    Query: {
+      regions: (parent, args, {regions}) => regions,
+      failing: () => {
+        throw new Error('Failing on purpose');
+      }
+    }
+  }
+});
+const context = {regions: [{id: 1, key: 'earth', name: 'Earth'}]};
+const regionsQuery = gql`query regions { regions { id key name } }`;
+
 
 describe('componentTestHelpers', () => {
 
@@ -34,4 +69,72 @@ describe('componentTestHelpers', () => {
     // Leave alone capitalized strings that seem to be component names, so enzyme can match on the name
     expect(classifyChildClassName('InteractiveSuperMapComponent')).toEqual('InteractiveSuperMapComponent')
   })
+
+  test('mockApolloClient', async () => {
+    const {data} = await mockApolloClient({schema, context}).query({query: regionsQuery});
+    expect(data.regions).toEqual([{__typename: 'RegionType', id: 1, key: 'earth', name: 'Earth'}]);
+    // The original positional form
+    const {data: positionalData} = await mockApolloClient(schema, context).query({query: regionsQuery});
+    expect(positionalData).toEqual(data);
+  });
+
+  test('mockApolloClient with mocks', async () => {
+    const {data} = await mockApolloClient({
+      schema,
+      context,
+      mocks: {ProjectType: () => ({name: 'Mocked'}), RegionType: () => ({name: 'Mocked'})}
+    }).query({query: gql`query regionsAndProjects { regions { id name } projects { name } }`});
+    // Mocks fill in projects, which have no resolver, but don't replace the regions resolver
+    expect(R.map(R.prop('name'), data.regions)).toEqual(['Earth']);
+    expect(R.uniq(R.map(R.prop('name'), data.projects))).toEqual(['Mocked']);
+  });
+
+  test('mockApolloClient with mockGenerator', async () => {
+    const query = gql`query regionsAndProjects { regions { id name } projects { id name } }`;
+    const queryData = async config => {
+      const {data} = await mockApolloClient(R.merge({schema, context}, config)).query({query});
+      return data;
+    };
+    // By default the schema generates projects, which have no resolver, and the regions resolver is kept
+    const generated = await queryData({});
+    expect(R.map(R.prop('name'), generated.regions)).toEqual(['Earth']);
+    expect(R.length(generated.projects)).toBeGreaterThan(0);
+    // The same seed generates the same data
+    expect(await queryData({mockGenerator: {seed: 1}})).toEqual(generated);
+    expect((await queryData({mockGenerator: {seed: 2}})).projects).not.toEqual(generated.projects);
+    const overridden = await queryData({mockGenerator: {overrides: {ProjectType: {name: 'Generated'}}}});
+    expect(R.uniq(R.map(R.prop('name'), overridden.projects))).toEqual(['Generated']);
+    // Without the generator only the resolvers answer
+    expect((await queryData({mockGenerator: false})).projects).toBeNull();
+  });
+
+  test('mockApolloClient with typePolicies', async () => {
+    const apolloClient = mockApolloClient({
+      schema,
+      context,
+      typePolicies: {RegionType: {keyFields: ['key']}}
+    });
+    await apolloClient.query({query: regionsQuery});
+    expect(R.keys(apolloClient.cache.extract())).toContain('RegionType:{"key":"earth"}');
+  });
+
+  test('mockApolloClient with errors', async () => {
+    const errors = [];
+    const apolloClient = mockApolloClient({schema, context, errors});
+    await expect(apolloClient.query({query: gql`query failing { failing }`})).rejects.toThrow('Failing on purpose');
+    expect(R.map(R.pick(['operationName', 'networkError']), errors)).toEqual([
+      {operationName: 'failing', networkError: null}
+    ]);
+    expect(R.map(R.prop('message'), errors[0].graphQLErrors)).toEqual(['Failing on purpose']);
+  });
+
+  test('mockApolloClient with links', async () => {
+    const operationNames = [];
+    const recordingLink = new ApolloLink((operation, forward) => {
+      operationNames.push(operation.operationName);
+      return forward(operation);
+    });
+    await mockApolloClient({schema, context, links: [recordingLink]}).query({query: regionsQuery});
+    expect(operationNames).toEqual(['regions']);
+  });
 });
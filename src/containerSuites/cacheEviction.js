@@ -0,0 +1,233 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {operationLogForApolloClient} from '../links/operationLogLinks.js';
+import {
+  componentProps,
+  filterForQueryContainers,
+  sequenceTasks,
+  settleRequestsTask,
+  testRenderComponentTask,
+  unmountTestComponent
+} from './suiteHelpers.js';
+
+const {of} = T;
+
+/**
+ * @fileoverview The testCacheEviction suite of apolloContainerTests, which evicts each entity that the component renders
+ * and asserts that the component refetches it or renders its loading or error state
+ */
+
+/**
+ * Returns the cache ids of the entities in a query result, deep
+ * @param {Object} apolloClient The ApolloClient, whose cache identifies the entities
+ * @param {*} value The query result or any value within it
+ * @returns {[String]} The cache ids, such as 'RegionType:1'. Objects the cache can't identify are only searched
+ * @private
+ */
+const _cacheEntityIds = (apolloClient, value) => {
+  if (R.is(Array, value)) {
+    return R.uniq(R.chain(item => _cacheEntityIds(apolloClient, item), value));
+  }
+  if (!R.is(Object, value)) {
+    return [];
+  }
+  const id = R.has('__typename', value) ? apolloClient.cache.identify(value) : null;
+  return R.uniq(R.concat(
+    id ? [id] : [],
+    R.chain(item => _cacheEntityIds(apolloClient, item), R.values(value))
+  ));
+};
+
+/**
+ * Mounts the component once to find the entities in its query results, then once per entity, evicting the entity
+ * from the cache and garbage collecting after the data renders. Asserts that the component then refetches or
+ * renders its loading or error state
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Nullary function returning a Task that resolves to a new {apolloClient}
+ * @param {Object} [config.cacheEviction] See testContext.cacheEviction of apolloContainerTests
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} apolloContainers The containers keyed by name
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const cacheEvictionSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    cacheEviction: {typenames, settleLength = 100},
+    waitLength,
+    theme,
+    renderer
+  }, apolloContainers, container, component, done) => {
+
+  const errors = [];
+  const queryContainerKeys = R.keys(filterForQueryContainers(apolloContainers));
+  const renderConfig = {
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    waitLength,
+    theme,
+    renderer
+  };
+
+  composeWithChain([
+    // Evict the entities one at a time
+    entityIds => {
+      // The two assertions of testRenderComponentTask for the first render, then those plus the outcome per entity.
+      // The entities are only known once the data renders
+      expect.assertions(2 + 3 * R.length(entityIds));
+      return sequenceTasks(
+        entityId => _testCacheEvictionTask(
+          R.merge(renderConfig, {apolloConfigContainer, settleLength}),
+          entityId,
+          container,
+          component
+        ),
+        entityIds
+      );
+    },
+    // Find the entities in the results of the query containers
+    ({apolloClient, wrapper}) => {
+      const props = componentProps(wrapper);
+      const entityIds = R.compose(
+        R.filter(entityId => !typenames || R.includes(R.head(R.split(':', entityId)), typenames)),
+        R.uniq,
+        R.chain(key => _cacheEntityIds(apolloClient, R.pathOr(null, [key, 'data'], props)))
+      )(queryContainerKeys);
+      unmountTestComponent({wrapper});
+      return of(entityIds);
+    },
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return testRenderComponentTask(
+          R.merge(R.omit(['resolvedPropsContainer', 'childErrorId'], renderConfig), {apolloClient, authenticate: true}),
+          container,
+          component,
+          resolvedPropsContainer
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer()
+    )
+  ])({}).run().listen(
+    defaultRunConfig({
+      onResolved: evictionResults => {
+        // The assertions were made per entity
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Renders the component, evicts the entity from the cache and garbage collects. Asserts that the component then
+ * refetched and rendered its data, or rendered its loading or error state, rather than crashing or rendering nothing
+ * @param {Object} config See cacheEvictionSuite
+ * @param {String} entityId The cache id of the entity to evict
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to {entityId, outcome}, where outcome is 'refetched', 'loading' or 'error' on
+ * success
+ * @private
+ */
+const _testCacheEvictionTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    settleLength,
+    waitLength,
+    theme,
+    renderer
+  }, entityId, container, component) => {
+
+  return composeWithChain([
+    ({apolloClient, wrapper, statusRecorder, mountNode, networkRequestsBefore, crash}) => {
+      const statuses = statusRecorder.sample();
+      unmountTestComponent({wrapper, statusRecorder, mountNode});
+      const networkRequestsAfter = R.length(operationLogForApolloClient(apolloClient).networkRequests());
+      const outcome = R.cond([
+        [() => !!crash, () => `crashed: ${crash}`],
+        [R.includes('error'), R.always('error')],
+        [R.includes('loading'), R.always('loading')],
+        [R.includes('data'), () => networkRequestsAfter > networkRequestsBefore ? 'refetched' : 'stale'],
+        [R.T, R.always('nothing rendered')]
+      ])(statuses);
+      expect({entityId, outcome}).toEqual({entityId, outcome: expect.stringMatching(/^(refetched|loading|error)$/)});
+      return of({entityId, outcome});
+    },
+    // Let the refetches finish
+    mapToNamedResponseAndInputs('settled',
+      ({apolloClient}) => settleRequestsTask(apolloClient, settleLength, waitLength)
+    ),
+    // Evict the entity and garbage collect what only it referenced. A component that can't render the missing data
+    // throws here, since the cache notifies the queries synchronously
+    mapToNamedResponseAndInputs('crash',
+      ({apolloClient}) => {
+        try {
+          apolloClient.cache.evict({id: entityId});
+          apolloClient.cache.gc();
+          return of(null);
+        } catch (error) {
+          return of(error.message);
+        }
+      }
+    ),
+    // Count the requests that reached the network before the eviction
+    mapToNamedResponseAndInputs('networkRequestsBefore',
+      ({apolloClient}) => {
+        return of(R.length(operationLogForApolloClient(apolloClient).networkRequests()));
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return testRenderComponentTask(
+          {
+            apolloClient,
+            componentId,
+            childLoadingId,
+            childDataId,
+            waitLength,
+            theme,
+            renderer,
+            authenticate: true,
+            statusClasses: R.reject(R.isNil, {loading: childLoadingId, data: childDataId, error: childErrorId})
+          },
+          container,
+          component,
+          resolvedPropsContainer
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer()
+    )
+  ])({});
+};
@@ -0,0 +1,258 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs,
+  omitDeep,
+  reqStrPathThrowing
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {mutationParts} from '@rescapes/apollo';
+import {
+  componentProps,
+  sequenceTasks,
+  settleRequestsTask,
+  testRenderComponentTask,
+  unmountTestComponent
+} from './suiteHelpers.js';
+
+const {fromPromised, of, rejected} = T;
+
+/**
+ * @fileoverview The testConcurrentUsers suite of apolloContainerTests, which renders the component for several users of
+ * one server and asserts that their caches agree after each user mutates
+ */
+
+/**
+ * Runs each scenario of concurrentUsers in turn. See testContext.concurrentUsers of apolloContainerTests
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Unary function expecting the user name and returning a Task that
+ * resolves to a new {apolloClient} of the user
+ * @param {Object} config.concurrentUsers See testContext.concurrentUsers of apolloContainerTests
+ * @param {[String]} [config.omitKeysFromSnapshots] Keys to omit from the snapshots
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const concurrentUsersSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    concurrentUsers: {users = [], scenarios = []},
+    omitKeysFromSnapshots = [],
+    waitLength,
+    theme,
+    renderer
+  }, container, component, done) => {
+
+  const errors = [];
+  // Per scenario, the two assertions of testRenderComponentTask per user, the agreement of the caches and a snapshot
+  expect.assertions(R.length(scenarios) * (2 * R.length(users) + 2));
+
+  sequenceTasks(
+    scenario => _testConcurrentUsersScenarioTask(
+      {
+        apolloConfigContainer,
+        resolvedPropsContainer,
+        componentId,
+        childLoadingId,
+        childDataId,
+        users,
+        omitKeysFromSnapshots,
+        waitLength,
+        theme,
+        renderer
+      },
+      scenario,
+      container,
+      component
+    ),
+    scenarios
+  ).run().listen(
+    defaultRunConfig({
+      onResolved: scenarioResults => {
+        // The assertions were made per scenario
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Returns the normalized entities of the apolloClient's cache, without the root objects
+ * @param {Object} apolloClient The ApolloClient
+ * @returns {Object} The entities keyed by cache id
+ * @private
+ */
+const _cacheEntities = apolloClient => {
+  return R.omit(['ROOT_QUERY', 'ROOT_MUTATION', 'ROOT_SUBSCRIPTION'], apolloClient.cache.extract());
+};
+
+/**
+ * Returns the ids of the entities that are cached by every client but differ in the fields that they all cached
+ * @param {[Object]} entitiesOfClients The entities of each client's cache. See _cacheEntities
+ * @returns {[String]} The cache ids whose entities disagree
+ * @private
+ */
+const _disagreeingEntityIds = entitiesOfClients => {
+  const sharedIds = R.reduce(R.intersection, R.keys(R.head(entitiesOfClients)), R.map(R.keys, entitiesOfClients));
+  return R.filter(
+    id => {
+      const entities = R.map(R.prop(id), entitiesOfClients);
+      const fields = R.reduce(R.intersection, R.keys(R.head(entities)), R.map(R.keys, entities));
+      return R.length(R.uniq(R.map(R.pick(fields), entities))) > 1;
+    },
+    sharedIds
+  );
+};
+
+/**
+ * Mounts the component for every user at once against the same server, runs the scenario's mutation steps in order,
+ * refetches the queries of every client and asserts that the cached entities of the clients agree
+ * @param {Object} config See concurrentUsersSuite
+ * @param {[String]} config.users The user names
+ * @param {Object} scenario {name, steps, settleLength}. See testContext.concurrentUsers of apolloContainerTests
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to {scenario, steps, disagreements}, where steps are each
+ * {user, mutationKey, errors} and disagreements are the cache ids whose entities differ between the clients
+ * @private
+ */
+const _testConcurrentUsersScenarioTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    users,
+    omitKeysFromSnapshots,
+    waitLength,
+    theme,
+    renderer
+  }, {name, steps, settleLength = 100}, container, component) => {
+
+  // Resolves to the user's {apolloClient, wrapper} once the user's component renders its data
+  const mountTask = user => {
+    return composeWithChain([
+      ({apolloClient, rendered: {wrapper}}) => of({user, apolloClient, wrapper}),
+      mapToNamedResponseAndInputs('rendered',
+        ({apolloClient}) => {
+          // The apolloConfig is already authenticated as the user
+          return testRenderComponentTask(
+            {
+              apolloClient,
+              componentId,
+              childLoadingId,
+              childDataId,
+              waitLength,
+              theme,
+              renderer,
+              authenticate: false
+            },
+            container,
+            component,
+            resolvedPropsContainer
+          );
+        }
+      ),
+      mapToMergedResponseAndInputs(
+        () => apolloConfigContainer(user)
+      )
+    ])({});
+  };
+
+  // Runs the step's mutation with the current props of the user's component. Resolves to the errors of the response
+  const stepTask = (mountedByUser, {user, mutationKey, mutationProps}) => {
+    const {apolloClient, wrapper} = R.prop(user, mountedByUser);
+    const props = componentProps(wrapper);
+    const {mutation, skip} = reqStrPathThrowing(mutationKey, props);
+    if (skip) {
+      return rejected(new Error(`Attempt to run a skipped mutation ${mutationKey} of ${user}, meaning its variables are not ready`));
+    }
+    return composeWithChain([
+      ({response}) => {
+        const responseErrors = R.concat(
+          R.propOr([], 'errors', response),
+          R.is(Error, response) ? [response] : []
+        );
+        return of({user, mutationKey, errors: R.map(R.prop('message'), responseErrors)});
+      },
+      mapToNamedResponseAndInputs('settled',
+        () => settleRequestsTask(apolloClient, settleLength, waitLength)
+      ),
+      mapToNamedResponseAndInputs('response',
+        () => {
+          return fromPromised(() => {
+            if (mutationProps) {
+              const {name: mutationName, props: mutationInputProps} = mutationProps(props);
+              const {namedProps} = mutationParts({apolloClient}, {name: mutationName, outputParams: {id: 1}}, mutationInputProps);
+              return mutation({variables: namedProps});
+            }
+            return mutation();
+          })().orElse(error => of(error));
+        }
+      )
+    ])({});
+  };
+
+  return composeWithChain([
+    ({mounted, stepResults}) => {
+      const entitiesOfClients = R.map(({apolloClient}) => _cacheEntities(apolloClient), mounted);
+      const disagreements = _disagreeingEntityIds(entitiesOfClients);
+      R.forEach(unmountTestComponent, mounted);
+      expect({scenario: name, disagreements}).toEqual({scenario: name, disagreements: []});
+      expect({
+        steps: stepResults,
+        entities: omitDeep(omitKeysFromSnapshots, R.zipObj(users, entitiesOfClients))
+      }).toMatchSnapshot(name);
+      return of({scenario: name, steps: stepResults, disagreements});
+    },
+    // Every client refetches, so each must see the server's outcome of the steps
+    mapToNamedResponseAndInputs('refetched',
+      ({mounted}) => {
+        return sequenceTasks(
+          ({apolloClient}) => {
+            return R.chain(
+              () => settleRequestsTask(apolloClient, settleLength, waitLength),
+              fromPromised(() => apolloClient.reFetchObservableQueries())().orElse(error => of(error))
+            );
+          },
+          mounted
+        );
+      }
+    ),
+    mapToNamedResponseAndInputs('stepResults',
+      ({mounted}) => {
+        const mountedByUser = R.indexBy(R.prop('user'), mounted);
+        return sequenceTasks(
+          step => stepTask(mountedByUser, step),
+          steps
+        );
+      }
+    ),
+    // Mount for every user before any step runs, so that each user views the data while the others mutate it
+    mapToNamedResponseAndInputs('mounted',
+      () => {
+        return sequenceTasks(
+          mountTask,
+          users
+        );
+      }
+    )
+  ])({});
+};
@@ -0,0 +1,224 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs,
+  reqStrPathThrowing
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {faultInjectionLink} from '../links/faultLinks.js';
+import {prependLinksToApolloClient} from '../links/linkHelpers.js';
+import {waitForStatusSequenceTask} from '../renderStatusHelpers.js';
+import {ERROR_POLICIES, ERROR_POLICY_RESULTS, overrideErrorPolicy} from '../errorPolicyHelpers.js';
+import {
+  componentProps,
+  defaultContainerOperationName,
+  filterForMutationContainers,
+  filterForQueryContainers,
+  mountTestComponent,
+  operationNamesOfContainers,
+  sequenceTasks,
+  settleRequestsTask,
+  unmountTestComponent
+} from './suiteHelpers.js';
+
+const {fromPromised, of} = T;
+
+/**
+ * @fileoverview The testErrorPolicies suite of apolloContainerTests, which renders partial GraphQL errors under each
+ * error policy and asserts the data and errors that reach the component
+ */
+
+/**
+ * Renders the component once per query and mutation container and error policy. See _testErrorPolicyTask
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Nullary function returning a Task that resolves to a new {apolloClient}
+ * @param {Object} [config.containerOperationNames] Operation name matchers keyed by container key
+ * @param {Object} [config.errorPolicies] See testContext.errorPolicies of apolloContainerTests
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} apolloContainers The containers keyed by name
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const errorPoliciesSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    containerOperationNames,
+    errorPolicies = {},
+    waitLength,
+    theme,
+    renderer
+  }, apolloContainers, container, component, done) => {
+
+  const errors = [];
+  const mutationContainers = filterForMutationContainers(apolloContainers);
+  const containers = R.merge(filterForQueryContainers(apolloContainers), mutationContainers);
+  const operationNames = operationNamesOfContainers(containerOperationNames, containers);
+  const cases = R.chain(
+    containerKey => {
+      return R.map(
+        errorPolicy => ({
+          containerKey,
+          operationName: R.propOr(defaultContainerOperationName(containerKey), containerKey, operationNames),
+          operationType: R.has(containerKey, mutationContainers) ? 'mutation' : 'query',
+          errorPolicy
+        }),
+        R.propOr(ERROR_POLICIES, containerKey, errorPolicies)
+      );
+    },
+    R.filter(
+      containerKey => R.has(containerKey, containers),
+      R.uniq(R.concat(R.keys(operationNames), R.keys(errorPolicies)))
+    )
+  );
+
+  // The container's result and the snapshot of the result and statuses per case
+  expect.assertions(2 * R.length(cases));
+
+  // Render the cases one at a time
+  sequenceTasks(
+    errorPolicyCase => _testErrorPolicyTask(
+      {
+        apolloConfigContainer,
+        resolvedPropsContainer,
+        componentId,
+        childLoadingId,
+        childDataId,
+        childErrorId,
+        waitLength,
+        theme,
+        renderer
+      },
+      errorPolicyCase,
+      container,
+      component
+    ),
+    cases
+  ).run().listen(
+    defaultRunConfig({
+      onResolved: errorPolicyResults => {
+        // The assertions were made per case
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Renders the component with the container's requests returning their data with a GraphQL error and the error
+ * policy forced on them. Mutations are called once the data renders. Asserts that the container passes data and
+ * an error to the component as ERROR_POLICY_RESULTS expects and snapshots what it passed and the statuses that rendered
+ * @param {Object} config See errorPoliciesSuite
+ * @param {Object} errorPolicyCase
+ * @param {String} errorPolicyCase.containerKey The key of the container
+ * @param {String|RegExp} errorPolicyCase.operationName Matches the container's requests
+ * @param {String} errorPolicyCase.operationType 'query' or 'mutation'
+ * @param {String} errorPolicyCase.errorPolicy One of ERROR_POLICIES
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to {containerKey, errorPolicy, received, statuses}
+ * @private
+ */
+const _testErrorPolicyTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    waitLength,
+    theme,
+    renderer
+  }, {containerKey, operationName, operationType, errorPolicy}, container, component) => {
+
+  const isMutation = R.equals('mutation', operationType);
+  const statusClasses = R.reject(R.isNil, {loading: childLoadingId, data: childDataId, error: childErrorId});
+
+  return composeWithChain([
+    ({apolloClient, wrapper, statusRecorder, mountNode}) => {
+      // A query container's result is its props and a mutation container's is its result prop
+      const containerProps = R.propOr({}, containerKey, componentProps(wrapper));
+      const result = isMutation ? R.propOr({}, 'result', containerProps) : containerProps;
+      const statuses = statusRecorder.sample();
+      unmountTestComponent({wrapper, statusRecorder, mountNode});
+      const received = {data: !R.isNil(R.prop('data', result)), error: !R.isNil(R.prop('error', result))};
+      expect({containerKey, errorPolicy, received}).toEqual({
+        containerKey,
+        errorPolicy,
+        received: R.prop(errorPolicy, ERROR_POLICY_RESULTS)
+      });
+      expect({
+        received,
+        errorMessage: R.pathOr(null, ['error', 'message'], result),
+        statuses
+      }).toMatchSnapshot(`${containerKey} ${errorPolicy}`);
+      return of({containerKey, errorPolicy, received, statuses});
+    },
+    mapToNamedResponseAndInputs('settled',
+      ({apolloClient}) => settleRequestsTask(apolloClient, 100, waitLength)
+    ),
+    // Call the mutation once the data renders. Under the none policy it rejects, which the component must handle
+    mapToNamedResponseAndInputs('mutationResponse',
+      ({wrapper}) => {
+        if (!isMutation) {
+          return of(null);
+        }
+        const {mutation} = reqStrPathThrowing(containerKey, componentProps(wrapper));
+        return fromPromised(() => mutation())().orElse(error => of(error));
+      }
+    ),
+    // Queries fail on the first render and mutations once called, after the data renders
+    mapToNamedResponseAndInputs('statusSequence',
+      ({statusRecorder}) => {
+        return waitForStatusSequenceTask(
+          statusRecorder,
+          statusSequence => isMutation ?
+            R.includes('data', statusSequence) :
+            R.any(status => R.includes(status, statusSequence), ['data', 'error']),
+          waitLength
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return of(mountTestComponent(
+          {apolloClient, theme, renderer, authenticate: true, statusClasses},
+          container,
+          component,
+          resolvedPropsContainer
+        ));
+      }
+    ),
+    // Resolve a new apolloConfig whose server returns partial data with errors under the error policy
+    mapToMergedResponseAndInputs(
+      () => {
+        return R.map(
+          apolloConfig => {
+            const apolloClient = reqStrPathThrowing('apolloClient', apolloConfig);
+            prependLinksToApolloClient(apolloClient, [faultInjectionLink([{type: 'partial', operationName, operationType}])]);
+            overrideErrorPolicy(apolloClient, {operationName, errorPolicy});
+            return apolloConfig;
+          },
+          apolloConfigContainer()
+        );
+      }
+    )
+  ])({});
+};
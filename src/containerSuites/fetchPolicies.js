@@ -0,0 +1,248 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs,
+  omitDeep,
+  strPathOr
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {operationMatches} from '../links/linkHelpers.js';
+import {operationLogForApolloClient} from '../links/operationLogLinks.js';
+import {overrideFetchPolicy} from '../fetchPolicyHelpers.js';
+import {
+  componentProps,
+  defaultContainerOperationName,
+  filterForQueryContainers,
+  operationNamesOfContainers,
+  sequenceTasks,
+  testRenderComponentTask,
+  unmountTestComponent
+} from './suiteHelpers.js';
+
+const {of} = T;
+
+/**
+ * @fileoverview The testFetchPolicies suite of apolloContainerTests, which renders the component under each forced
+ * fetch policy and asserts the requests and the loading states that the policy causes
+ */
+
+// The fetch policies each query container is tested with unless testContext.fetchPolicies declares its own
+const DEFAULT_FETCH_POLICY_CASES = [
+  'cache-first',
+  {fetchPolicy: 'cache-and-network', nextFetchPolicy: 'cache-first'},
+  {fetchPolicy: 'network-only', nextFetchPolicy: 'cache-first'},
+  'cache-only',
+  'no-cache'
+];
+
+// Whether a fetch policy renders the loading state when the cache already has the data. cache-and-network is null
+// because it renders the cached data while its request is loading, which components may show either way
+const FETCH_POLICY_LOADS = {
+  'cache-first': false,
+  'cache-and-network': null,
+  'network-only': true,
+  'cache-only': false,
+  'no-cache': true
+};
+
+/**
+ * Renders the component once per query container and supported fetch policy. See _testFetchPolicyTask
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Nullary function returning a Task that resolves to a new {apolloClient}
+ * @param {Object} [config.containerOperationNames] Operation name matchers keyed by container key
+ * @param {Object} [config.fetchPolicies] See testContext.fetchPolicies of apolloContainerTests
+ * @param {[String]} config.omitKeysFromSnapshots Keys to omit from the snapshots of the results
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} apolloContainers The containers keyed by name
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const fetchPoliciesSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    containerOperationNames,
+    fetchPolicies = {},
+    omitKeysFromSnapshots,
+    waitLength,
+    theme,
+    renderer
+  }, apolloContainers, container, component, done) => {
+
+  const errors = [];
+  const queryContainers = filterForQueryContainers(apolloContainers);
+  const operationNames = operationNamesOfContainers(containerOperationNames, queryContainers);
+  const cases = R.chain(
+    containerKey => {
+      return R.map(
+        policy => R.merge(
+          {
+            containerKey,
+            operationName: R.propOr(defaultContainerOperationName(containerKey), containerKey, operationNames)
+          },
+          R.is(String, policy) ? {fetchPolicy: policy} : policy
+        ),
+        R.propOr(DEFAULT_FETCH_POLICY_CASES, containerKey, fetchPolicies)
+      );
+    },
+    R.filter(
+      containerKey => R.has(containerKey, queryContainers),
+      R.uniq(R.concat(R.keys(operationNames), R.keys(fetchPolicies)))
+    )
+  );
+
+  expect.assertions(R.sum(R.map(
+    ({fetchPolicy, nextFetchPolicy}) => {
+      // The two assertions of testRenderComponentTask for both renders, the network requests and the snapshot
+      return 6 +
+        (R.isNil(R.prop(fetchPolicy, FETCH_POLICY_LOADS)) ? 0 : 1) +
+        (nextFetchPolicy ? 1 : 0);
+    },
+    cases
+  )));
+
+  // Render the cases one at a time
+  sequenceTasks(
+    fetchPolicyCase => _testFetchPolicyTask(
+      {
+        apolloConfigContainer,
+        resolvedPropsContainer,
+        componentId,
+        childLoadingId,
+        childDataId,
+        childErrorId,
+        omitKeysFromSnapshots,
+        waitLength,
+        theme,
+        renderer
+      },
+      fetchPolicyCase,
+      container,
+      component
+    ),
+    cases
+  ).run().listen(
+    defaultRunConfig({
+      onResolved: fetchPolicyResults => {
+        // The assertions were made per case
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Renders the component to fill the cache, then renders it again with the fetch policy forced on the container's
+ * queries. Asserts that the second render shows the loading state only if the policy requires the network, that
+ * each of the container's queries reached the network once only if the policy requires it, that the queries switched
+ * to the nextFetchPolicy if given and that the container's result matches the snapshot
+ * @param {Object} config See fetchPoliciesSuite
+ * @param {Object} fetchPolicyCase
+ * @param {String} fetchPolicyCase.containerKey The key of the query container
+ * @param {String|RegExp} fetchPolicyCase.operationName Matches the container's queries
+ * @param {String} fetchPolicyCase.fetchPolicy One of FETCH_POLICIES
+ * @param {String} [fetchPolicyCase.nextFetchPolicy] The policy after the first request
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to {containerKey, fetchPolicy, statusSequence}
+ * @private
+ */
+const _testFetchPolicyTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    omitKeysFromSnapshots,
+    waitLength,
+    theme,
+    renderer
+  }, {containerKey, operationName, fetchPolicy, nextFetchPolicy}, container, component) => {
+
+  const renderTask = (apolloClient, statusClasses) => {
+    return testRenderComponentTask(
+      R.merge(
+        {apolloClient, componentId, childLoadingId, childDataId, waitLength, theme, renderer, authenticate: true},
+        statusClasses ? {statusClasses} : {}
+      ),
+      container,
+      component,
+      resolvedPropsContainer
+    );
+  };
+
+  return composeWithChain([
+    ({apolloClient, wrapper, statusRecorder, mountNode, fetchPolicyOverride}) => {
+      const props = componentProps(wrapper);
+      statusRecorder.sample();
+      unmountTestComponent({wrapper, statusRecorder, mountNode});
+      const statusSequence = statusRecorder.statusSequence();
+      const observableQueries = fetchPolicyOverride.observableQueries();
+      const loads = R.prop(fetchPolicy, FETCH_POLICY_LOADS);
+      if (!R.isNil(loads)) {
+        expect({fetchPolicy, loading: R.includes('loading', statusSequence)}).toEqual({fetchPolicy, loading: loads});
+      }
+      // Each of the container's queries uses the network once, or not at all if the cache answers
+      const networkRequests = R.filter(
+        entry => operationMatches({operationName}, entry),
+        operationLogForApolloClient(apolloClient).networkRequests()
+      );
+      expect({fetchPolicy, networkRequests: R.length(networkRequests)}).toEqual({
+        fetchPolicy,
+        networkRequests: R.includes(fetchPolicy, ['cache-first', 'cache-only']) ? 0 : R.length(observableQueries)
+      });
+      if (nextFetchPolicy) {
+        expect(R.map(R.path(['options', 'fetchPolicy']), observableQueries)).toEqual(
+          R.map(R.always(nextFetchPolicy), observableQueries)
+        );
+      }
+      const data = strPathOr(null, `${containerKey}.data`, props);
+      expect(omitDeep(omitKeysFromSnapshots, data)).toMatchSnapshot(`${containerKey} ${fetchPolicy}`);
+      return of({containerKey, fetchPolicy, statusSequence});
+    },
+    // Render again with the policy forced
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return renderTask(
+          apolloClient,
+          R.reject(R.isNil, {loading: childLoadingId, data: childDataId, error: childErrorId})
+        );
+      }
+    ),
+    // Only count the requests of the second render and force the policy from now on
+    mapToNamedResponseAndInputs('fetchPolicyOverride',
+      ({apolloClient, primed: {wrapper}}) => {
+        unmountTestComponent({wrapper});
+        operationLogForApolloClient(apolloClient).clear();
+        return of(overrideFetchPolicy(apolloClient, {operationName, fetchPolicy, nextFetchPolicy}));
+      }
+    ),
+    // Fill the cache with the container's policies
+    mapToNamedResponseAndInputs('primed',
+      ({apolloClient}) => {
+        return renderTask(apolloClient, null);
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer()
+    )
+  ])({});
+};
@@ -0,0 +1,244 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs,
+  reqStrPathThrowing,
+  strPathOr
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {mutationParts} from '@rescapes/apollo';
+import {
+  componentProps,
+  filterForMutationContainers,
+  sequenceTasks,
+  settleRequestsTask,
+  testRenderComponentTask,
+  unmountTestComponent
+} from './suiteHelpers.js';
+
+const {fromPromised, of, rejected} = T;
+
+/**
+ * @fileoverview The testMutationConflicts suite of apolloContainerTests, which replays each mutation with a stale
+ * version of its entity and asserts the conflict error and the version that the component refetches
+ */
+
+/**
+ * Runs each mutation of mutationConflicts in turn. See testContext.mutationConflicts of apolloContainerTests
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Nullary function returning a Task that resolves to a new {apolloClient}
+ * @param {Object} config.mutationConflicts See testContext.mutationConflicts of apolloContainerTests
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Function} apolloContainers Expects an apolloConfig and returns the containers keyed by name
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const mutationConflictsSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    mutationConflicts,
+    waitLength,
+    theme,
+    renderer
+  }, apolloContainers, container, component, done) => {
+
+  const errors = [];
+  // Per mutation, the two assertions of testRenderComponentTask and one of the conflict
+  expect.assertions(3 * R.length(R.keys(mutationConflicts)));
+
+  sequenceTasks(
+    ([mutationKey, conflict]) => _testMutationConflictTask(
+      {
+        apolloConfigContainer,
+        resolvedPropsContainer,
+        componentId,
+        childLoadingId,
+        childDataId,
+        childErrorId,
+        waitLength,
+        theme,
+        renderer
+      },
+      apolloContainers,
+      mutationKey,
+      conflict,
+      container,
+      component
+    ),
+    R.toPairs(mutationConflicts)
+  ).run().listen(
+    defaultRunConfig({
+      onResolved: conflictResults => {
+        // The assertions were made per mutation
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Returns the versionNumber of the entity in the apolloClient's cache, or of the entity itself if it isn't cached
+ * @param {Object} apolloClient The ApolloClient
+ * @param {Object} entity The entity, such as a region of the component's props
+ * @returns {Number} The versionNumber or null
+ * @private
+ */
+const _cachedVersionNumber = (apolloClient, entity) => {
+  const id = R.has('__typename', entity) ? apolloClient.cache.identify(entity) : null;
+  return R.defaultTo(
+    R.propOr(null, 'versionNumber', entity),
+    R.pathOr(null, [id, 'versionNumber'], id ? apolloClient.cache.extract() : {})
+  );
+};
+
+/**
+ * Renders the component, reads the version of the mutation's entity, lets another apolloClient bump it with the same
+ * mutation container, then replays the component's mutation with the stale version. Asserts that the mutation is
+ * rejected with the conflict error, that the component renders its error status and that the refetched entity keeps
+ * the other writer's version
+ * @param {Object} config See mutationConflictsSuite
+ * @param {Function} apolloContainers Expects an apolloConfig and returns the containers keyed by name
+ * @param {String} mutationKey The mutation container key
+ * @param {Object} conflict See testContext.mutationConflicts of apolloContainerTests
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to {mutationKey, conflict, error, versionNumber}
+ * @private
+ */
+const _testMutationConflictTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    waitLength,
+    theme,
+    renderer
+  },
+  apolloContainers,
+  mutationKey,
+  {name, entityPath = name, changes = {}, conflictError = /conflict/i, settleLength = 100},
+  container,
+  component) => {
+
+
+  // Updates the entity on the server with another apolloClient, whose cache the component doesn't see
+  const otherWriterTask = () => {
+    return composeWithChain([
+      ({apolloConfig, props}) => {
+        return reqStrPathThrowing(mutationKey, filterForMutationContainers(apolloContainers(apolloConfig)))(props);
+      },
+      mapToNamedResponseAndInputs('props',
+        ({apolloConfig}) => resolvedPropsContainer(apolloConfig, {})
+      ),
+      mapToNamedResponseAndInputs('apolloConfig',
+        () => apolloConfigContainer()
+      )
+    ])({});
+  };
+
+  return composeWithChain([
+    ({apolloClient, wrapper, statusRecorder, mountNode, staleVersionNumber, staleResponse, statuses}) => {
+      const entity = strPathOr({}, entityPath, componentProps(wrapper));
+      const responseErrors = R.concat(
+        R.propOr([], 'errors', staleResponse),
+        R.is(Error, staleResponse) ? [staleResponse] : []
+      );
+      const result = {
+        mutationKey,
+        conflict: R.any(error => R.test(conflictError, R.propOr('', 'message', error)), responseErrors),
+        error: R.includes('error', statuses),
+        versionNumber: _cachedVersionNumber(apolloClient, entity)
+      };
+      unmountTestComponent({wrapper, statusRecorder, mountNode});
+      // The other writer's update is kept, so the version is the one it bumped to
+      expect(result).toEqual({mutationKey, conflict: true, error: true, versionNumber: staleVersionNumber + 1});
+      return of(result);
+    },
+    // Refetch to learn whether the stale mutation overwrote the other writer's update
+    mapToNamedResponseAndInputs('refetched',
+      ({apolloClient}) => {
+        return R.chain(
+          () => settleRequestsTask(apolloClient, settleLength, waitLength),
+          fromPromised(() => apolloClient.reFetchObservableQueries())().orElse(error => of(error))
+        );
+      }
+    ),
+    mapToNamedResponseAndInputs('statuses',
+      ({apolloClient, statusRecorder}) => {
+        return R.map(
+          () => statusRecorder.sample(),
+          settleRequestsTask(apolloClient, settleLength, waitLength)
+        );
+      }
+    ),
+    // Replay the mutation with the version the component last saw
+    mapToNamedResponseAndInputs('staleResponse',
+      ({apolloClient, wrapper, staleEntity, staleVersionNumber}) => {
+        const {mutation} = reqStrPathThrowing(mutationKey, componentProps(wrapper));
+        const {namedProps} = mutationParts(
+          {apolloClient},
+          {name, outputParams: {id: 1}},
+          {[name]: R.mergeAll([R.pick(['id'], staleEntity), changes, {versionNumber: staleVersionNumber}])}
+        );
+        return fromPromised(() => mutation({variables: namedProps}))().orElse(error => of(error));
+      }
+    ),
+    mapToNamedResponseAndInputs('otherWriterResponse',
+      () => otherWriterTask()
+    ),
+    mapToNamedResponseAndInputs('staleVersionNumber',
+      ({apolloClient, staleEntity}) => {
+        const versionNumber = _cachedVersionNumber(apolloClient, staleEntity);
+        return R.isNil(versionNumber) ?
+          rejected(new Error(`The ${entityPath} of ${mutationKey} has no versionNumber. Query it to test conflicts`)) :
+          of(versionNumber);
+      }
+    ),
+    mapToNamedResponseAndInputs('staleEntity',
+      ({wrapper}) => of(reqStrPathThrowing(entityPath, componentProps(wrapper)))
+    ),
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return testRenderComponentTask(
+          {
+            apolloClient,
+            componentId,
+            childLoadingId,
+            childDataId,
+            waitLength,
+            theme,
+            renderer,
+            authenticate: true,
+            statusClasses: R.reject(R.isNil, {loading: childLoadingId, data: childDataId, error: childErrorId})
+          },
+          container,
+          component,
+          resolvedPropsContainer
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer()
+    )
+  ])({});
+};
@@ -0,0 +1,261 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import {findById} from '../componentTestHelpers.js';
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {mutationInputVariants} from '../mutationFuzzHelpers.js';
+import {
+  sequenceTasks,
+  settleRequestsTask,
+  testRenderComponentMutationsTask,
+  testRenderComponentTask,
+  testRenderErrorTask,
+  unmountTestComponent
+} from './suiteHelpers.js';
+
+const {of, rejected} = T;
+
+/**
+ * @fileoverview The testMutationFuzzing suite of apolloContainerTests, which calls each mutation with invalid variants
+ * of its variables and asserts that the component survives the responses
+ */
+
+/**
+ * Renders the component once and calls each mutation with its own props to learn its mutation document and valid
+ * variables, then tests each invalid variant of the variables that mutationInputVariants derives from them
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Nullary function returning a Task that resolves to a new
+ * {apolloClient}, and {schema} unless mutationFuzzing.schema is given
+ * @param {Object} config.mutationFuzzing See testContext.mutationFuzzing of apolloContainerTests
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} mutationComponents The mutation containers keyed by name
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const mutationFuzzingSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    mutationFuzzing: {schema, mutationKeys, kinds, oversizedLength, settleLength = 100},
+    waitLength,
+    theme,
+    renderer
+  }, mutationComponents, container, component, done) => {
+
+  const errors = [];
+  const renderConfig = {
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    waitLength,
+    theme,
+    renderer
+  };
+  const _mutationKeys = mutationKeys || R.keys(mutationComponents);
+
+  // Records the mutation document and variables of each call of the apolloClient's mutate
+  const recordMutations = apolloClient => {
+    const calls = [];
+    const mutate = apolloClient.mutate.bind(apolloClient);
+    apolloClient.mutate = options => {
+      calls.push(R.pick(['mutation', 'variables'], options));
+      return mutate(options);
+    };
+    return calls;
+  };
+
+  // Calls the mutation with its props and resolves to its last call of mutate
+  const validMutationTask = ({apolloConfig, wrapper, calls}, mutationKey) => {
+    return R.chain(
+      () => {
+        const call = R.last(calls);
+        return call ?
+          of(R.merge({mutationKey}, call)) :
+          rejected(new Error(`${mutationKey} didn't call the apolloClient's mutate`));
+      },
+      testRenderComponentMutationsTask(
+        {
+          apolloConfig,
+          mutationComponents: R.pick([mutationKey], mutationComponents),
+          componentId,
+          childDataId,
+          waitLength
+        },
+        wrapper
+      )
+    );
+  };
+
+  composeWithChain([
+    // Test the variants one at a time
+    variants => {
+      // The two assertions of testRenderComponentTask for the first render, then those plus the outcome per variant.
+      // The variants are only known once the mutations have run
+      expect.assertions(2 + 3 * R.length(variants));
+      return sequenceTasks(
+        variant => _testMutationFuzzVariantTask(
+          R.merge(renderConfig, {apolloConfigContainer, mutationComponents, settleLength}),
+          variant,
+          container,
+          component
+        ),
+        variants
+      );
+    },
+    ({apolloConfig, wrapper, validMutations}) => {
+      unmountTestComponent({wrapper});
+      const _schema = schema || R.propOr(null, 'schema', apolloConfig);
+      if (!_schema) {
+        return rejected(new Error('testMutationFuzzing needs mutationFuzzing.schema or an apolloConfig with a schema'));
+      }
+      return of(R.chain(
+        ({mutationKey, mutation, variables}) => {
+          return R.map(
+            variant => R.merge(variant, {mutationKey}),
+            mutationInputVariants(_schema, mutation, variables || {}, R.reject(R.isNil, {kinds, oversizedLength}))
+          );
+        },
+        validMutations
+      ));
+    },
+    mapToNamedResponseAndInputs('validMutations',
+      mounted => {
+        return sequenceTasks(
+          mutationKey => validMutationTask(mounted, mutationKey),
+          _mutationKeys
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return testRenderComponentTask(
+          R.merge(R.omit(['resolvedPropsContainer', 'childErrorId'], renderConfig), {apolloClient, authenticate: true}),
+          container,
+          component,
+          resolvedPropsContainer
+        );
+      }
+    ),
+    mapToNamedResponseAndInputs('calls',
+      ({apolloClient}) => of(recordMutations(apolloClient))
+    ),
+    mapToNamedResponseAndInputs('apolloConfig',
+      ({apolloClient, schema}) => of(R.reject(R.isNil, {apolloClient, schema}))
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer()
+    )
+  ])({}).run().listen(
+    defaultRunConfig({
+      onResolved: variantResults => {
+        // The assertions were made per variant
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Renders the component and calls the variant's mutation with its variables along the path of testRenderError.
+ * Asserts that the mutation was either rejected with errors and the component rendered its error status, or
+ * accepted and the component rendered its data status
+ * @param {Object} config See mutationFuzzingSuite
+ * @param {Object} config.mutationComponents The mutation containers keyed by name
+ * @param {Object} variant A variant of mutationInputVariants with its mutationKey
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to {mutationKey, variant, outcome}, where outcome is 'rejected' or 'accepted' on
+ * success. Otherwise it is 'crashed' if the component no longer renders, 'errorNotRendered' if the response has
+ * errors that the component doesn't render or 'errorWithoutResponseErrors' if the component renders an error for a
+ * response without errors
+ * @private
+ */
+const _testMutationFuzzVariantTask = (
+  {
+    apolloConfigContainer,
+    mutationComponents,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    settleLength,
+    waitLength,
+    theme,
+    renderer
+  }, {mutationKey, name, variables}, container, component) => {
+
+  const outcome = ({wrapper, statusRecorder, errors}) => {
+    wrapper.update();
+    const statuses = statusRecorder.sample();
+    return R.cond([
+      [() => !R.length(findById(wrapper, componentId)) || R.isEmpty(statuses), R.always('crashed')],
+      [() => R.length(errors) && R.includes('error', statuses), R.always('rejected')],
+      [() => R.length(errors), R.always('errorNotRendered')],
+      [() => R.includes('error', statuses), R.always('errorWithoutResponseErrors')],
+      [R.T, R.always('accepted')]
+    ])();
+  };
+
+  return composeWithChain([
+    ({wrapper, statusRecorder, mountNode, prePostMutationComparisons}) => {
+      const {errors} = R.head(prePostMutationComparisons);
+      const result = {mutationKey, variant: name, outcome: outcome({wrapper, statusRecorder, errors})};
+      unmountTestComponent({wrapper, statusRecorder, mountNode});
+      expect(result).toEqual({mutationKey, variant: name, outcome: expect.stringMatching(/^(rejected|accepted)$/)});
+      return of(result);
+    },
+    mapToNamedResponseAndInputs('settled',
+      ({apolloClient}) => settleRequestsTask(apolloClient, settleLength, waitLength)
+    ),
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return testRenderErrorTask(
+          {
+            apolloClient,
+            // Variables, unlike the props of an errorMaker, are passed to the mutation as is
+            errorMaker: () => ({[mutationKey]: {variables}}),
+            mutationComponents: R.pick([mutationKey], mutationComponents),
+            componentId,
+            childLoadingId,
+            childDataId,
+            childErrorId,
+            // Accepted variants render data rather than an error
+            alreadyChildId: childDataId,
+            waitLength,
+            theme,
+            renderer,
+            authenticate: true,
+            statusClasses: R.reject(R.isNil, {loading: childLoadingId, data: childDataId, error: childErrorId})
+          },
+          container,
+          component,
+          resolvedPropsContainer
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer()
+    )
+  ])({});
+};
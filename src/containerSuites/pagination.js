@@ -0,0 +1,241 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs,
+  reqStrPathThrowing
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {operationMatches} from '../links/linkHelpers.js';
+import {inFlightTrackerForApolloClient} from '../links/inFlightLinks.js';
+import {defaultContainerOperationName, sequenceTasks} from './suiteHelpers.js';
+
+const {fromPromised, of, rejected} = T;
+
+/**
+ * @fileoverview The testPagination suite of apolloContainerTests, which fetches more pages of each paginated query and
+ * asserts how the cache merges them
+ */
+
+/**
+ * Returns the paginated result of a paginated query response, e.g. {page, pages, pageSize, objects}. If the
+ * query result is a list, such as that of a container that queries all pages, the list is the objects
+ * @param {Object} response The query response
+ * @returns {Object} The paginated result with at least objects
+ * @private
+ */
+const _paginatedData = response => {
+  const data = R.head(R.values(reqStrPathThrowing('data', response)));
+  return Array.isArray(data) ? {objects: data} : data;
+};
+
+const _objectIds = objects => R.map(R.prop('id'), objects || []);
+
+/**
+ * Walks the pages of each paginated query container and asserts the pages, fetchMore and the container that queries
+ * all pages
+ * @param {Object} config
+ * @param {Task} config.apolloConfigContainer Resolves to {apolloClient}
+ * @param {Function} config.resolvedPropsContainer Resolves the sample props
+ * @param {Object} [config.paginations] See testContext.paginations of apolloContainerTests
+ * @param {Object} [config.containerOperationNames] Operation name matchers keyed by container key
+ * @param {Function} apolloConfigToQueryContainers Function expecting an apolloConfig and returning the query
+ * containers keyed by name
+ * @param {Function} done jest done function
+ */
+export const paginationSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    paginations,
+    containerOperationNames
+  },
+  apolloConfigToQueryContainers,
+  done
+) => {
+  const errors = [];
+  const containerKeys = R.keys(apolloConfigToQueryContainers({}));
+  const _paginations = paginations || R.compose(
+    R.fromPairs,
+    R.map(key => [key, R.includes(`${key}All`, containerKeys) ? {allContainerKey: `${key}All`} : {}]),
+    R.filter(R.test(/Paginated$/))
+  )(containerKeys);
+  const paginationCases = R.map(
+    ([containerKey, pagination]) => {
+      return R.merge(pagination, {
+        containerKey,
+        operationName: R.propOr(defaultContainerOperationName(containerKey), containerKey, containerOperationNames || {})
+      });
+    },
+    R.toPairs(_paginations)
+  );
+  if (R.isEmpty(paginationCases)) {
+    console.warn('testPagination has no paginated query containers');
+  }
+
+  // Per case: disjoint pages, page sizes, fetchMore and optionally the container that queries all pages
+  expect.assertions(R.sum(R.map(({allContainerKey}) => allContainerKey ? 4 : 3, paginationCases)));
+
+  composeWithChain([
+    ({apolloClient, inFlightTracker, props}) => {
+      const queryContainers = apolloConfigToQueryContainers({apolloClient});
+      return sequenceTasks(
+        paginationCase => _testPaginationTask({apolloClient, inFlightTracker, queryContainers, props}, paginationCase),
+        paginationCases
+      );
+    },
+    mapToNamedResponseAndInputs('props',
+      ({apolloClient}) => {
+        return R.map(
+          // Run every query variation so the paginated variations run regardless of allowRequestProp
+          props => R.merge(props, {queryVariationContainersTestAll: true}),
+          resolvedPropsContainer({apolloClient}, {})
+        );
+      }
+    ),
+    // Track the queries so fetchMore can reuse the paginated query
+    mapToNamedResponseAndInputs('inFlightTracker',
+      ({apolloClient}) => {
+        return of(inFlightTrackerForApolloClient(apolloClient));
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer
+    )
+  ])({}).run().listen(
+    defaultRunConfig({
+      onResolved: paginationResults => {
+        // The assertions were made per case
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Walks the pages of one paginated query container, then fetches the pages again with fetchMore and queries all
+ * pages with the allContainerKey container
+ * @param {Object} config
+ * @param {Object} config.apolloClient The ApolloClient
+ * @param {Object} config.inFlightTracker The tracker of the apolloClient
+ * @param {Object} config.queryContainers The query containers keyed by name, as tasks
+ * @param {Object} config.props The sample props
+ * @param {Object} paginationCase
+ * @param {String} paginationCase.containerKey The paginated query container key
+ * @param {String|RegExp} paginationCase.operationName Matches the container's operation
+ * @param {String} [paginationCase.allContainerKey] The key of the container that queries all pages
+ * @param {Number} [paginationCase.pageSize] Defaults to props.pageSize
+ * @param {Boolean} [paginationCase.mergePages] Default false. True if fetchMore merges the pages in the cache
+ * @returns {Task<Object>} Resolves to {containerKey, pageIds}, the object ids of each page
+ * @private
+ */
+const _testPaginationTask = (
+  {apolloClient, inFlightTracker, queryContainers, props},
+  {containerKey, operationName, allContainerKey, pageSize, mergePages = false}) => {
+
+  const _pageSize = pageSize || reqStrPathThrowing('pageSize', props);
+  const queryContainer = reqStrPathThrowing(containerKey, queryContainers);
+
+  // Resolves to the paginated results of the page and each after it
+  const pagesTask = page => {
+    return R.chain(
+      response => {
+        const paginated = _paginatedData(response);
+        return page < R.propOr(page, 'pages', paginated) ?
+          R.map(R.prepend(paginated), pagesTask(page + 1)) :
+          of([paginated]);
+      },
+      queryContainer(R.merge(props, {page, pageSize: _pageSize}))
+    );
+  };
+
+  // Watches the first page of the paginated query and fetches each later page with fetchMore. Resolves to the ids
+  // that the cache then has for the page, or for the first page if the pages are merged
+  const fetchMoreTask = pageCount => {
+    const operation = R.find(
+      operation => {
+        return operationMatches({operationName}, operation) &&
+          R.whereEq({page: 1, pageSize: _pageSize}, operation.variables || {});
+      },
+      inFlightTracker.operations('query')
+    );
+    if (!operation) {
+      throw new Error(`No query of ${containerKey} for page 1 matched ${operationName}`);
+    }
+    const variablesForPage = page => R.merge(operation.variables, {page});
+    const cachedIds = page => _objectIds(_paginatedData({
+      data: apolloClient.readQuery({query: operation.query, variables: variablesForPage(page)})
+    }).objects);
+    const observableQuery = apolloClient.watchQuery({query: operation.query, variables: variablesForPage(1)});
+    // Stop watching once the pages are fetched, so the query doesn't outlive the case
+    const subscription = observableQuery.subscribe({});
+    const unsubscribe = () => subscription.unsubscribe();
+    return sequenceTasks(
+      page => R.map(
+        () => cachedIds(mergePages ? 1 : page),
+        fromPromised(() => observableQuery.fetchMore({variables: {page}}))()
+      ),
+      R.range(2, pageCount + 1)
+    ).map(
+      fetchedMoreIds => {
+        unsubscribe();
+        return fetchedMoreIds;
+      }
+    ).orElse(
+      error => {
+        unsubscribe();
+        return rejected(error);
+      }
+    );
+  };
+
+  return composeWithChain([
+    ({pages, fetchedMoreIds, allIds}) => {
+      const pageIds = R.map(({objects}) => _objectIds(objects), pages);
+      const ids = R.flatten(pageIds);
+      // No object is on two pages
+      expect(R.uniq(ids)).toEqual(ids);
+      // Every page but the last is full and the last isn't empty
+      expect(R.map(R.length, pageIds)).toEqual(R.append(
+        R.clamp(1, _pageSize, R.length(R.last(pageIds))),
+        R.repeat(_pageSize, R.length(pageIds) - 1)
+      ));
+      // fetchMore caches each page
+      expect(fetchedMoreIds).toEqual(R.map(
+        page => mergePages ? R.flatten(R.slice(0, page, pageIds)) : R.nth(page - 1, pageIds),
+        R.range(2, R.length(pageIds) + 1)
+      ));
+      if (allContainerKey) {
+        // Querying all the pages at once results in the same objects
+        expect(allIds).toEqual(ids);
+      }
+      return of({containerKey, pageIds});
+    },
+    mapToNamedResponseAndInputs('allIds',
+      () => {
+        return allContainerKey ?
+          R.map(
+            response => _objectIds(_paginatedData(response).objects),
+            reqStrPathThrowing(allContainerKey, queryContainers)(props)
+          ) :
+          of(null);
+      }
+    ),
+    mapToNamedResponseAndInputs('fetchedMoreIds',
+      ({pages}) => fetchMoreTask(R.length(pages))
+    ),
+    mapToNamedResponseAndInputs('pages',
+      () => pagesTask(1)
+    )
+  ])({});
+};
@@ -0,0 +1,227 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs,
+  reqStrPathThrowing,
+  strPathOr
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {operationLogForApolloClient} from '../links/operationLogLinks.js';
+import {createPollClock} from '../pollClockHelpers.js';
+import {
+  componentProps,
+  defaultContainerOperationName,
+  filterForMutationContainers,
+  filterForQueryContainers,
+  operationNamesOfContainers,
+  sequenceTasks,
+  settleRequestsTask,
+  testRenderComponentTask,
+  unmountTestComponent,
+  waitForComponentPropsTask
+} from './suiteHelpers.js';
+
+const {of, rejected} = T;
+
+/**
+ * @fileoverview The testPolling suite of apolloContainerTests, which advances a fake clock through the poll intervals
+ * of the query containers and asserts the requests and renders of each poll
+ */
+
+/**
+ * Mounts the component with a poll clock installed and advances it poll by poll. Asserts that the component has
+ * polling queries, that each poll sends each of them to the network once, that the component renders the update
+ * of the polling.mutationKey mutation made with another apolloClient, and that after unmounting no poll is pending
+ * or reaches the network
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Nullary function returning a Task that resolves to a new {apolloClient}
+ * @param {Object} [config.containerOperationNames] Operation name matchers keyed by container key
+ * @param {Object} [config.polling] See testContext.polling of apolloContainerTests
+ * @param {Object} config.updatedPaths See defaultUpdatePathsForMutationContainers
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Function} apolloContainers Expects an apolloConfig and returns the containers keyed by name
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const pollingSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    containerOperationNames,
+    polling: {pollIntervals = {}, polls = 2, mutationKey, settleLength = 100},
+    updatedPaths,
+    waitLength,
+    theme,
+    renderer
+  }, apolloContainers, container, component, done) => {
+
+  const errors = [];
+  const operationNames = operationNamesOfContainers(containerOperationNames, filterForQueryContainers(apolloContainers({})));
+  const componentPaths = mutationKey ? R.pathOr([], [mutationKey, 'component'], updatedPaths) : [];
+  // The two assertions of testRenderComponentTask, the polling queries, one per poll, the update and the unmount
+  expect.assertions(4 + polls + (R.isEmpty(componentPaths) ? 0 : 1));
+
+  const clock = createPollClock();
+  const pathValues = props => R.map(path => strPathOr(null, path, props), componentPaths);
+  const networkRequestNames = apolloClient => {
+    return R.map(R.prop('operationName'), operationLogForApolloClient(apolloClient).networkRequests());
+  };
+
+  // Changes the server's data with another apolloClient, whose cache the component doesn't see
+  const mutateServerTask = () => {
+    return composeWithChain([
+      ({apolloConfig, props}) => {
+        return reqStrPathThrowing(mutationKey, filterForMutationContainers(apolloContainers(apolloConfig)))(props);
+      },
+      mapToNamedResponseAndInputs('props',
+        ({apolloConfig}) => resolvedPropsContainer(apolloConfig, {})
+      ),
+      mapToNamedResponseAndInputs('apolloConfig',
+        () => apolloConfigContainer()
+      )
+    ])({});
+  };
+
+  // Advances the clock to the next poll of every polling query and expects each to reach the network once
+  const pollTask = ({apolloClient}, poll) => {
+    const pollingNames = R.map(R.prop('operationName'), clock.observableQueries());
+    return composeWithChain([
+      ({before}) => {
+        const sent = R.filter(
+          name => R.includes(name, pollingNames),
+          R.drop(R.length(before), networkRequestNames(apolloClient))
+        );
+        expect({poll, sent: R.countBy(R.identity, sent)}).toEqual({poll, sent: R.countBy(R.identity, pollingNames)});
+        return of(sent);
+      },
+      mapToNamedResponseAndInputs('settled',
+        () => {
+          clock.advance(R.reduce(R.max, 0, R.map(R.prop('pollInterval'), clock.observableQueries())));
+          return settleRequestsTask(apolloClient, settleLength, waitLength);
+        }
+      ),
+      mapToNamedResponseAndInputs('mutated',
+        () => R.equals(polls, poll) && !R.isEmpty(componentPaths) ? mutateServerTask() : of(null)
+      ),
+      mapToNamedResponseAndInputs('before',
+        () => of(networkRequestNames(apolloClient))
+      )
+    ])({});
+  };
+
+  composeWithChain([
+    // After unmounting, no poll is pending and advancing the clock sends nothing
+    ({apolloClient, wrapper}) => {
+      unmountTestComponent({wrapper});
+      const pending = clock.pending();
+      const before = R.length(networkRequestNames(apolloClient));
+      clock.advance(R.reduce(R.max, 0, R.map(R.prop('pollInterval'), clock.observableQueries())));
+      return R.map(
+        () => {
+          expect({pending, sent: R.length(networkRequestNames(apolloClient)) - before}).toEqual({pending: 0, sent: 0});
+          clock.uninstall();
+          return clock.observableQueries();
+        },
+        settleRequestsTask(apolloClient, settleLength, waitLength)
+      );
+    },
+    // The last poll renders the server's update
+    mapToNamedResponseAndInputs('updated',
+      ({wrapper, apolloClient, initialProps}) => {
+        if (R.isEmpty(componentPaths)) {
+          return of(null);
+        }
+        const initialValues = pathValues(initialProps);
+        return R.map(
+          props => {
+            const values = pathValues(props);
+            expect(R.filter(
+              path => !R.equals(R.nth(R.indexOf(path, componentPaths), initialValues), R.nth(R.indexOf(path, componentPaths), values)),
+              componentPaths
+            )).toEqual(componentPaths);
+            return props;
+          },
+          waitForComponentPropsTask({
+            wrapper,
+            apolloClient,
+            componentId,
+            predicate: props => !R.equals(initialValues, pathValues(props)),
+            waitLength
+          })
+        );
+      }
+    ),
+    mapToNamedResponseAndInputs('polled',
+      mounted => {
+        return sequenceTasks(
+          poll => pollTask(mounted, poll),
+          R.range(1, polls + 1)
+        );
+      }
+    ),
+    mapToNamedResponseAndInputs('initialProps',
+      ({wrapper}) => {
+        expect(R.length(clock.observableQueries())).toBeGreaterThan(0);
+        return of(componentProps(wrapper));
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        clock.install(
+          apolloClient,
+          R.values(R.mapObjIndexed(
+            (pollInterval, containerKey) => ({
+              operationName: R.propOr(defaultContainerOperationName(containerKey), containerKey, operationNames),
+              pollInterval
+            }),
+            pollIntervals
+          ))
+        );
+        return testRenderComponentTask(
+          {
+            apolloClient,
+            componentId,
+            childLoadingId,
+            childDataId,
+            waitLength,
+            theme,
+            renderer,
+            authenticate: true
+          },
+          container,
+          component,
+          resolvedPropsContainer
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer()
+    )
+  ])({}).orElse(error => {
+    // Never leave the apolloClient's watchQuery wrapped or its polls scheduled
+    clock.uninstall();
+    return rejected(error);
+  }).run().listen(
+    defaultRunConfig({
+      onResolved: pollingQueries => {
+        // The assertions were made above
+      }
+    }, errors, done)
+  );
+};
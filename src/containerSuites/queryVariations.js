@@ -0,0 +1,177 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {composeWithChain, defaultRunConfig, mapToMergedResponseAndInputs, omitDeep, strPathOr} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {operationMatches} from '../links/linkHelpers.js';
+import {inFlightTrackerForApolloClient} from '../links/inFlightLinks.js';
+import {
+  componentProps,
+  defaultContainerOperationName,
+  sequenceTasks,
+  testRenderComponentTask,
+  unmountTestComponent
+} from './suiteHelpers.js';
+
+const {of} = T;
+
+/**
+ * @fileoverview The testQueryVariations suite of apolloContainerTests, which renders the component with each variation
+ * of the query variables
+ */
+
+/**
+ * Renders the component once per query variation with only that variation selected and asserts that only its
+ * request fired and only its result reached the component
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Nullary function returning a Task that resolves to a new {apolloClient}
+ * @param {Object} [config.queryVariations] See testContext.queryVariations of apolloContainerTests
+ * @param {Object} [config.containerOperationNames] Operation name matchers keyed by container key
+ * @param {[String]} config.omitKeysFromSnapshots Keys to omit from the result snapshots
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const queryVariationsSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    queryVariations = {},
+    containerOperationNames,
+    omitKeysFromSnapshots,
+    waitLength,
+    theme,
+    renderer
+  }, container, component, done) => {
+
+  const errors = [];
+  const operationNames = R.mapObjIndexed(
+    (_, containerKey) => R.propOr(defaultContainerOperationName(containerKey), containerKey, containerOperationNames || {}),
+    queryVariations
+  );
+  if (R.isEmpty(queryVariations)) {
+    console.warn('testQueryVariations has no queryVariations');
+  }
+
+  // The two assertions of testRenderComponentTask plus the requests, results and snapshot per variation
+  expect.assertions(5 * R.length(R.keys(queryVariations)));
+
+  sequenceTasks(
+    ([containerKey, variationProps]) => _testQueryVariationTask(
+      {
+        apolloConfigContainer,
+        resolvedPropsContainer,
+        componentId,
+        childLoadingId,
+        childDataId,
+        omitKeysFromSnapshots,
+        waitLength,
+        theme,
+        renderer
+      },
+      {containerKey, variationProps, operationNames},
+      container,
+      component
+    ),
+    R.toPairs(queryVariations)
+  ).run().listen(
+    defaultRunConfig({
+      onResolved: variationResults => {
+        // The assertions were made per variation
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Renders the component with one query variation selected and asserts its requests and result
+ * @param {Object} config See queryVariationsSuite
+ * @param {Object} variationCase
+ * @param {String} variationCase.containerKey The container key of the selected variation
+ * @param {Function} variationCase.variationProps Expects the sample props and returns those selecting the variation
+ * @param {Object} variationCase.operationNames The operation name matchers of every variation by container key
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to {containerKey, data}, the result of the variation
+ * @private
+ */
+const _testQueryVariationTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    omitKeysFromSnapshots,
+    waitLength,
+    theme,
+    renderer
+  }, {containerKey, variationProps, operationNames}, container, component) => {
+
+  const variationKeys = R.keys(operationNames);
+  const matches = (key, operation) => operationMatches({operationName: R.prop(key, operationNames)}, operation);
+  // Passes the variation's props to the render function in place of the sample props
+  const variationPropsContainer = (apolloConfig, {render}) => {
+    return resolvedPropsContainer(apolloConfig, {
+      render: props => render(variationProps(R.merge(props, {queryVariationContainersTestAll: false})))
+    });
+  };
+
+  return composeWithChain([
+    ({apolloClient, wrapper}) => {
+      const props = componentProps(wrapper);
+      unmountTestComponent({wrapper});
+      // The queries of every variation that fired
+      const operations = R.filter(
+        operation => R.any(key => matches(key, operation), variationKeys),
+        inFlightTrackerForApolloClient(apolloClient).operations('query')
+      );
+      expect({
+        fired: R.any(operation => matches(containerKey, operation), operations),
+        others: R.map(
+          R.prop('operationName'),
+          R.reject(operation => matches(containerKey, operation), operations)
+        )
+      }).toEqual({fired: true, others: []});
+      // Only the selected variation has a result
+      expect(R.filter(key => !R.isNil(strPathOr(null, `${key}.data`, props)), variationKeys)).toEqual([containerKey]);
+      const data = strPathOr(null, `${containerKey}.data`, props);
+      expect(omitDeep(omitKeysFromSnapshots, data)).toMatchSnapshot(containerKey);
+      return of({containerKey, data});
+    },
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return testRenderComponentTask(
+          {
+            apolloClient,
+            componentId,
+            childLoadingId,
+            childDataId,
+            waitLength,
+            theme,
+            renderer,
+            authenticate: true
+          },
+          container,
+          component,
+          variationPropsContainer
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer()
+    )
+  ])({});
+};
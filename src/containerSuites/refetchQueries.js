@@ -0,0 +1,169 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs,
+  reqStrPathThrowing
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {operationLogForApolloClient} from '../links/operationLogLinks.js';
+import {getOperationName} from '@apollo/client/utilities';
+import {
+  componentProps,
+  sequenceTasks,
+  settleRequestsTask,
+  testRenderComponentTask,
+  unmountTestComponent
+} from './suiteHelpers.js';
+
+const {fromPromised, of, rejected} = T;
+
+/**
+ * @fileoverview The testRefetchQueries suite of apolloContainerTests, which calls each mutation and asserts that the
+ * queries it refetches reach the network
+ */
+
+/**
+ * Mounts the component and calls each of its mutations in turn. Asserts that every query in the refetchQueries of
+ * each mutation reached the network after the mutation. Mutations without refetchQueries expect none
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Nullary function returning a Task that resolves to a new {apolloClient}
+ * @param {Object} config.mutationComponents The mutation containers keyed by name
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const refetchQueriesSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    mutationComponents,
+    waitLength,
+    theme,
+    renderer
+  }, container, component, done) => {
+
+  const errors = [];
+  // The two assertions of testRenderComponentTask and one per mutation
+  expect.assertions(2 + R.length(R.keys(mutationComponents)));
+
+  // The operation names each mutation's refetchQueries resolved to, keyed by mutation operation name
+  let refetchQueryNames = {};
+  const refetchQueryName = refetchQuery => {
+    return R.is(String, refetchQuery) ? refetchQuery : getOperationName(refetchQuery.query);
+  };
+  // Records the refetchQueries of each mutation. A function is called by Apollo with the result, so record what it returns
+  const recordRefetchQueries = apolloClient => {
+    const mutate = apolloClient.mutate.bind(apolloClient);
+    apolloClient.mutate = options => {
+      const mutationName = getOperationName(options.mutation);
+      const record = refetchQueries => {
+        refetchQueryNames = R.assoc(mutationName, R.map(refetchQueryName, refetchQueries || []), refetchQueryNames);
+        return refetchQueries;
+      };
+      const {refetchQueries} = options;
+      record(R.is(Function, refetchQueries) ? [] : refetchQueries);
+      return mutate(R.is(Function, refetchQueries) ?
+        R.merge(options, {refetchQueries: result => record(refetchQueries(result))}) :
+        options
+      );
+    };
+  };
+
+  const mutationTask = ({apolloClient, props}, mutationKey) => {
+    const operationLog = operationLogForApolloClient(apolloClient);
+    return composeWithChain([
+      ({before}) => {
+        const entries = R.drop(R.length(before), operationLog.entries());
+        // The mutation's operation name, which names its refetchQueries
+        const mutationName = R.propOr(null, 'operationName', R.find(R.propEq('operationType', 'mutation'), entries));
+        const declared = R.uniq(R.propOr([], mutationName, refetchQueryNames));
+        const refetched = R.uniq(R.map(
+          R.prop('operationName'),
+          R.filter(entry => R.equals('query', entry.operationType) && R.equals('network', entry.source), entries)
+        ));
+        expect({mutationKey, missing: R.difference(declared, refetched)}).toEqual({mutationKey, missing: []});
+        return of({mutationKey, declared, refetched});
+      },
+      mapToNamedResponseAndInputs('settled',
+        () => settleRequestsTask(apolloClient, 100, waitLength)
+      ),
+      mapToNamedResponseAndInputs('mutationResponse',
+        () => {
+          const {mutation, skip} = reqStrPathThrowing(mutationKey, props);
+          if (skip) {
+            return rejected(new Error(`Attempt to run a skipped mutation ${mutationKey}, meaning its variables are not ready`));
+          }
+          return fromPromised(() => mutation())();
+        }
+      ),
+      mapToNamedResponseAndInputs('before',
+        () => of(operationLog.entries())
+      )
+    ])({});
+  };
+
+  composeWithChain([
+    ({wrapper, refetchResults}) => {
+      unmountTestComponent({wrapper});
+      return of(refetchResults);
+    },
+    mapToNamedResponseAndInputs('refetchResults',
+      mounted => {
+        return sequenceTasks(
+          mutationKey => mutationTask(mounted, mutationKey),
+          R.keys(mutationComponents)
+        );
+      }
+    ),
+    mapToNamedResponseAndInputs('props',
+      ({wrapper}) => {
+        return of(componentProps(wrapper));
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        recordRefetchQueries(apolloClient);
+        return testRenderComponentTask(
+          {
+            apolloClient,
+            componentId,
+            childLoadingId,
+            childDataId,
+            waitLength,
+            theme,
+            renderer,
+            authenticate: true
+          },
+          container,
+          component,
+          resolvedPropsContainer
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer()
+    )
+  ])({}).run().listen(
+    defaultRunConfig({
+      onResolved: refetchResults => {
+        // The assertions were made per mutation
+      }
+    }, errors, done)
+  );
+};
@@ -0,0 +1,224 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import {
+  findById
+} from '../componentTestHelpers.js';
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs,
+  reqStrPathThrowing
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {FAULT_TYPES, faultInjectionLink} from '../links/faultLinks.js';
+import {prependLinksToApolloClient} from '../links/linkHelpers.js';
+import {overrideErrorPolicy} from '../errorPolicyHelpers.js';
+import {
+  filterForMutationContainers,
+  filterForQueryContainers,
+  operationNamesOfContainers,
+  sequenceTasks,
+  testRenderComponentMutationsTask,
+  testRenderComponentTask,
+  unmountTestComponent
+} from './suiteHelpers.js';
+
+const {of} = T;
+
+/**
+ * @fileoverview The testRenderFaults suite of apolloContainerTests, which renders the component through injected
+ * network and GraphQL faults
+ */
+
+/**
+ * Renders the component once per container, fault and error policy with the fault injected and the error policy
+ * forced on the container's requests, and asserts that each reaches the error state
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Nullary function returning a Task that resolves to a new {apolloClient}
+ * @param {[Object]} [config.faults] Faults without operationName. Defaults to one of each of FAULT_TYPES
+ * @param {[String]} [config.errorPolicies] Default ['all', 'none']. The error policies to force on the requests
+ * of the faulted container. A fault must render the error state under each
+ * @param {Object} [config.containerOperationNames] Operation name matchers keyed by container key
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} apolloContainers The containers keyed by name
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const renderFaultsSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    faults = R.map(type => ({type}), FAULT_TYPES),
+    errorPolicies = ['all', 'none'],
+    containerOperationNames,
+    waitLength,
+    theme,
+    renderer
+  }, apolloContainers, container, component, done) => {
+
+  const errors = [];
+  const mutationContainers = filterForMutationContainers(apolloContainers);
+  const operationNames = operationNamesOfContainers(
+    containerOperationNames,
+    R.merge(filterForQueryContainers(apolloContainers), mutationContainers)
+  );
+
+  // One case per container, fault and error policy
+  const faultCases = R.chain(
+    ([containerKey, operationName]) => {
+      return R.chain(
+        fault => {
+          return R.map(
+            errorPolicy => {
+              return {
+                containerKey,
+                fault: R.merge(fault, {
+                  operationName,
+                  operationType: R.has(containerKey, mutationContainers) ? 'mutation' : 'query'
+                }),
+                errorPolicy
+              };
+            },
+            errorPolicies
+          );
+        },
+        faults
+      );
+    },
+    R.toPairs(operationNames)
+  );
+
+  // The two assertions of testRenderComponentTask plus the error state assertion per case
+  expect.assertions(3 * R.length(faultCases));
+
+  // Render the cases one at a time
+  sequenceTasks(
+    faultCase => _testRenderFaultTask(
+      {
+        apolloConfigContainer,
+        resolvedPropsContainer,
+        componentId,
+        childLoadingId,
+        childDataId,
+        childErrorId,
+        mutationContainers,
+        waitLength,
+        theme,
+        renderer
+      },
+      faultCase,
+      container,
+      component
+    ),
+    faultCases
+  ).run().listen(
+    defaultRunConfig({
+      onResolved: faultResults => {
+        // The assertions were made per case
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Renders the component with a single fault injected and asserts the error state, then unmounts it
+ * @param {Object} config See renderFaultsSuite
+ * @param {Object} config.mutationContainers The mutation containers by key
+ * @param {Object} faultCase
+ * @param {String} faultCase.containerKey The key of the container whose requests fail
+ * @param {Object} faultCase.fault The faultInjectionLink fault
+ * @param {String} faultCase.errorPolicy The error policy forced on the requests of the container
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to the faultCase
+ * @private
+ */
+const _testRenderFaultTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    mutationContainers,
+    waitLength,
+    theme,
+    renderer
+  }, {containerKey, fault, errorPolicy}, container, component) => {
+
+  const isMutation = R.equals('mutation', fault.operationType);
+  return composeWithChain([
+    ({wrapper}) => {
+      wrapper.update();
+      // The fault must drive the component into the error state
+      expect(R.length(findById(wrapper, childErrorId))).toBeGreaterThan(0);
+      unmountTestComponent({wrapper});
+      return of({containerKey, fault, errorPolicy});
+    },
+    // Mutation faults happen when the mutation is called after the data state renders
+    mapToNamedResponseAndInputs('prePostMutationComparisons',
+      ({apolloClient, wrapper, component}) => {
+        return isMutation ?
+          testRenderComponentMutationsTask({
+            apolloConfig: {apolloClient},
+            mutationComponents: R.pick([containerKey], mutationContainers),
+            componentId,
+            childDataId,
+            childErrorId,
+            waitLength
+          }, wrapper, component) :
+          of([]);
+      }
+    ),
+    // Query faults happen on the first render, so wait for the error state instead of data
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return testRenderComponentTask(
+          {
+            apolloClient,
+            componentId,
+            childLoadingId,
+            childDataId: isMutation ? childDataId : childErrorId,
+            waitLength,
+            theme,
+            renderer,
+            authenticate: true
+          },
+          container,
+          component,
+          resolvedPropsContainer
+        );
+      }
+    ),
+    // Resolve a new apolloConfig, put the fault link in front of its links and force the error policy
+    mapToMergedResponseAndInputs(
+      () => {
+        return R.map(
+          apolloConfig => {
+            const apolloClient = reqStrPathThrowing('apolloClient', apolloConfig);
+            prependLinksToApolloClient(apolloClient, [faultInjectionLink([fault])]);
+            overrideErrorPolicy(apolloClient, {operationName: fault.operationName, errorPolicy});
+            return apolloConfig;
+          },
+          apolloConfigContainer()
+        );
+      }
+    )
+  ])({});
+};
@@ -0,0 +1,175 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  reqStrPathThrowing
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {prependLinksToApolloClient} from '../links/linkHelpers.js';
+import {createDelayLink} from '../links/delayLinks.js';
+import {
+  filterForQueryContainers,
+  operationNamesOfContainers,
+  sequenceTasks,
+  testRenderComponentTask,
+  unmountTestComponent
+} from './suiteHelpers.js';
+
+const {of} = T;
+
+/**
+ * @fileoverview The testRenderLoading suite of apolloContainerTests, which delays the responses to assert the loading
+ * state
+ */
+
+/**
+ * Renders the component once per query container with the container's requests delayed and asserts that the
+ * loading state renders before the data state and does not render again after it
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Nullary function returning a Task that resolves to a new {apolloClient}
+ * @param {Object} [config.containerOperationNames] Operation name matchers keyed by container key
+ * @param {Number} [config.loadingDelay] Default 500. Milliseconds to delay each container's requests
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} apolloContainers The containers keyed by name
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const renderLoadingSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    containerOperationNames,
+    loadingDelay = 500,
+    waitLength,
+    theme,
+    renderer
+  }, apolloContainers, container, component, done) => {
+
+  const errors = [];
+  const operationNames = operationNamesOfContainers(
+    containerOperationNames,
+    filterForQueryContainers(apolloContainers)
+  );
+
+  // The two assertions of testRenderComponentTask plus the three loading assertions per case
+  expect.assertions(5 * R.length(R.keys(operationNames)));
+
+  // Render the cases one at a time
+  sequenceTasks(
+    ([containerKey, operationName]) => _testRenderLoadingTask(
+      {
+        apolloConfigContainer,
+        resolvedPropsContainer,
+        componentId,
+        childLoadingId,
+        childDataId,
+        childErrorId,
+        loadingDelay,
+        waitLength,
+        theme,
+        renderer
+      },
+      {containerKey, operationName},
+      container,
+      component
+    ),
+    R.toPairs(operationNames)
+  ).run().listen(
+    defaultRunConfig({
+      onResolved: loadingResults => {
+        // The assertions were made per case
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Renders the component with the requests of one container delayed and asserts the order of the rendered statuses
+ * @param {Object} config See renderLoadingSuite
+ * @param {Object} loadingCase
+ * @param {String} loadingCase.containerKey The key of the container whose requests are delayed
+ * @param {String|RegExp} loadingCase.operationName Matches the operations of the container
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to {containerKey, statusSequence}
+ * @private
+ */
+const _testRenderLoadingTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    loadingDelay,
+    waitLength,
+    theme,
+    renderer
+  }, {containerKey, operationName}, container, component) => {
+
+  const {link, delayedOperations} = createDelayLink({delay: loadingDelay, operationName, operationType: 'query'});
+  return composeWithChain([
+    ({wrapper, statusRecorder, mountNode}) => {
+      statusRecorder.sample();
+      unmountTestComponent({wrapper, statusRecorder, mountNode});
+      const statusSequence = statusRecorder.statusSequence();
+      const firstData = R.indexOf('data', statusSequence);
+      // The container's requests must have been made, or the delay proves nothing
+      expect(R.length(delayedOperations())).toBeGreaterThan(0);
+      // Loading renders before the data
+      expect(R.slice(0, firstData, statusSequence)).toContain('loading');
+      // And never again after it
+      expect(R.slice(firstData, Infinity, statusSequence)).not.toContain('loading');
+      return of({containerKey, statusSequence});
+    },
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return testRenderComponentTask(
+          {
+            apolloClient,
+            componentId,
+            childLoadingId,
+            childDataId,
+            waitLength,
+            theme,
+            renderer,
+            authenticate: true,
+            statusClasses: R.reject(R.isNil, {loading: childLoadingId, data: childDataId, error: childErrorId})
+          },
+          container,
+          component,
+          resolvedPropsContainer
+        );
+      }
+    ),
+    // Resolve a new apolloConfig and put the delay link in front of its links
+    mapToMergedResponseAndInputs(
+      () => {
+        return R.map(
+          apolloConfig => {
+            prependLinksToApolloClient(reqStrPathThrowing('apolloClient', apolloConfig), [link]);
+            return apolloConfig;
+          },
+          apolloConfigContainer()
+        );
+      }
+    )
+  ])({});
+};
@@ -0,0 +1,293 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  filterWithKeys,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs,
+  reqStrPathThrowing,
+  strPathOr
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {faultInjectionLink} from '../links/faultLinks.js';
+import {prependLinksToApolloClient} from '../links/linkHelpers.js';
+import {createDelayLink} from '../links/delayLinks.js';
+import {
+  filterForMutationContainers,
+  operationNamesOfContainers,
+  sequenceTasks,
+  testRenderComponentTask,
+  unmountTestComponent,
+  waitForComponentPropsTask
+} from './suiteHelpers.js';
+
+const {fromPromised, of} = T;
+
+/**
+ * @fileoverview The testRenderOptimistic suite of apolloContainerTests, which asserts the optimistic render of each
+ * mutation and its rollback when the mutation fails
+ */
+
+/**
+ * For each mutation container with an optimistic response and component updatedPaths, tests the optimistic render,
+ * the server render and the rollback of a failed mutation
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Nullary function returning a Task that resolves to a new {apolloClient}
+ * @param {Object} [config.optimisticResponses] See testContext.optimisticResponses of apolloContainerTests
+ * @param {Object} config.updatedPaths See defaultUpdatePathsForMutationContainers
+ * @param {Object} [config.containerOperationNames] Operation name matchers keyed by container key
+ * @param {Number} [config.loadingDelay] Default 500. Milliseconds to delay the mutations
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} apolloContainers The containers keyed by name
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const renderOptimisticSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    optimisticResponses = {},
+    updatedPaths,
+    containerOperationNames,
+    loadingDelay = 500,
+    waitLength,
+    theme,
+    renderer
+  }, apolloContainers, container, component, done) => {
+
+  const errors = [];
+  const mutationContainers = filterWithKeys(
+    (_, key) => R.has(key, optimisticResponses) && !R.isEmpty(strPathOr([], `${key}.component`, updatedPaths)),
+    filterForMutationContainers(apolloContainers)
+  );
+  const operationNames = operationNamesOfContainers(containerOperationNames, mutationContainers);
+  const optimisticCases = R.map(
+    ([mutationName, operationName]) => {
+      return {
+        mutationName,
+        operationName,
+        optimisticResponse: R.prop(mutationName, optimisticResponses),
+        paths: reqStrPathThrowing(`${mutationName}.component`, updatedPaths)
+      };
+    },
+    R.toPairs(operationNames)
+  );
+  if (R.isEmpty(optimisticCases)) {
+    console.warn('testRenderOptimistic has no mutation containers with both optimisticResponses and updatedPaths.component');
+  }
+
+  // Per case: two renders of two assertions, the optimistic values and pending mutation of each render, the server
+  // values, and the rolled back values and optimistic layer
+  expect.assertions(R.sum(R.map(({paths}) => 7 + 4 * R.length(paths), optimisticCases)));
+
+  sequenceTasks(
+    optimisticCase => _testRenderOptimisticTask(
+      {
+        apolloConfigContainer,
+        resolvedPropsContainer,
+        componentId,
+        childLoadingId,
+        childDataId,
+        loadingDelay,
+        waitLength,
+        theme,
+        renderer
+      },
+      optimisticCase,
+      container,
+      component
+    ),
+    optimisticCases
+  ).run().listen(
+    defaultRunConfig({
+      onResolved: optimisticResults => {
+        // The assertions were made per case
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Tests one mutation's optimistic render, server render and rollback
+ * @param {Object} config See renderOptimisticSuite
+ * @param {Object} optimisticCase
+ * @param {String} optimisticCase.mutationName The mutation container key
+ * @param {String|RegExp} optimisticCase.operationName Matches the mutation's operation
+ * @param {Function} optimisticCase.optimisticResponse Expects the component props and returns the optimisticResponse
+ * @param {[String]} optimisticCase.paths The updatedPaths.component of the mutation
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to {mutationName, optimistic, server}, the values at the paths
+ * @private
+ */
+const _testRenderOptimisticTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    loadingDelay,
+    waitLength,
+    theme,
+    renderer
+  }, {mutationName, operationName, optimisticResponse, paths}, container, component) => {
+
+  const valuesAt = props => R.fromPairs(R.map(path => [path, strPathOr(undefined, path, props)], paths));
+
+  // Renders with the links in front of a new apolloClient's links
+  const renderTask = links => {
+    return composeWithChain([
+      mapToMergedResponseAndInputs(
+        ({apolloClient}) => {
+          return testRenderComponentTask(
+            {apolloClient, componentId, childLoadingId, childDataId, waitLength, theme, renderer, authenticate: true},
+            container,
+            component,
+            resolvedPropsContainer
+          );
+        }
+      ),
+      () => {
+        return R.map(
+          apolloConfig => {
+            prependLinksToApolloClient(reqStrPathThrowing('apolloClient', apolloConfig), links);
+            return apolloConfig;
+          },
+          apolloConfigContainer()
+        );
+      }
+    ])({});
+  };
+
+  // Calls the mutation with its optimistic response. Resolves to the component props before the mutation and a
+  // Task of the mutation that resolves to its result or error. The mutation is held by the delay link
+  const mutateOptimisticallyTask = ({wrapper, apolloClient}) => {
+    return R.map(
+      props => {
+        const {mutation} = reqStrPathThrowing(mutationName, props);
+        const pending = {settled: false};
+        // Resolve to the error too, since the rollback case expects the mutation to fail
+        const promise = mutation({optimisticResponse: optimisticResponse(props)}).then(
+          result => ({result}),
+          error => ({error})
+        ).then(settled => {
+          pending.settled = true;
+          return settled;
+        });
+        return {props, pending, mutationTask: fromPromised(() => promise)()};
+      },
+      waitForComponentPropsTask({wrapper, apolloClient, componentId, predicate: R.T, waitLength})
+    );
+  };
+
+  // Waits for the optimistic values to render while the mutation is still delayed. Resolves to the values
+  const optimisticValuesTask = ({wrapper, apolloClient, props, pending}) => {
+    const before = valuesAt(props);
+    return R.map(
+      optimisticProps => {
+        const optimistic = valuesAt(optimisticProps);
+        // The mutation is still delayed, so the new values are the optimistic ones
+        expect(pending.settled).toBe(false);
+        R.forEach(path => expect(R.prop(path, optimistic)).not.toEqual(R.prop(path, before)), paths);
+        return optimistic;
+      },
+      waitForComponentPropsTask({
+        wrapper,
+        apolloClient,
+        componentId,
+        predicate: props => !R.equals(before, valuesAt(props)),
+        waitLength
+      })
+    );
+  };
+
+  const successTask = composeWithChain([
+    ({wrapper, optimistic, serverProps}) => {
+      unmountTestComponent({wrapper});
+      const server = valuesAt(serverProps);
+      // The server's values replace the optimistic ones
+      R.forEach(path => expect(R.prop(path, server)).not.toEqual(R.prop(path, optimistic)), paths);
+      return of({optimistic, server});
+    },
+    mapToNamedResponseAndInputs('serverProps',
+      ({wrapper, apolloClient, mutationTask, optimistic}) => {
+        return R.chain(
+          () => waitForComponentPropsTask({
+            wrapper,
+            apolloClient,
+            componentId,
+            predicate: props => !R.equals(optimistic, valuesAt(props)),
+            waitLength
+          }),
+          mutationTask
+        );
+      }
+    ),
+    mapToNamedResponseAndInputs('optimistic',
+      mounted => optimisticValuesTask(mounted)
+    ),
+    mapToMergedResponseAndInputs(
+      mounted => mutateOptimisticallyTask(mounted)
+    ),
+    () => renderTask([createDelayLink({delay: loadingDelay, operationName, operationType: 'mutation'}).link])
+  ])({});
+
+  const rollbackTask = composeWithChain([
+    ({wrapper, apolloClient, props, rolledBackProps}) => {
+      unmountTestComponent({wrapper});
+      const before = valuesAt(props);
+      const rolledBack = valuesAt(rolledBackProps);
+      R.forEach(path => expect(R.prop(path, rolledBack)).toEqual(R.prop(path, before)), paths);
+      // No optimistic layer remains in the cache
+      expect(apolloClient.cache.extract(true)).toEqual(apolloClient.cache.extract(false));
+      return of(rolledBack);
+    },
+    mapToNamedResponseAndInputs('rolledBackProps',
+      ({wrapper, apolloClient, props, mutationTask}) => {
+        const before = valuesAt(props);
+        return R.chain(
+          () => waitForComponentPropsTask({
+            wrapper,
+            apolloClient,
+            componentId,
+            predicate: props => R.equals(before, valuesAt(props)),
+            waitLength
+          }),
+          mutationTask
+        );
+      }
+    ),
+    // The optimistic values must render before the failure rolls them back
+    mapToNamedResponseAndInputs('optimistic',
+      mounted => optimisticValuesTask(mounted)
+    ),
+    mapToMergedResponseAndInputs(
+      mounted => mutateOptimisticallyTask(mounted)
+    ),
+    // The mutation is delayed so the optimistic values render, then it fails
+    () => renderTask([
+      createDelayLink({delay: loadingDelay, operationName, operationType: 'mutation'}).link,
+      faultInjectionLink([{operationName, operationType: 'mutation', type: 'graphql'}])
+    ])
+  ])({});
+
+  return R.chain(
+    ({optimistic, server}) => R.map(() => ({mutationName, optimistic, server}), rollbackTask),
+    successTask
+  );
+};
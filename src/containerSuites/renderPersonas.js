@@ -0,0 +1,232 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import {findById} from '../componentTestHelpers.js';
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs,
+  omitDeep
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {waitForStatusSequenceTask} from '../renderStatusHelpers.js';
+import {
+  componentProps,
+  filterForMutationContainers,
+  filterForQueryContainers,
+  mountTestComponent,
+  sequenceTasks,
+  settleRequestsTask,
+  unmountTestComponent
+} from './suiteHelpers.js';
+
+const {fromPromised, of} = T;
+
+/**
+ * @fileoverview The testRenderPersonas suite of apolloContainerTests, which renders the component as each persona and
+ * asserts the views that the persona may see
+ */
+
+/**
+ * Mounts the component once per persona and asserts the status it settles on, the views that render and the mutation
+ * containers that the persona may run, then snapshots the persona's query results
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Unary function expecting the persona name and returning a Task that
+ * resolves to a new {apolloClient} of the persona's user
+ * @param {Object} config.statusClasses The status classes keyed by status name
+ * @param {Object} config.personas See testContext.personas of apolloContainerTests
+ * @param {[String]} [config.omitKeysFromSnapshots] Keys to omit from the snapshots
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} apolloContainers The containers keyed by name
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const renderPersonasSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    statusClasses,
+    personas,
+    omitKeysFromSnapshots = [],
+    waitLength,
+    theme,
+    renderer
+  }, apolloContainers, container, component, done) => {
+
+  const errors = [];
+  // Every view is tested for every persona, so that one persona's views are known not to render for the others
+  const views = R.uniq(R.chain(R.propOr([], 'views'), R.values(personas)));
+
+  // One assertion of the status, views and mutations and one snapshot per persona
+  expect.assertions(2 * R.length(R.keys(personas)));
+
+  // Render the personas one at a time
+  sequenceTasks(
+    ([persona, expected]) => _testRenderPersonaTask(
+      {
+        apolloConfigContainer,
+        resolvedPropsContainer,
+        componentId,
+        statusClasses,
+        views,
+        mutationKeys: R.keys(filterForMutationContainers(apolloContainers)),
+        queryKeys: R.keys(filterForQueryContainers(apolloContainers)),
+        omitKeysFromSnapshots,
+        waitLength,
+        theme,
+        renderer
+      },
+      persona,
+      expected,
+      container,
+      component
+    ),
+    R.toPairs(personas)
+  ).run().listen(
+    defaultRunConfig({
+      onResolved: personaResults => {
+        // The assertions were made per persona
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Mounts the component with the persona's apolloConfig and waits for a status other than loading and for the
+ * requests to settle. Then calls each available mutation to learn which the server permits, asserts the rendered
+ * statuses, views and permitted mutations and snapshots the query results
+ * @param {Object} config See renderPersonasSuite
+ * @param {[String]} config.views The views of every persona
+ * @param {[String]} config.mutationKeys The mutation container keys
+ * @param {[String]} config.queryKeys The query container keys
+ * @param {String} persona The persona name
+ * @param {Object} expected See testContext.personas of apolloContainerTests
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to {persona, statuses, views, mutations}
+ * @private
+ */
+const _testRenderPersonaTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    statusClasses,
+    views,
+    mutationKeys,
+    queryKeys,
+    omitKeysFromSnapshots,
+    waitLength,
+    theme,
+    renderer
+  }, persona, {status, views: personaViews = [], mutations = [], settleLength = 100}, container, component) => {
+
+  const settledStatuses = R.without(['loading'], R.keys(statusClasses));
+
+  return composeWithChain([
+    ({wrapper, statusRecorder, mountNode, rendered, permittedMutations}) => {
+      const result = {persona, statuses: rendered.statuses, views: rendered.views, mutations: permittedMutations};
+      unmountTestComponent({wrapper, statusRecorder, mountNode});
+      expect(result).toEqual({
+        persona,
+        statuses: [status],
+        views: R.filter(view => R.includes(view, personaViews), views),
+        mutations: R.filter(key => R.includes(key, mutations), mutationKeys)
+      });
+      expect(R.merge(result, {
+        data: omitDeep(omitKeysFromSnapshots, R.map(R.propOr(null, 'data'), R.pick(queryKeys, rendered.props)))
+      })).toMatchSnapshot(persona);
+      return of(result);
+    },
+    // Denied mutations may render an error, so this follows the reading of the statuses and views
+    mapToNamedResponseAndInputs('permittedMutations',
+      ({apolloClient, rendered}) => {
+        return _permittedMutationsTask({apolloClient, settleLength, waitLength}, mutationKeys, rendered.props);
+      }
+    ),
+    mapToNamedResponseAndInputs('rendered',
+      ({wrapper, statusRecorder}) => {
+        return of({
+          statuses: statusRecorder.sample(),
+          views: R.filter(view => R.length(findById(wrapper, view)) > 0, views),
+          props: componentProps(wrapper)
+        });
+      }
+    ),
+    // Requests that depend on the persona's permissions may follow the first status
+    mapToNamedResponseAndInputs('settled',
+      ({apolloClient}) => settleRequestsTask(apolloClient, settleLength, waitLength)
+    ),
+    mapToNamedResponseAndInputs('statusSequence',
+      ({statusRecorder}) => {
+        return waitForStatusSequenceTask(
+          statusRecorder,
+          statusSequence => R.any(status => R.includes(status, settledStatuses), statusSequence),
+          waitLength
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        // The apolloConfig is already authenticated as the persona's user, if any
+        return of(mountTestComponent(
+          {apolloClient, theme, renderer, authenticate: false, statusClasses},
+          container,
+          component,
+          resolvedPropsContainer
+        ));
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer(persona)
+    )
+  ])({});
+};
+
+/**
+ * Calls each available mutation container with the component props, one at a time, and waits for its requests to
+ * settle. Skipped mutation containers still pass their props, so only those with a mutation function that aren't
+ * skipped are available
+ * @param {Object} config
+ * @param {Object} config.apolloClient The persona's client
+ * @param {Number} config.settleLength The ms to wait after each mutation before waiting for requests in flight
+ * @param {Number} config.waitLength The ms to wait for requests in flight
+ * @param {[String]} mutationKeys The mutation container keys
+ * @param {Object} props The component props
+ * @returns {Task<[String]>} Resolves to the keys of the mutations that the server responded to without errors
+ * @private
+ */
+const _permittedMutationsTask = ({apolloClient, settleLength, waitLength}, mutationKeys, props) => {
+  const isAvailable = mutationProps => {
+    return R.is(Object, mutationProps) && R.is(Function, mutationProps.mutation) && !mutationProps.skip;
+  };
+  return R.map(
+    R.filter(R.complement(R.isNil)),
+    sequenceTasks(
+      mutationKey => composeWithChain([
+        ({response}) => {
+          const permitted = !R.is(Error, response) && R.isEmpty(R.propOr([], 'errors', response));
+          return of(permitted ? mutationKey : null);
+        },
+        mapToNamedResponseAndInputs('settled',
+          () => settleRequestsTask(apolloClient, settleLength, waitLength)
+        ),
+        mapToNamedResponseAndInputs('response',
+          () => fromPromised(() => R.prop(mutationKey, props).mutation())().orElse(error => of(error))
+        )
+      ])({}),
+      R.filter(mutationKey => isAvailable(R.prop(mutationKey, props)), mutationKeys)
+    )
+  );
+};
@@ -0,0 +1,206 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs,
+  reqStrPathThrowing
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {delayTask, waitForStatusSequenceTask} from '../renderStatusHelpers.js';
+import {createDelayLink} from '../links/delayLinks.js';
+import {prependLinksToApolloClient} from '../links/linkHelpers.js';
+import {componentProps, mountTestComponent, sequenceTasks, unmountTestComponent} from './suiteHelpers.js';
+
+const {fromPromised, of} = T;
+
+/**
+ * @fileoverview The testRenderTimelines suite of apolloContainerTests, which steps the component through scripted
+ * timelines of actions and asserts the props after each step
+ */
+
+/**
+ * Mounts the component once per timeline and asserts that it renders exactly the timeline's statuses in order
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Unary function expecting the timeline's authenticate flag and
+ * returning a Task that resolves to a new {apolloClient}
+ * @param {Object} config.statusClasses The status classes keyed by status name
+ * @param {[Object]} [config.timelines] See testContext.timelines of apolloContainerTests
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const renderTimelinesSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    statusClasses,
+    timelines,
+    waitLength,
+    theme,
+    renderer
+  }, container, component, done) => {
+
+  const errors = [];
+  const _timelines = timelines || [{
+    name: 'render',
+    steps: R.has('loading', statusClasses) ? ['loading', 'data'] : ['data']
+  }];
+
+  // One assertion of the whole sequence per timeline
+  expect.assertions(R.length(_timelines));
+
+  // Render the timelines one at a time
+  sequenceTasks(
+    timeline => _testRenderTimelineTask(
+      {
+        apolloConfigContainer,
+        resolvedPropsContainer,
+        componentId,
+        statusClasses,
+        waitLength,
+        theme,
+        renderer
+      },
+      timeline,
+      container,
+      component
+    ),
+    _timelines
+  ).run().listen(
+    defaultRunConfig({
+      onResolved: timelineResults => {
+        // The assertions were made per timeline
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Converts the result of a timeline action to a Task
+ * @param {Task|Promise|*} result The action's result
+ * @returns {Task} The Task
+ * @private
+ */
+const _timelineActionTask = result => {
+  return R.cond([
+    [result => R.is(Object, result) && R.is(Function, result.run), R.identity],
+    [result => R.is(Object, result) && R.is(Function, result.then), result => fromPromised(() => result)()],
+    [R.T, of]
+  ])(result);
+};
+
+/**
+ * Mounts the component, waits for each step of the timeline in turn, running its action, and asserts the sequence
+ * @param {Object} config See renderTimelinesSuite
+ * @param {Object} timeline See testContext.timelines of apolloContainerTests
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to {name, statusSequence}
+ * @private
+ */
+const _testRenderTimelineTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    statusClasses,
+    waitLength,
+    theme,
+    renderer
+  }, {name, steps, authenticate = true, settleLength = 100, delays = []}, container, component) => {
+
+  const _steps = R.map(step => R.is(String, step) ? {status: step} : step, steps);
+  const expected = R.map(R.prop('status'), _steps);
+  // One delay link per delay, so the responses of the queries arrive in the order that the timeline declares
+  const delayLinks = R.map(
+    ({operationName, delay}) => createDelayLink({delay, operationName, operationType: 'query'}),
+    delays
+  );
+  // The indices of the delays whose queries were made. Each must be, or the timeline proves nothing about their order
+  const delaysMade = () => R.filter(
+    index => R.length(R.nth(index, delayLinks).delayedOperations()) > 0,
+    R.range(0, R.length(delayLinks))
+  );
+
+  // Waits for the nth status to render and runs the step's action if the status is the expected one.
+  // Otherwise the action is skipped and the final assertion reports the difference
+  const stepTask = ({apolloClient, wrapper, statusRecorder}, {status, action}, index) => {
+    return R.chain(
+      statusSequence => {
+        if (!action || !R.equals(status, R.nth(index, statusSequence))) {
+          return of(statusSequence);
+        }
+        return _timelineActionTask(action({
+          apolloClient,
+          wrapper,
+          props: componentProps(wrapper),
+          statusSequence
+        }));
+      },
+      waitForStatusSequenceTask(statusRecorder, statusSequence => R.length(statusSequence) > index, waitLength)
+    );
+  };
+
+  return composeWithChain([
+    ({wrapper, statusRecorder, mountNode}) => {
+      const statusSequence = statusRecorder.statusSequence();
+      unmountTestComponent({wrapper, statusRecorder, mountNode});
+      expect({name, statusSequence, delaysMade: delaysMade()}).toEqual({
+        name,
+        statusSequence: expected,
+        delaysMade: R.range(0, R.length(delays))
+      });
+      return of({name, statusSequence});
+    },
+    // Make sure no other status follows the last step
+    mapToNamedResponseAndInputs('settled',
+      () => delayTask(settleLength)
+    ),
+    mapToNamedResponseAndInputs('steps',
+      mounted => {
+        return sequenceTasks(
+          index => stepTask(mounted, R.nth(index, _steps), index),
+          R.range(0, R.length(_steps))
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return of(mountTestComponent(
+          {apolloClient, theme, renderer, authenticate, statusClasses},
+          container,
+          component,
+          resolvedPropsContainer
+        ));
+      }
+    ),
+    // Resolve a new apolloConfig and put the delay links in front of its links
+    mapToMergedResponseAndInputs(
+      () => {
+        return R.map(
+          apolloConfig => {
+            prependLinksToApolloClient(
+              reqStrPathThrowing('apolloClient', apolloConfig),
+              R.map(R.prop('link'), delayLinks)
+            );
+            return apolloConfig;
+          },
+          apolloConfigContainer(authenticate)
+        );
+      }
+    )
+  ])({});
+};
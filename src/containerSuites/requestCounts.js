@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {delayTask} from '../renderStatusHelpers.js';
+import {operationMatches} from '../links/linkHelpers.js';
+import {componentRequests, testRenderComponentTask, unmountTestComponent} from './suiteHelpers.js';
+
+const {of} = T;
+
+/**
+ * @fileoverview The testRequestCounts suite of apolloContainerTests, which counts the requests of each operation that a
+ * render sends
+ */
+
+/**
+ * Mounts the component and asserts the requests of its containers that its apolloClient's operation log shows reached
+ * the network. The requests of the harness's setup aren't counted, see componentRequests
+ * @param {Object} config
+ * @param {Task} config.apolloConfigContainer Resolves to {apolloClient} with an operation log
+ * @param {Object} config.requestCounts See testContext.requestCounts of apolloContainerTests
+ * @param {Object} config.containerOperationNames Operation name matchers of the query containers keyed by container key
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const requestCountsSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    requestCounts: {networkRequests, allowDuplicates = [], settleLength = 100},
+    containerOperationNames,
+    waitLength,
+    theme,
+    renderer
+  }, container, component, done) => {
+
+  const errors = [];
+  // The two assertions of testRenderComponentTask, the duplicates and optionally the budget
+  expect.assertions(R.isNil(networkRequests) ? 3 : 4);
+
+  composeWithChain([
+    ({wrapper}) => {
+      const requests = R.filter(
+        entry => R.equals('network', entry.source) && R.any(
+          operationName => operationMatches({operationName}, entry),
+          R.values(containerOperationNames)
+        ),
+        componentRequests(wrapper)
+      );
+      unmountTestComponent({wrapper});
+      // No operation reaches the network twice with identical variables
+      expect(R.compose(
+        R.map(group => R.merge(R.pick(['operationName', 'variables'], R.head(group)), {count: R.length(group)})),
+        R.filter(group => R.length(group) > 1),
+        R.values,
+        R.groupBy(entry => JSON.stringify(R.pick(['operationName', 'variables'], entry))),
+        R.reject(entry => R.includes(entry.operationName, allowDuplicates))
+      )(requests)).toEqual([]);
+      if (!R.isNil(networkRequests)) {
+        // The names of the requests over the budget
+        expect(R.drop(networkRequests, R.map(R.prop('operationName'), requests))).toEqual([]);
+      }
+      return of(requests);
+    },
+    // Let requests that follow the data state finish
+    mapToNamedResponseAndInputs('settled',
+      () => delayTask(settleLength)
+    ),
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return testRenderComponentTask(
+          {
+            apolloClient,
+            componentId,
+            childLoadingId,
+            childDataId,
+            waitLength,
+            theme,
+            renderer,
+            authenticate: true
+          },
+          container,
+          component,
+          resolvedPropsContainer
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer
+    )
+  ])({}).run().listen(
+    defaultRunConfig({
+      onResolved: requests => {
+        // The assertions were made above
+      }
+    }, errors, done)
+  );
+};
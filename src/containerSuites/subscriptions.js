@@ -0,0 +1,204 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultRunConfig,
+  filterWithKeys,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs,
+  strPathOr
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {pubSubForApolloClient} from '../links/pubSubLinks.js';
+import {
+  componentProps,
+  filterForSubscriptionContainers,
+  operationNamesOfContainers,
+  sequenceTasks,
+  testRenderComponentTask,
+  unmountTestComponent,
+  waitForComponentPropsTask
+} from './suiteHelpers.js';
+
+const {of} = T;
+
+/**
+ * @fileoverview The testSubscriptions suite of apolloContainerTests, which publishes subscription events and asserts
+ * the props that each event renders
+ */
+
+/**
+ * For each subscription container with subscriptionEvents, publishes the events to its subscription, tests that the
+ * component renders each payload and then that unmounting the component closes the subscription
+ * @param {Object} config
+ * @param {Function} config.apolloConfigContainer Nullary function returning a Task that resolves to a new {apolloClient}
+ * whose subscriptions are served by pubSubForApolloClient
+ * @param {Object} [config.subscriptionEvents] See testContext.subscriptionEvents of apolloContainerTests
+ * @param {Object} [config.containerOperationNames] Operation name matchers keyed by container key
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} apolloContainers The containers keyed by name
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @param {Function} done jest done function
+ */
+export const subscriptionsSuite = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    subscriptionEvents = {},
+    containerOperationNames,
+    waitLength,
+    theme,
+    renderer
+  }, apolloContainers, container, component, done) => {
+
+  const errors = [];
+  const operationNames = operationNamesOfContainers(
+    containerOperationNames,
+    filterWithKeys((_, key) => R.has(key, subscriptionEvents), filterForSubscriptionContainers(apolloContainers))
+  );
+  const subscriptionCases = R.map(
+    ([containerKey, operationName]) => {
+      return {containerKey, operationName, events: R.prop(containerKey, subscriptionEvents)};
+    },
+    R.toPairs(operationNames)
+  );
+  if (R.isEmpty(subscriptionCases)) {
+    console.warn('testSubscriptions has no subscription containers with subscriptionEvents');
+  }
+
+  // Per case: the two assertions of testRenderComponentTask, the open subscription, one per event and
+  // the closed subscription
+  expect.assertions(R.sum(R.map(({events}) => 4 + R.length(events), subscriptionCases)));
+
+  sequenceTasks(
+    subscriptionCase => _testSubscriptionTask(
+      {
+        apolloConfigContainer,
+        resolvedPropsContainer,
+        componentId,
+        childLoadingId,
+        childDataId,
+        waitLength,
+        theme,
+        renderer
+      },
+      subscriptionCase,
+      container,
+      component
+    ),
+    subscriptionCases
+  ).run().listen(
+    defaultRunConfig({
+      onResolved: subscriptionResults => {
+        // The assertions were made per case
+      }
+    }, errors, done)
+  );
+};
+
+/**
+ * Renders the component, publishes each event of one subscription container and unmounts the component
+ * @param {Object} config See subscriptionsSuite
+ * @param {Object} subscriptionCase
+ * @param {String} subscriptionCase.containerKey The subscription container key
+ * @param {String|RegExp} subscriptionCase.operationName Matches the container's subscription operation
+ * @param {[Function]} subscriptionCase.events Each expects the component props and returns the data to publish
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<Object>} Resolves to {containerKey, payloads}, the published data
+ * @private
+ */
+const _testSubscriptionTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    waitLength,
+    theme,
+    renderer
+  }, {containerKey, operationName, events}, container, component) => {
+
+  const selector = {operationName};
+  const subscriptionData = props => strPathOr(undefined, `${containerKey}.data`, props);
+
+  // Publishes the event and waits for the component to receive it
+  const eventTask = ({wrapper, apolloClient, pubSub}, event) => {
+    const payload = event(componentProps(wrapper));
+    pubSub.publish(selector, payload);
+    return R.map(
+      props => {
+        expect(subscriptionData(props)).toEqual(payload);
+        return payload;
+      },
+      waitForComponentPropsTask({
+        wrapper,
+        apolloClient,
+        componentId,
+        predicate: props => R.equals(payload, subscriptionData(props)),
+        waitLength
+      })
+    );
+  };
+
+  return composeWithChain([
+    ({wrapper, pubSub, payloads}) => {
+      unmountTestComponent({wrapper});
+      // Unmounting the component must close its subscription
+      expect(pubSub.openSubscriptions(selector)).toEqual([]);
+      return of({containerKey, payloads});
+    },
+    mapToNamedResponseAndInputs('payloads',
+      mounted => {
+        return sequenceTasks(
+          event => eventTask(mounted, event),
+          events
+        );
+      }
+    ),
+    mapToNamedResponseAndInputs('pubSub',
+      ({apolloClient}) => {
+        const pubSub = pubSubForApolloClient(apolloClient);
+        // The rendered container must have subscribed
+        expect(R.length(pubSub.openSubscriptions(selector))).toBeGreaterThan(0);
+        return of(pubSub);
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return testRenderComponentTask(
+          {
+            apolloClient,
+            componentId,
+            childLoadingId,
+            childDataId,
+            waitLength,
+            theme,
+            renderer,
+            authenticate: true
+          },
+          container,
+          component,
+          resolvedPropsContainer
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer()
+    )
+  ])({});
+};
@@ -0,0 +1,748 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import {
+  checkOnRenders,
+  findById,
+  mountWithApolloClient,
+  waitForChildComponentRenderTask
+} from '../componentTestHelpers.js';
+import {e} from '@rescapes/helpers-component';
+import PropTypes from 'prop-types';
+import {v} from '@rescapes/validate';
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  defaultNode,
+  filterWithKeys,
+  mapObjToValues,
+  mapToNamedResponseAndInputs,
+  reqStrPathThrowing
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {
+  composeWithComponentMaybeOrTaskChain,
+  containerForApolloType,
+  getRenderPropFunction,
+  mapTaskOrComponentToNamedResponseAndInputs,
+  mutationParts,
+  nameComponent
+} from '@rescapes/apollo';
+import * as chakra from '@chakra-ui/react';
+import {
+  deleteRefreshTokenCookieMutationRequestContainer,
+  deleteTokenCookieMutationRequestContainer,
+  tokenAuthMutationContainer,
+  tokenAuthOutputParams
+} from '@rescapes/apollo';
+import {
+  mapTaskOrComponentToConcattedNamedResponseAndInputs,
+  mutateOnceAndWaitContainer
+} from '@rescapes/apollo/src/helpers/containerHelpers';
+import {
+  createMountNode,
+  createStatusRecorder,
+  delayTask
+} from '../renderStatusHelpers.js';
+import {inFlightTrackerForApolloClient} from '../links/inFlightLinks.js';
+import {operationLogForApolloClient} from '../links/operationLogLinks.js';
+import {cacheSnapshot, diffCacheSnapshots} from '../cacheSnapshotHelpers.js';
+
+const {fromPromised, of, task} = T;
+const {ChakraProvider} = defaultNode(chakra);
+
+/**
+ * @fileoverview The helpers that the container suites of apolloContainerTests share
+ */
+
+/**
+ * Filter for just the query containers of the given apolloContainersLogout
+ * @param {Object} apolloContainers Keyed by request name and valued by apollo request container.
+ * Only those beginning with 'query' are considered
+ * @return {*}
+ */
+export const filterForQueryContainers = apolloContainers => {
+  return filterWithKeys(
+    (_, key) => {
+      return R.includes('query', key);
+    },
+    apolloContainers
+  );
+};
+
+/***
+ * Filter for just the mutation containers of the given apolloContainersLogout
+ * @param {Object} apolloContainers Keyed by request name and valued by apollo request container.
+ * Only those beginning with 'mutat' are considered
+ * @return {*}
+ */
+export const filterForMutationContainers = apolloContainers => {
+  return filterWithKeys(
+    (_, key) => {
+      return R.includes('mutat', key);
+    },
+    apolloContainers
+  );
+};
+
+/**
+ * Filter for just the subscription containers of the given apolloContainers
+ * @param {Object} apolloContainers Keyed by request name and valued by apollo request container.
+ * Only those beginning with 'subscri' are considered
+ * @return {*}
+ */
+export const filterForSubscriptionContainers = apolloContainers => {
+  return filterWithKeys(
+    (_, key) => {
+      return R.includes('subscri', key);
+    },
+    apolloContainers
+  );
+};
+
+/**
+ * The default operation name matcher of a container for the links that tests inject. The request prefix of the key is
+ * removed, so queryRegions matches operation names containing 'regions' in any case
+ * @param {String} containerKey The key of the container in apolloContainers
+ * @returns {RegExp} Matches the operation names of the container
+ */
+export const defaultContainerOperationName = containerKey => {
+  return new RegExp(R.replace(/^(query|mutate|mutation|subscribe|subscription)/, '', containerKey), 'i');
+};
+
+/**
+ * Runs the Task of each case after the previous one resolves, so the cases don't share the server or the DOM
+ * @param {Function} taskMaker Unary function expecting a case and returning a Task
+ * @param {[*]} cases The cases
+ * @returns {Task<[*]>} Resolves to the results of the cases in order
+ */
+export const sequenceTasks = (taskMaker, cases) => {
+  return R.reduce(
+    (previous, c) => previous.chain(results => R.map(result => R.append(result, results), taskMaker(c))),
+    of([]),
+    cases
+  );
+};
+
+// The props that the component mounted by mountTestComponent last rendered with, keyed by the mounted wrapper
+const _renderedPropsOfWrappers = new WeakMap();
+
+/**
+ * Reads the props that the component mounted by mountTestComponent last rendered with. The props are recorded as
+ * the component renders, so this works with every renderer. See renderers.js
+ * @param {Object} wrapper The wrapper returned by mountTestComponent
+ * @returns {Object} The props
+ */
+export const componentProps = wrapper => {
+  return reqStrPathThrowing('props', _renderedPropsOfWrappers.get(wrapper));
+};
+
+/**
+ * The requests of the apolloClient's operation log that the component mounted by mountTestComponent caused. The
+ * requests of the harness's setup, resolving the sample props and authenticating, are made before the component first
+ * renders, so they are left out. None are returned if the component never rendered
+ * @param {Object} wrapper The wrapper returned by mountTestComponent
+ * @returns {[Object]} The operation log entries. See createOperationLog
+ */
+export const componentRequests = wrapper => {
+  const {apolloClient, setupRequestCount} = _renderedPropsOfWrappers.get(wrapper);
+  const entries = operationLogForApolloClient(apolloClient).entries();
+  return R.drop(R.defaultTo(R.length(entries), setupRequestCount), entries);
+};
+
+/**
+ * Unmounts the component mounted by mountTestComponent
+ * @param {Object} mounted
+ * @param {Object} mounted.wrapper The mounted wrapper
+ * @param {Object} [mounted.statusRecorder] The status recorder, if mounted with statusClasses
+ * @param {Object} [mounted.mountNode] The node the wrapper is attached to, if mounted with statusClasses
+ */
+export const unmountTestComponent = ({wrapper, statusRecorder, mountNode}) => {
+  if (statusRecorder) {
+    statusRecorder.disconnect();
+  }
+  if (mountNode) {
+    wrapper.detach();
+    mountNode.remove();
+  } else {
+    wrapper.unmount();
+  }
+};
+
+// The authentication mutations that the harness runs itself, keyed by the default authorizeMutationKey,
+// deauthorizeMutationKey and tokenExpiry.revokeMutationKey of apolloContainerTests
+export const AUTH_MUTATION_CONTAINERS = {
+  mutateTokenAuth: (apolloConfig, props) => {
+    return tokenAuthMutationContainer(
+      apolloConfig,
+      {outputParams: tokenAuthOutputParams},
+      R.pick(['username', 'password'], props)
+    );
+  },
+  mutateDeleteTokenCookie: (apolloConfig, props) => {
+    return deleteTokenCookieMutationRequestContainer(apolloConfig, {}, props);
+  },
+  mutateDeleteRefreshTokenCookie: (apolloConfig, props) => {
+    return deleteRefreshTokenCookieMutationRequestContainer(apolloConfig, {}, props);
+  }
+};
+
+/**
+ * Runs an authentication mutation with the apolloClient that the component is mounted with, the way the login and
+ * logout components would. The harness holds the mutations, so no renderer has to find those components
+ * @param {Object} config
+ * @param {Object} config.apolloClient The ApolloClient of the mounted component
+ * @param {Object} [config.authMutationContainers] Default AUTH_MUTATION_CONTAINERS. Keyed by mutation key and valued
+ * by a function expecting an apolloConfig and props and returning a Task
+ * @param {String} mutationKey The key of the mutation in authMutationContainers
+ * @param {Object} props The props of the mutation, such as the username and password of mutateTokenAuth
+ * @returns {Task<Object>} Resolves to the mutation response
+ */
+export const authMutationTask = ({apolloClient, authMutationContainers = AUTH_MUTATION_CONTAINERS}, mutationKey, props) => {
+  return reqStrPathThrowing(mutationKey, authMutationContainers)({apolloClient}, props);
+};
+
+/**
+ * Mounts the component in its container under the sample props container and the Chakra and Apollo providers
+ * @param {Object} config
+ * @param {Object} config.apolloClient The ApolloClient
+ * @param {Object} config.theme Chakra theme
+ * @param {String|Object} [config.renderer] The renderer to mount with. See renderers.js
+ * @param {Boolean} [config.authenticate] If true, login with the tokenAuth mutation before rendering
+ * @param {Object} [config.statusClasses] Optional. Keyed by status name and valued by data-testid. If given, the
+ * component is mounted into the document and the statuses it renders are recorded from the first render.
+ * See createStatusRecorder
+ * @param {Object} container The apollo container to test
+ * @param {Object} component The apollo component of the container to test
+ * @param {Function} resolvedPropsContainer Resolves the sample props
+ * @returns {Object} {wrapper, statusRecorder, mountNode}. statusRecorder and mountNode are null without statusClasses
+ */
+export const mountTestComponent = (
+  {
+    apolloClient,
+    theme,
+    renderer,
+    authenticate,
+    statusClasses
+  }, container, component, resolvedPropsContainer) => {
+
+  // Records the props of each render of the component and how many requests the setup made before the first.
+  // See componentProps and componentRequests
+  const rendered = {props: null, apolloClient, setupRequestCount: null};
+  const render = props => {
+    if (R.isNil(rendered.setupRequestCount)) {
+      rendered.setupRequestCount = R.length(operationLogForApolloClient(apolloClient).entries());
+    }
+    const _props = R.omit(['render', 'children'], props);
+    return e(
+      // Name the container so we can find it by name
+      nameComponent('TestContainer', container),
+      _props,
+      // These props contains the results of the Apollo queries and the mutation functions
+      // Merge them with the original props, which can return values unrelated to the apollo requests
+      responseProps => {
+        rendered.props = R.omit(['render', 'children'], R.merge(props, responseProps));
+        return nameComponent('testComponent', e(component, rendered.props));
+      }
+    );
+  };
+
+  const samplePropsContainer = composeWithComponentMaybeOrTaskChain([
+    props => {
+      return containerForApolloType(
+        {},
+        {
+          render: getRenderPropFunction(props),
+          response: props
+        }
+      );
+    },
+    mapTaskOrComponentToNamedResponseAndInputs({}, 'tokenAuth',
+      ({tokenAuthResponse, ...props}) => {
+        // Create the React element from container, passing the props and component via a render function.
+        // The react-adopt container expects to be given a render function so it can pass the results of the
+        // Apollo request components
+        return authenticate ?
+          // Login in to the server so the apolloClient is authenticated
+          mutateOnceAndWaitContainer(
+            {},
+            {responsePath: 'result.data.tokenAuth'},
+            tokenAuthResponse,
+            reqStrPathThrowing('render', props)
+          ) :
+          containerForApolloType(
+            {},
+            {
+              render: getRenderPropFunction(props),
+              response: props
+            }
+          );
+      }
+    ),
+    mapTaskOrComponentToNamedResponseAndInputs({}, 'tokenAuthResponse',
+      props => {
+        return tokenAuthMutationContainer(
+          {},
+          {outputParams: tokenAuthOutputParams},
+          props
+        );
+      }
+    ),
+
+    ({render}) => {
+      // Create the React element from container, passing the props and component via a render function.
+      // The react-adopt container expects to be given a render function so it can pass the results of the
+      // Apollo request components
+      return resolvedPropsContainer(
+        // Never pass the apolloClient to the resolved props container.
+        // We want to treat the latter as a component
+        {},
+        {render}
+      );
+    }
+  ])({render});
+
+  // To record statuses, mount into the document and start recording before the first render
+  const mountNode = statusClasses ? createMountNode() : null;
+  const statusRecorder = statusClasses ? createStatusRecorder(mountNode, statusClasses) : null;
+
+  // Mount the sample props container, whose render method renders the component
+  const wrapper = mountWithApolloClient(
+    {apolloClient},
+    nameComponent('ChakraProvider',
+      e(ChakraProvider, {theme},
+        samplePropsContainer
+      )),
+    R.merge({renderer}, mountNode ? {attachTo: mountNode} : {})
+  );
+  _renderedPropsOfWrappers.set(wrapper, rendered);
+  return {wrapper, statusRecorder, mountNode};
+};
+
+/**
+ * Tests rendering a component where Apollo query responses must be awaited.
+ * We first check for the childLoadingId component to be loaded and then childDataId,
+ * which is either the data ready or error component, depending on which result we are expeciting
+ * @param {Object} config
+ * @param config.apolloClient
+ * @param config.componentId
+ * @param {String} config.childLoadingId
+ * @param {String} config.childDataId
+ * @param {Number} config.waitLength Optional number of milliseconds to wait for asynchronous operations. Defaults to 10000
+ * @param {Object} config.theme Chakra theme
+ * @param {Object} [config.statusClasses] Optional. Keyed by status name and valued by data-testid,
+ * e.g. {loading: childLoadingId, data: childDataId}. If given, the component is mounted into the document and the
+ * statuses it renders are recorded from the first render. See createStatusRecorder
+ * @param {Object} container The apollo container to test
+ * @param {Object} component The apollo component of the container to test
+ * @param {Object} props The props to pass
+ * @return {Task} A Task resolving to {wrapper, childComponent, component},
+ * where wrapper is the mounted ApolloProvider->ReadAdopt->Containers->Component
+ * and component is the Component within that stack. This result can be used to test mutations.
+ * childComponent is the child of component that has the class containerId of childDataId.
+ * If config.statusClasses is given the result also has statusRecorder and mountNode. The caller must call
+ * unmountTestComponent with the result when done
+ */
+export const testRenderComponentTask = v((
+  {
+    apolloClient,
+    componentId,
+    childLoadingId,
+    childDataId,
+    waitLength,
+    theme,
+    renderer,
+    authenticate,
+    errorMaker,
+    statusClasses
+  }, container, component, resolvedPropsContainer) => {
+
+    // Lets the waits below check for renders as soon as requests settle
+    const inFlightTracker = inFlightTrackerForApolloClient(apolloClient);
+    const waitStatusClasses = R.reject(R.isNil, {loading: childLoadingId, data: childDataId});
+
+    const {wrapper, statusRecorder, mountNode} = mountTestComponent(
+      {apolloClient, theme, renderer, authenticate, statusClasses},
+      container,
+      component,
+      resolvedPropsContainer
+    );
+
+    return composeWithChain([
+      ({rendered: {wrapper, component: container, childComponent: component}}) => {
+        return of(R.merge({
+          wrapper,
+          container,
+          component: component.first()
+        }, statusClasses ? {statusRecorder, mountNode} : {}));
+      },
+      mapToNamedResponseAndInputs('rendered',
+        ({wrapper, childLoadingId, childDataId, loading}) => {
+          const foundComponent = findById(wrapper, componentId);
+          // If either loading or data component is found, we've succeeded
+          const loadedComponent = findById(foundComponent, childLoadingId);
+          const dataComponent = findById(foundComponent, childDataId);
+          // Make sure we have at least one match. There can be > 1 if child components inherit the className
+          expect(R.length(loadedComponent) || R.length(dataComponent)).toBeGreaterThan(0);
+
+          // TODO act doesn't suppress the warning as it should
+          // If we have an Apollo componentInstance, we use testing-library to await the query to run and the the child
+          // componentInstance that is dependent on the query result to render. If we don't have an Apollo componentInstance,
+          // this child will be rendered immediately without delay
+          // resolves to {wrapper, component, render: {childComponent}}
+          return waitForChildComponentRenderTask({
+            componentId,
+            childId: childDataId,
+            waitLength,
+            statusClasses: waitStatusClasses,
+            inFlightTracker
+          }, wrapper);
+        }
+      ),
+      mapToNamedResponseAndInputs('loading',
+        ({waitLength, wrapper, childLoadingId, childDataId, foundContainer: {childComponent: foundContainer}}) => {
+          expect(foundContainer.length).toEqual(1);
+          // Make sure the componentInstance props are consistent since the last test run
+          return waitForChildComponentRenderTask({
+            componentId,
+            childId: childLoadingId,
+            // Some components go to data state immediately because there is nothing to load,
+            // so check this before waiting for loading state
+            alreadyChildId: childDataId,
+            waitLength,
+            statusClasses: waitStatusClasses,
+            inFlightTracker
+          }, foundContainer);
+        }
+      ),
+      mapToNamedResponseAndInputs('foundContainer',
+        ({wrapper}) => {
+          return waitForChildComponentRenderTask({
+            componentId: 'ChakraProvider',
+            childId: 'TestContainer',
+            waitLength: waitLength,
+            inFlightTracker
+          }, wrapper);
+        }
+      )
+    ])({wrapper, container, childLoadingId, childDataId});
+  },
+  [
+    ['config', PropTypes.shape({
+      authenticate: PropTypes.bool,
+      componentId: PropTypes.string.isRequired,
+      childLoadingId: PropTypes.string.isRequired,
+      childDataId: PropTypes.string.isRequired,
+      waitLength: PropTypes.number,
+      statusClasses: PropTypes.objectOf(PropTypes.string)
+    })],
+    ['container', PropTypes.oneOfType([PropTypes.func, PropTypes.object]).isRequired],
+    ['component', PropTypes.oneOfType([PropTypes.func, PropTypes.object]).isRequired],
+    ['resolvedPropsContainer', PropTypes.func.isRequired]
+  ], '_testRenderComponentContainer'
+);
+
+export const testRenderComponentMutationsTask = (
+  {
+    apolloConfig,
+    mutationComponents,
+    componentId,
+    childDataId,
+    childErrorId,
+    // If given, stop waiting for childErrorId once this renders, for mutations that may or may not fail
+    alreadyChildId,
+    waitLength,
+    errorProps,
+    omitKeysFromSnapshots = []
+  }, wrapper, childComponent) => {
+  const apolloClient = reqStrPathThrowing('apolloClient', apolloConfig);
+  const inFlightTracker = inFlightTrackerForApolloClient(apolloClient);
+  // Store the state of the component's prop before the mutation
+  const apolloRenderProps = componentProps(wrapper);
+  return composeWithChain([
+    ({mutationResponseObjects}) => {
+      return of(R.map(mutationResponseObject => {
+        const {mutationName, mutationResponse, updatedProps, cacheDiff} = mutationResponseObject;
+        return {
+          mutationName,
+          // How the mutation and the rerender it caused changed the cache
+          cacheDiff,
+          // Return the render props before and after the mutations so we can confirm that values changed
+          preMutationApolloRenderProps: apolloRenderProps,
+          postMutationApolloRenderProps: updatedProps,
+          // This isn't really needed. It just shows the return value of the mutation
+          mutationResponse,
+          // The errors of the response, or the error that the mutation rejected with
+          errors: R.concat(
+            R.propOr([], 'errors', mutationResponse),
+            R.is(Error, mutationResponse) ? [mutationResponse] : []
+          )
+        };
+      }, mutationResponseObjects));
+    },
+    // Call the mutate function of each mutation container. This will update the state of the mounted components
+    // If we have an errorMaker apply it
+    // Then find the components
+    ...mapObjToValues(
+      (mutationComponent, mutationName) => {
+        return mapTaskOrComponentToConcattedNamedResponseAndInputs(apolloConfig, 'mutationResponseObjects',
+          ({errorProps}) => {
+            // Get the mutate function that was returned in the props sent to the component's render function
+            // This mutate function is what HOC passes via render to the component for each composed
+            // mutation component
+            const {mutation, result, skip} = reqStrPathThrowing(mutationName, apolloRenderProps);
+            return composeWithChain([
+                mapToNamedResponseAndInputs('cacheDiff',
+                  ({cacheBefore}) => {
+                    return of(diffCacheSnapshots(
+                      cacheBefore,
+                      cacheSnapshot(apolloClient, inFlightTracker.operations('query')),
+                      {omitKeys: omitKeysFromSnapshots}
+                    ));
+                  }
+                ),
+                mapToNamedResponseAndInputs('updatedProps',
+                  ({}) => {
+                    return of(componentProps(wrapper));
+                  }
+                ),
+                // Wait for render again--this might be immediate
+                mapToNamedResponseAndInputs('childRendered',
+                  ({}) => {
+                    return waitForChildComponentRenderTask({
+                        componentId,
+                        childId: childErrorId || childDataId,
+                        alreadyChildId,
+                        waitLength,
+                        inFlightTracker
+                      },
+                      wrapper);
+                  }
+                ),
+                // Call the mutate function
+                mapToNamedResponseAndInputs('mutationResponse',
+                  ({errorProps, mutation, skip}) => {
+                    const task = fromPromised(() => {
+                      // We don't need to pass mutation variables because they are already set in the request
+                      if (skip) {
+                        throw Error(`Attempt to run a skipped mutation ${mutationName}, meaning its variables are not ready. This occurs when the component is ready before the mutation component is. Check the component renderChoicepoint settings to make sure the mutation component is awaited`);
+                      }
+                      // If we want to make an error condition in the props, do it now
+                      if (errorProps) {
+                        // Extract the mutation arg base name and error props
+                        const {name, props, variables} = errorProps[mutationName];
+                        // Variables, such as those of mutationInputVariants, are passed as is
+                        if (variables) {
+                          return mutation({variables});
+                        }
+                        const {namedProps} = mutationParts(
+                          apolloConfig, {
+                            name, outputParams: {id: 1}
+                          },
+                          props
+                        );
+                        // Cause an error
+                        return mutation({variables: namedProps});
+                      }
+                      else {
+                        return mutation();
+                      }
+                    })();
+                    return task.orElse(error => {
+                      // If testing error, return the error
+                      return of(error);
+                    });
+                  }
+                ),
+                mapToNamedResponseAndInputs('cacheBefore',
+                  () => {
+                    return of(cacheSnapshot(apolloClient, inFlightTracker.operations('query')));
+                  }
+                )
+              ]
+            )({mutation, mutationName, skip, errorProps});
+          }
+        );
+      },
+      mutationComponents
+    )
+  // Default mutationResponseObjects in case there are no mutations
+  ])({errorProps, mutationResponseObjects: []});
+};
+
+/**
+ * The path of testRenderError. Renders the component with testRenderComponentTask, then calls its mutations
+ * with testRenderComponentMutationsTask, using the errorProps that errorMaker makes from the rendered props
+ * @param {Object} config
+ * @param {Object} config.apolloClient The client
+ * @param {Function} [config.errorMaker] Unary function expecting the component props and returning the errorProps of
+ * testRenderComponentMutationsTask. Without it the mutations are called with their own props
+ * @param {Object} config.mutationComponents The mutation containers to call keyed by name
+ * @param {String} [config.childErrorId] The error child to wait for after each mutation
+ * @param {String} [config.alreadyChildId] See testRenderComponentMutationsTask
+ * See testRenderComponentTask for the other config
+ * @param {Object} container The apollo container to test
+ * @param {Object} component The apollo component of the container to test
+ * @param {Function} resolvedPropsContainer The props container
+ * @returns {Task<Object>} Resolves to the result of testRenderComponentTask and prePostMutationComparisons,
+ * the result of testRenderComponentMutationsTask. The caller must call unmountTestComponent with it when done
+ */
+export const testRenderErrorTask = (
+  {
+    apolloClient,
+    errorMaker,
+    mutationComponents,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childErrorId,
+    alreadyChildId,
+    waitLength,
+    theme,
+    renderer,
+    authenticate,
+    statusClasses
+  }, container, component, resolvedPropsContainer) => {
+  return composeWithChain([
+    mapToNamedResponseAndInputs('prePostMutationComparisons',
+      ({wrapper, component}) => {
+        return testRenderComponentMutationsTask({
+          errorProps: errorMaker ? errorMaker(componentProps(wrapper)) : null,
+          apolloConfig: {apolloClient},
+          mutationComponents,
+          componentId,
+          childDataId,
+          childErrorId,
+          alreadyChildId,
+          waitLength
+        }, wrapper, component);
+      }
+    ),
+    // Render component, calling queries
+    () => {
+      return testRenderComponentTask(
+        {
+          apolloClient,
+          componentId,
+          childLoadingId,
+          childDataId,
+          waitLength,
+          theme,
+          renderer,
+          authenticate,
+          statusClasses
+        },
+        container,
+        component,
+        resolvedPropsContainer
+      );
+    }
+  ])({});
+};
+
+/**
+ * Returns the operation name matchers of the containers that link injecting tests act on
+ * @param {Object} [containerOperationNames] The configured matchers keyed by container key. If given, only those
+ * of containers are returned
+ * @param {Object} containers The candidate containers keyed by container key
+ * @returns {Object} Operation name matchers keyed by container key. Cache-only containers with 'Local' in the key
+ * are omitted by default, since they make no requests
+ */
+export const operationNamesOfContainers = (containerOperationNames, containers) => {
+  return containerOperationNames ?
+    R.pick(R.keys(containers), containerOperationNames) :
+    R.compose(
+      containers => R.mapObjIndexed((_, key) => defaultContainerOperationName(key), containers),
+      containers => filterWithKeys((_, key) => !R.includes('Local', key), containers)
+    )(containers);
+};
+
+/**
+ * Waits until the props of the mounted component satisfy predicate. Props can change without the DOM changing, so
+ * besides on DOM changes they are checked each time an operation of the apolloClient settles. See checkOnRenders
+ * @param {Object} config
+ * @param {Object} config.wrapper The mounted wrapper
+ * @param {Object} config.apolloClient The ApolloClient of the component
+ * @param {String} config.componentId The component whose props are tested
+ * @param {Function} config.predicate Unary function expecting the props
+ * @param {Number} [config.waitLength] Default 10000. Milliseconds to wait before rejecting
+ * @returns {Task} Resolves to the props
+ */
+export const waitForComponentPropsTask = ({wrapper, apolloClient, componentId, predicate, waitLength = 10000}) => {
+  return task(resolver => {
+    const check = () => {
+      const props = componentProps(wrapper);
+      if (predicate(props)) {
+        resolver.resolve(props);
+        return true;
+      }
+      return false;
+    };
+    const onTimeout = () => {
+      resolver.reject(new Error(`Timed out after ${waitLength} ms waiting for the props of ${componentId}`));
+    };
+    // check can resolve right away, after which the task takes no cleanup
+    let stopChecking = null;
+    resolver.cleanup(() => stopChecking && stopChecking());
+    stopChecking = checkOnRenders(
+      {check, onTimeout, waitLength, inFlightTracker: inFlightTrackerForApolloClient(apolloClient)},
+      wrapper
+    );
+  });
+};
+
+/**
+ * Resolves once the apolloClient has no operations in flight
+ * @param {Object} inFlightTracker See createInFlightTracker
+ * @param {Number} [waitLength] Default 10000. Milliseconds to wait before rejecting
+ * @returns {Task} Resolves to null
+ * @private
+ */
+const _waitForNoneInFlightTask = (inFlightTracker, waitLength = 10000) => {
+  return task(resolver => {
+    let timer = null;
+    let unregister = null;
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (unregister) {
+        unregister();
+      }
+    };
+    const check = () => {
+      if (R.isEmpty(inFlightTracker.inFlight())) {
+        cleanup();
+        resolver.resolve(null);
+      }
+    };
+    resolver.cleanup(cleanup);
+    unregister = inFlightTracker.onSettled(check);
+    timer = setTimeout(() => {
+      cleanup();
+      resolver.reject(new Error(
+        `Timed out after ${waitLength} ms. In flight: ${R.join(', ', inFlightTracker.inFlight())}`
+      ));
+    }, waitLength);
+    check();
+  });
+};
+
+/**
+ * Resolves once the requests that follow an action have settled: after settleLength and once none are in flight
+ * @param {Object} apolloClient The ApolloClient
+ * @param {Number} settleLength Milliseconds to wait for the requests to start
+ * @param {Number} [waitLength] Default 10000. Milliseconds to wait for the requests to finish
+ * @returns {Task} Resolves to null
+ */
+export const settleRequestsTask = (apolloClient, settleLength, waitLength) => {
+  return R.chain(
+    () => _waitForNoneInFlightTask(inFlightTrackerForApolloClient(apolloClient), waitLength),
+    delayTask(settleLength)
+  );
+};
@@ -0,0 +1,214 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import T from 'folktale/concurrency/task';
+import {
+  composeWithChain,
+  mapToMergedResponseAndInputs,
+  mapToNamedResponseAndInputs
+} from '@rescapes/ramda';
+import * as R from 'ramda';
+import {tokenRefreshForApolloClient} from '../links/tokenRefreshLinks.js';
+import {
+  authMutationTask,
+  componentProps,
+  sequenceTasks,
+  settleRequestsTask,
+  testRenderComponentTask,
+  unmountTestComponent
+} from './suiteHelpers.js';
+
+const {fromPromised, of} = T;
+
+/**
+ * @fileoverview The token expiry scenarios of testRenderAuthentication, which expire the token and revoke the refresh
+ * token mid session and assert the renewals and the logout
+ */
+
+/**
+ * The token expiry scenarios in the order they run, each naming its action. See renderTokenExpiryTask
+ * @param {Object} tokenExpiry See testContext.tokenExpiry of apolloContainerTests
+ * @returns {[Object]} The scenarios as {scenario, action, renewals, noAuthentication, outcome}
+ * @private
+ */
+const _tokenExpiryScenarios = ({refreshTokenCookie}) => {
+  return R.reject(R.isNil, [
+    {scenario: 'tokenExpired', action: 'expireTokenSpendingRefreshToken', renewals: [true], noAuthentication: false},
+    refreshTokenCookie ? {
+      scenario: 'spentRefreshTokenReused',
+      action: 'reuseSpentRefreshToken',
+      renewals: [],
+      noAuthentication: false,
+      outcome: {spentRefreshTokenRejected: true}
+    } : null,
+    {scenario: 'refreshTokenRevoked', action: 'revokeRefreshToken', renewals: [], noAuthentication: false},
+    {scenario: 'tokenExpiredAndRefreshTokenRevoked', action: 'expireToken', renewals: [false], noAuthentication: true}
+  ]);
+};
+
+/**
+ * The number of assertions that renderTokenExpiryTask makes, the two of testRenderComponentTask and one per scenario
+ * @param {Object} tokenExpiry See testContext.tokenExpiry of apolloContainerTests
+ * @returns {Number} The number of assertions
+ */
+export const tokenExpiryAssertionCount = tokenExpiry => {
+  return 2 + R.length(_tokenExpiryScenarios(tokenExpiry));
+};
+
+/**
+ * Renders the component authenticated and runs the token expiry scenarios in turn, each asserting which renewals
+ * were attempted and whether the noAuthentication status renders:
+ *  tokenExpired: The clock passes the token's lifetime and the queries are refetched. The token is renewed with the
+ *  refresh token cookie and the session continues
+ *  spentRefreshTokenReused: Only if tokenExpiry.refreshTokenCookie is given. The refresh token that the renewal of
+ *  tokenExpired spent is sent again, which the server must reject since it rotates refresh tokens. The session continues
+ *  refreshTokenRevoked: The refresh token is revoked and the queries are refetched. The token is still valid, so no
+ *  renewal is needed and the session continues
+ *  tokenExpiredAndRefreshTokenRevoked: The clock passes the token's lifetime again and the queries are refetched.
+ *  Renewal fails, so the session ends and the noAuthentication status renders
+ * @param {Object} config
+ * @param {Task} config.apolloConfigContainer Resolves to an authenticated {apolloClient} whose server uses the clock
+ * @param {String} config.childClassNoAuthName The data-testid of the noAuthentication status
+ * @param {Object} config.authMutationContainers The mutations of authMutationTask, including revokeMutationKey
+ * @param {Object} config.tokenExpiry See testContext.tokenExpiry of apolloContainerTests
+ * See _testRenderTask of apolloContainerTestHelpers.js for the other config
+ * @param {Object} container The composed Apollo container
+ * @param {Object} component The component
+ * @returns {Task<[Object]>} Resolves to the scenarios as {scenario, renewals, noAuthentication}
+ */
+export const renderTokenExpiryTask = (
+  {
+    apolloConfigContainer,
+    resolvedPropsContainer,
+    componentId,
+    childLoadingId,
+    childDataId,
+    childClassNoAuthName,
+    authMutationContainers,
+    tokenExpiry: {
+      clock,
+      refreshTokenCookie,
+      tokenLifetime = 300,
+      revokeMutationKey = 'mutateDeleteRefreshTokenCookie',
+      settleLength = 100
+    },
+    waitLength,
+    theme,
+    renderer
+  }, container, component) => {
+
+  const statusClasses = R.reject(R.isNil, {
+    loading: childLoadingId,
+    data: childDataId,
+    noAuthentication: childClassNoAuthName
+  });
+
+  // Runs the scenario's action, refetches the active queries and asserts the renewals, the rendered statuses and
+  // the outcome of the action
+  const scenarioTask = (
+    {apolloClient, statusRecorder, tokenRefresh},
+    actions,
+    {scenario, action, renewals, noAuthentication, outcome = {}}
+  ) => {
+    const before = R.length(tokenRefresh.renewals());
+    return composeWithChain([
+      ({actionOutcome}) => {
+        const result = R.merge({
+          scenario,
+          renewals: R.uniq(R.map(R.prop('renewed'), R.drop(before, tokenRefresh.renewals()))),
+          noAuthentication: R.includes('noAuthentication', statusRecorder.sample())
+        }, actionOutcome);
+        expect(result).toEqual(R.merge({scenario, renewals, noAuthentication}, outcome));
+        return of(result);
+      },
+      mapToNamedResponseAndInputs('settled',
+        () => settleRequestsTask(apolloClient, settleLength, waitLength)
+      ),
+      // Requests that fail authentication are answered with errors, which the component handles
+      mapToNamedResponseAndInputs('refetched',
+        () => fromPromised(() => apolloClient.reFetchObservableQueries())().orElse(error => of(error))
+      ),
+      mapToNamedResponseAndInputs('actionSettled',
+        () => settleRequestsTask(apolloClient, settleLength, waitLength)
+      ),
+      mapToNamedResponseAndInputs('actionOutcome',
+        () => R.prop(action, actions)({tokenRefresh})
+      )
+    ])({});
+  };
+
+  // The refresh token cookie before the renewal of tokenExpired, which spends it
+  let spentRefreshToken = null;
+  const expireToken = () => {
+    clock.advance((tokenLifetime + 1) * 1000);
+    return of({});
+  };
+  const expireTokenSpendingRefreshToken = () => {
+    spentRefreshToken = refreshTokenCookie ? refreshTokenCookie() : null;
+    return expireToken();
+  };
+  const reuseSpentRefreshToken = ({tokenRefresh}) => {
+    return fromPromised(() => tokenRefresh.refresh(spentRefreshToken))().map(
+      () => ({spentRefreshTokenRejected: false})
+    ).orElse(
+      () => of({spentRefreshTokenRejected: true})
+    );
+  };
+
+  return composeWithChain([
+    ({wrapper, statusRecorder, mountNode, scenarios}) => {
+      unmountTestComponent({wrapper, statusRecorder, mountNode});
+      return of(scenarios);
+    },
+    mapToNamedResponseAndInputs('scenarios',
+      mounted => {
+        const {apolloClient, wrapper} = mounted;
+        const revokeRefreshToken = () => {
+          return R.map(
+            () => ({}),
+            authMutationTask({apolloClient, authMutationContainers}, revokeMutationKey, componentProps(wrapper))
+          );
+        };
+        const actions = {expireToken, expireTokenSpendingRefreshToken, reuseSpentRefreshToken, revokeRefreshToken};
+        return sequenceTasks(
+          scenario => scenarioTask(mounted, actions, scenario),
+          _tokenExpiryScenarios({refreshTokenCookie})
+        );
+      }
+    ),
+    mapToMergedResponseAndInputs(
+      ({apolloClient}) => {
+        return testRenderComponentTask(
+          {
+            apolloClient,
+            componentId,
+            childLoadingId,
+            childDataId,
+            waitLength,
+            theme,
+            renderer,
+            authenticate: true,
+            statusClasses
+          },
+          container,
+          component,
+          resolvedPropsContainer
+        );
+      }
+    ),
+    // Renew expired tokens with the refresh token cookie
+    mapToNamedResponseAndInputs('tokenRefresh',
+      ({apolloClient}) => of(tokenRefreshForApolloClient(apolloClient))
+    ),
+    mapToMergedResponseAndInputs(
+      () => apolloConfigContainer
+    )
+  ])({});
+};
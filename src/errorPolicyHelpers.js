@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import {getOperationName} from '@apollo/client/utilities';
+import {operationMatches} from './links/linkHelpers.js';
+
+/**
+ * @fileoverview Forces the error policy of the requests of a container. Containers choose their own error policies,
+ * so the harness overrides the options of the matching queries and mutations as the apolloClient makes them
+ */
+
+// The error policies of queries and mutations
+export const ERROR_POLICIES = ['none', 'ignore', 'all'];
+
+/**
+ * What a container receives when the server returns partial data with errors under each error policy, as
+ * {data, error}, each true if the container's result has it. Apollo drops the data under none and the errors
+ * under ignore
+ */
+export const ERROR_POLICY_RESULTS = {
+  none: {data: false, error: true},
+  ignore: {data: true, error: false},
+  all: {data: true, error: true}
+};
+
+/**
+ * Wraps the watchQuery and mutate of the apolloClient to force the error policy of the matching operations
+ * @param {Object} apolloClient The ApolloClient
+ * @param {Object} config
+ * @param {String|RegExp} config.operationName Matches the queries and mutations to override. See operationMatches
+ * @param {String} config.errorPolicy One of ERROR_POLICIES
+ * @returns {Object} The apolloClient
+ */
+export const overrideErrorPolicy = (apolloClient, {operationName, errorPolicy}) => {
+  const override = (method, documentKey) => {
+    const original = apolloClient[method].bind(apolloClient);
+    apolloClient[method] = options => {
+      const document = R.prop(documentKey, options);
+      const matches = operationMatches({operationName}, {query: document, operationName: getOperationName(document)});
+      return original(matches ? R.merge(options, {errorPolicy}) : options);
+    };
+  };
+  override('watchQuery', 'query');
+  override('mutate', 'mutation');
+  return apolloClient;
+};
@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import {getOperationName} from '@apollo/client/utilities';
+import {operationMatches} from './links/linkHelpers.js';
+
+/**
+ * @fileoverview Forces the fetch policy of the queries of a container. Containers choose their own fetch policies,
+ * so the harness overrides the options of the matching queries as the apolloClient watches them
+ */
+
+// The fetch policies that watched queries support
+export const FETCH_POLICIES = ['cache-first', 'cache-and-network', 'network-only', 'cache-only', 'no-cache'];
+
+/**
+ * Wraps the watchQuery of the apolloClient to force the fetch policy of the matching queries
+ * @param {Object} apolloClient The ApolloClient
+ * @param {Object} config
+ * @param {String|RegExp} config.operationName Matches the queries to override. See operationMatches
+ * @param {String} config.fetchPolicy One of FETCH_POLICIES
+ * @param {String} [config.nextFetchPolicy] The policy Apollo switches the queries to after their first request
+ * @returns {Object} {observableQueries}, where observableQueries is nullary and returns the ObservableQuery of each
+ * overridden query in the order watched
+ */
+export const overrideFetchPolicy = (apolloClient, {operationName, fetchPolicy, nextFetchPolicy}) => {
+  let observableQueries = [];
+  const watchQuery = apolloClient.watchQuery.bind(apolloClient);
+  apolloClient.watchQuery = options => {
+    const matches = operationMatches(
+      {operationName},
+      {query: options.query, operationName: getOperationName(options.query)}
+    );
+    if (!matches) {
+      return watchQuery(options);
+    }
+    const observableQuery = watchQuery(R.merge(
+      options,
+      R.reject(R.isNil, {fetchPolicy, nextFetchPolicy})
+    ));
+    observableQueries = R.append(observableQuery, observableQueries);
+    return observableQuery;
+  };
+  return {
+    observableQueries: () => observableQueries
+  };
+};
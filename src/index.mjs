@@ -1,5 +1,6 @@
 export {
   waitForChildComponentRenderTask,
+  testIdSearch,
   propsFromSampleStateAndContainer,
   mockApolloClient,
   mockApolloClientWithSamples,
@@ -16,5 +17,134 @@ export {
   propsFromParentPropsTask,
   filterForQueryContainers,
   filterForMutationContainers, chainParentPropContainer,
-  chainSamplePropsForContainer
+  filterForSubscriptionContainers,
+  defaultContainerOperationName,
+  chainSamplePropsForContainer,
+  AUTH_MUTATION_CONTAINERS,
+  authMutationTask
 } from './apolloContainerTestHelpers';
+
+export {
+  localSchema,
+  localTypeDefs,
+  localResolvers
+} from './localServer/localSchema.js';
+
+export {
+  createControllableClock,
+  createLocalBackend,
+  defaultLocalUsers,
+  VERSION_CONFLICT
+} from './localServer/localBackend.js';
+
+export {
+  defaultLocalBackend,
+  localApolloClient,
+  localTestAuthTask,
+  localTestNoAuthTask
+} from './localServer/localApolloConfig.js';
+
+export {
+  RECORD_FIXTURES_ENV,
+  createFixtureStore,
+  fixtureApolloConfigTask,
+  fixtureMode,
+  fixtureRecordLink,
+  fixtureReplayLink
+} from './links/fixtureLinks.js';
+
+export {
+  operationKey,
+  operationMatches,
+  operationType,
+  prependLinksToApolloClient,
+  sortKeysDeep
+} from './links/linkHelpers.js';
+
+export {
+  createSchemaMocks,
+  seededRandom
+} from './mockDataHelpers.js';
+
+export {
+  FAULT_TYPES,
+  faultInjectionLink
+} from './links/faultLinks.js';
+
+export {
+  ERROR_POLICIES,
+  ERROR_POLICY_RESULTS,
+  overrideErrorPolicy
+} from './errorPolicyHelpers.js';
+
+export {
+  createDelayLink
+} from './links/delayLinks.js';
+
+export {
+  createMountNode,
+  createStatusRecorder,
+  delayTask,
+  renderedStatuses,
+  waitForStatusSequenceTask
+} from './renderStatusHelpers.js';
+
+export {
+  createInFlightTracker,
+  inFlightTrackerForApolloClient
+} from './links/inFlightLinks.js';
+
+export {
+  createPubSub,
+  pubSubForApolloClient
+} from './links/pubSubLinks.js';
+
+export {
+  createOperationLog,
+  operationLogForApolloClient
+} from './links/operationLogLinks.js';
+
+export {
+  createTokenRefresh,
+  tokenRefreshForApolloClient
+} from './links/tokenRefreshLinks.js';
+
+export {
+  createPollClock
+} from './pollClockHelpers.js';
+
+export {
+  FETCH_POLICIES,
+  overrideFetchPolicy
+} from './fetchPolicyHelpers.js';
+
+export {
+  FUZZ_KINDS,
+  mutationInputVariants
+} from './mutationFuzzHelpers.js';
+
+export {
+  requestTimeline,
+  criticalPath,
+  requestTimelineReport,
+  trackContainerDependencies
+} from './requestTimelineHelpers.js';
+
+export {
+  RENDERERS,
+  resolveRenderer
+} from './renderers/renderers.js';
+
+export {
+  enzymeRenderer
+} from './renderers/enzymeRenderer.js';
+
+export {
+  testingLibraryRenderer
+} from './renderers/testingLibraryRenderer.js';
+
+export {
+  OMITTED_VALUE,
+  cacheSnapshot,
+  diffCacheSnapshots
+} from './cacheSnapshotHelpers.js';
@@ -0,0 +1,51 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import * as AC from '@apollo/client';
+import {operationMatches} from './linkHelpers.js';
+
+const {ApolloLink, Observable} = AC;
+
+/**
+ * Creates a link that holds matching operations for a time before forwarding them, simulating latency
+ * @param {Object} config
+ * @param {Number|Function} [config.delay] Default 500. Milliseconds to hold each operation, or a unary function
+ * expecting the operation and returning the milliseconds
+ * @param {String|RegExp} [config.operationName] Only delay operations with this name. See operationMatches
+ * @param {String} [config.operationType] Default 'query'. Only delay operations of this type. Set null to delay all
+ * @returns {Object} {link, delayedOperations}, where link is the Apollo link and delayedOperations is a nullary
+ * function returning the names of the operations that were delayed so far
+ */
+export const createDelayLink = ({delay = 500, operationName, operationType = 'query'} = {}) => {
+  const delayed = [];
+  const link = new ApolloLink((operation, forward) => {
+    if (!operationMatches({operationName, operationType}, operation)) {
+      return forward(operation);
+    }
+    delayed.push(operation.operationName);
+    return new Observable(observer => {
+      let subscription = null;
+      const timer = setTimeout(() => {
+        subscription = forward(operation).subscribe(observer);
+      }, R.is(Function, delay) ? delay(operation) : delay);
+      return () => {
+        clearTimeout(timer);
+        if (subscription) {
+          subscription.unsubscribe();
+        }
+      };
+    });
+  });
+  return {
+    link,
+    delayedOperations: () => R.clone(delayed)
+  };
+};
@@ -0,0 +1,102 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import * as AC from '@apollo/client';
+import {operationMatches} from './linkHelpers.js';
+
+const {ApolloLink, Observable} = AC;
+
+/**
+ * @fileoverview A link that injects failures into chosen operations so tests can drive containers into
+ * their error state without crafting bad variables
+ */
+
+// The kinds of faults faultInjectionLink can inject
+export const FAULT_TYPES = ['network', 'graphql', 'partial', 'timeout', 'http'];
+
+// An error in the shape that HttpLink produces for a non 2xx response
+const serverError = (statusCode, message) => {
+  return Object.assign(
+    new Error(message || `Response not successful: Received status code ${statusCode}`),
+    {
+      name: 'ServerError',
+      statusCode,
+      response: {status: statusCode},
+      result: {errors: [{message: `Status code ${statusCode}`}]}
+    }
+  );
+};
+
+const graphqlErrors = ({message = 'Injected GraphQL error', extensions}) => {
+  return [R.reject(R.isNil, {message, extensions})];
+};
+
+/**
+ * Creates a link that fails operations as configured in faults. Operations that match no fault are forwarded
+ * @param {[Object]} faults Each fault is {operationName, operationType, type, ...options}, where operationName and
+ * operationType select the operations as in operationMatches and type is one of:
+ *  'network': The operation errors with a network error. Options: message
+ *  'graphql': The operation resolves to null data and GraphQL errors. Options: message, extensions
+ *  'partial': The operation is forwarded and its data is returned with GraphQL errors. Options: message, extensions
+ *  'timeout': The operation is not forwarded and errors after the timeout. Options: timeout in ms, default 100
+ *  'http': The operation errors like an HTTP error response. Options: statusCode, default 500, message
+ * The first matching fault is used
+ * @returns {Object} The Apollo link
+ */
+export const faultInjectionLink = faults => {
+  return new ApolloLink((operation, forward) => {
+    const fault = R.find(fault => operationMatches(fault, operation), faults);
+    if (!fault) {
+      return forward(operation);
+    }
+    return new Observable(observer => {
+      let subscription = null;
+      let timer = null;
+      R.cond([
+        [R.equals('network'), () => {
+          observer.error(new Error(fault.message || `Injected network error for ${operation.operationName}`));
+        }],
+        [R.equals('graphql'), () => {
+          observer.next({data: null, errors: graphqlErrors(fault)});
+          observer.complete();
+        }],
+        [R.equals('partial'), () => {
+          subscription = forward(operation).subscribe({
+            next: result => {
+              observer.next(R.merge(result, {errors: R.concat(R.propOr([], 'errors', result), graphqlErrors(fault))}));
+            },
+            error: error => observer.error(error),
+            complete: () => observer.complete()
+          });
+        }],
+        [R.equals('timeout'), () => {
+          timer = setTimeout(() => {
+            observer.error(new Error(`Timeout exceeded for ${operation.operationName}`));
+          }, R.propOr(100, 'timeout', fault));
+        }],
+        [R.equals('http'), () => {
+          observer.error(serverError(R.propOr(500, 'statusCode', fault), fault.message));
+        }],
+        [R.T, type => {
+          observer.error(new Error(`Unknown fault type ${type}. Expected one of ${R.join(', ', FAULT_TYPES)}`));
+        }]
+      ])(fault.type);
+      return () => {
+        if (subscription) {
+          subscription.unsubscribe();
+        }
+        if (timer) {
+          clearTimeout(timer);
+        }
+      };
+    });
+  });
+};
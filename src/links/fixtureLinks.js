@@ -0,0 +1,208 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as R from 'ramda';
+import * as AC from '@apollo/client';
+import T from 'folktale/concurrency/task';
+import {operationKey, prependLinksToApolloClient, serializableGraphqlError} from './linkHelpers.js';
+
+const {ApolloClient, ApolloLink, InMemoryCache, Observable} = AC;
+const {of, rejected} = T;
+
+/**
+ * @fileoverview Record and replay of GraphQL operations. In record mode every operation, its variables and
+ * its response are collected as they happen and written to a fixture file once recording finishes. In replay mode
+ * the fixture file answers the operations and the network is never used
+ */
+
+// Set to true to re-record all fixtures against the real server
+export const RECORD_FIXTURES_ENV = 'RECORD_GRAPHQL_FIXTURES';
+
+/**
+ * Returns 'record' if fixtures should be recorded, either because of fixtures.mode or because the
+ * RECORD_GRAPHQL_FIXTURES environment variable is 'true'. Otherwise 'replay'
+ * @param {Object} fixtures
+ * @param {String} [fixtures.mode] 'record' or 'replay'. Defaults to 'replay'
+ * @returns {String} 'record' or 'replay'
+ */
+export const fixtureMode = ({mode = 'replay'}) => {
+  return process.env[RECORD_FIXTURES_ENV] === 'true' ? 'record' : mode;
+};
+
+/**
+ * Creates the store of a single fixture file. In record mode the store starts empty and saveRecording replaces any
+ * previous recording with it. In replay mode the file is read. If it doesn't exist the store's missingFileError is
+ * set, which fixtureApolloConfigTask rejects with.
+ * Responses are stored by operationKey in the order they occurred, so the same mutation run twice
+ * replays two different responses
+ * @param {Object} config
+ * @param {String} config.filePath The fixture file
+ * @param {String} config.mode 'record' or 'replay'
+ * @returns {Object} The store
+ */
+export const createFixtureStore = ({filePath, mode}) => {
+  const missingFileError = mode === 'replay' && !fs.existsSync(filePath) ?
+    new Error(`No fixture file ${filePath}. Record it by running the test with ${RECORD_FIXTURES_ENV}=true`) :
+    null;
+  const fixture = mode === 'replay' && !missingFileError ?
+    JSON.parse(fs.readFileSync(filePath, 'utf8')) :
+    {caches: [], responses: {}};
+  // Index of the next response to replay by operation key, and of the next cache snapshot
+  const replayed = {};
+  let cacheIndex = 0;
+  // Whether something was recorded since the last saveRecording
+  let unsaved = false;
+
+  return {
+    filePath,
+    mode,
+    missingFileError,
+    /**
+     * Records the initial cache of an apolloClient created by the apolloConfigContainer. This holds what the
+     * apolloConfigContainer wrote to the cache, such as the auth token, and is restored when replaying
+     */
+    recordCache: cache => {
+      fixture.caches = R.append(cache, fixture.caches);
+      unsaved = true;
+    },
+    nextCache: () => {
+      const cache = R.propOr({}, cacheIndex, fixture.caches);
+      cacheIndex = cacheIndex + 1;
+      return cache;
+    },
+    recordResponse: (operation, response) => {
+      const key = operationKey(operation);
+      fixture.responses = R.over(R.lensProp(key), R.compose(R.append(response), R.defaultTo([])), fixture.responses);
+      unsaved = true;
+    },
+    /**
+     * Writes what was recorded to the fixture file. Call this once the recording test finishes. Does nothing when
+     * replaying or when nothing was recorded since the last call
+     */
+    saveRecording: () => {
+      if (mode !== 'record' || !unsaved) {
+        return;
+      }
+      fs.mkdirSync(path.dirname(filePath), {recursive: true});
+      fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+      unsaved = false;
+    },
+    /**
+     * Returns the next recorded response of the operation. Throws if the operation was never recorded or if
+     * it is replayed more times than it was recorded, since the test no longer matches the recording
+     */
+    replayResponse: operation => {
+      const key = operationKey(operation);
+      const responses = R.propOr([], key, fixture.responses);
+      const index = R.propOr(0, key, replayed);
+      const description = `operation ${operation.operationName} with variables ${JSON.stringify(operation.variables)} in ${filePath}`;
+      if (!R.length(responses)) {
+        throw new Error(`No recorded fixture for ${description}. Re-record with ${RECORD_FIXTURES_ENV}=true`);
+      }
+      if (index >= R.length(responses)) {
+        throw new Error(
+          `Fixture for ${description} was recorded ${R.length(responses)} time(s) but replayed more often. Re-record with ${RECORD_FIXTURES_ENV}=true`
+        );
+      }
+      replayed[key] = index + 1;
+      return responses[index];
+    }
+  };
+};
+
+/**
+ * Link that forwards each operation and records its response or network error in the store
+ * @param {Object} store A store from createFixtureStore
+ * @returns {Object} The Apollo link
+ */
+export const fixtureRecordLink = store => {
+  return new ApolloLink((operation, forward) => {
+    return new Observable(observer => {
+      const subscription = forward(operation).subscribe({
+        next: result => {
+          store.recordResponse(operation, R.merge(
+            R.pick(['data'], result),
+            R.has('errors', result) ? {errors: R.map(serializableGraphqlError, result.errors)} : {}
+          ));
+          observer.next(result);
+        },
+        error: error => {
+          store.recordResponse(operation, {networkError: {message: error.message}});
+          observer.error(error);
+        },
+        complete: () => observer.complete()
+      });
+      return () => subscription.unsubscribe();
+    });
+  });
+};
+
+/**
+ * Terminating link that answers each operation from the store. An operation or variable set that was never
+ * recorded, or that is replayed more often than it was recorded, errors with a message naming the operation,
+ * its variables and the fixture file
+ * @param {Object} store A store from createFixtureStore
+ * @returns {Object} The Apollo link
+ */
+export const fixtureReplayLink = store => {
+  return new ApolloLink(operation => {
+    return new Observable(observer => {
+      let response;
+      try {
+        response = store.replayResponse(operation);
+      } catch (error) {
+        observer.error(error);
+        return;
+      }
+      if (R.has('networkError', response)) {
+        observer.error(new Error(response.networkError.message));
+      } else {
+        observer.next(response);
+        observer.complete();
+      }
+    });
+  });
+};
+
+/**
+ * Wraps an apolloConfig Task for record or replay. When recording, the apolloConfigTask runs as normal and the
+ * record link is put in front of its apolloClient's links. When replaying, the apolloConfigTask is not run.
+ * Instead a new apolloClient is created with the recorded initial cache and the replay link. Rejects if the
+ * fixture file to replay doesn't exist. When recording, call the store's saveRecording once the test finishes
+ * @param {Object} config
+ * @param {Object} config.store A store from createFixtureStore
+ * @param {Object} [config.cacheOptions] Options for the InMemoryCache created when replaying, such as typePolicies
+ * @param {Task} apolloConfigTask Resolves to {apolloClient}
+ * @returns {Task<Object>} Resolves to {apolloClient}
+ */
+export const fixtureApolloConfigTask = ({store, cacheOptions = {}}, apolloConfigTask) => {
+  if (store.missingFileError) {
+    return rejected(store.missingFileError);
+  }
+  if (store.mode === 'replay') {
+    return of({
+      apolloClient: new ApolloClient({
+        cache: new InMemoryCache(cacheOptions).restore(store.nextCache()),
+        link: fixtureReplayLink(store)
+      })
+    });
+  }
+  return R.map(
+    apolloConfig => {
+      const apolloClient = apolloConfig.apolloClient;
+      store.recordCache(apolloClient.cache.extract());
+      prependLinksToApolloClient(apolloClient, [fixtureRecordLink(store)]);
+      return apolloConfig;
+    },
+    apolloConfigTask
+  );
+};
@@ -0,0 +1,108 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as R from 'ramda';
+import * as AC from '@apollo/client';
+import T from 'folktale/concurrency/task';
+import {createFixtureStore, fixtureApolloConfigTask} from './fixtureLinks.js';
+import {localTestAuthTask} from '../localServer/localApolloConfig.js';
+import {createLocalBackend} from '../localServer/localBackend.js';
+
+const {gql} = AC;
+const {rejected} = T;
+
+const regionsQuery = gql`
+  query regions($key: String) {
+    regions(key: $key) {
+      id
+      key
+      name
+    }
+  }
+`;
+
+const regions = [{id: 1, key: 'earth', name: 'Earth'}, {id: 2, key: 'mars', name: 'Mars'}];
+
+// Stands in for the server when replaying. Running it fails the replay
+const serverAbsentTask = rejected(new Error('The server was used while replaying'));
+
+const queryRegions = (apolloClient, variables) => {
+  return apolloClient.query({query: regionsQuery, variables, fetchPolicy: 'network-only'});
+};
+
+describe('fixtureLinks', () => {
+  let directory;
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtureLinks-'));
+  });
+  afterEach(() => {
+    fs.rmSync(directory, {recursive: true, force: true});
+  });
+
+  test('records against the local server and replays without it', async () => {
+    const filePath = path.join(directory, 'regions.json');
+    const recordStore = createFixtureStore({filePath, mode: 'record'});
+    const recordConfig = await fixtureApolloConfigTask(
+      {store: recordStore},
+      localTestAuthTask({backend: createLocalBackend({regions})})
+    ).run().promise();
+    const recorded = await queryRegions(recordConfig.apolloClient, {key: 'earth'});
+    expect(R.map(R.prop('name'), recorded.data.regions)).toEqual(['Earth']);
+    // Nothing is written until the recording finishes
+    expect(fs.existsSync(filePath)).toBe(false);
+    recordStore.saveRecording();
+    expect(fs.existsSync(filePath)).toBe(true);
+
+    const replayConfig = await fixtureApolloConfigTask(
+      {store: createFixtureStore({filePath, mode: 'replay'})},
+      serverAbsentTask
+    ).run().promise();
+    const replayed = await queryRegions(replayConfig.apolloClient, {key: 'earth'});
+    expect(replayed.data).toEqual(recorded.data);
+    // The recorded cache holds the authenticated user from localTestAuthTask
+    expect(R.has('currentUser', replayConfig.apolloClient.cache.extract().ROOT_QUERY)).toBe(true);
+  });
+
+  test('rejects when the fixture file is missing', async () => {
+    const filePath = path.join(directory, 'missing.json');
+    // Creating the store doesn't throw. The failure surfaces through the Task
+    const store = createFixtureStore({filePath, mode: 'replay'});
+    await expect(
+      fixtureApolloConfigTask({store}, serverAbsentTask).run().promise()
+    ).rejects.toThrow(`No fixture file ${filePath}. Record it by running the test with RECORD_GRAPHQL_FIXTURES=true`);
+  });
+
+  test('errors when replaying an operation that was not recorded or was recorded fewer times', async () => {
+    const filePath = path.join(directory, 'regions.json');
+    const recordStore = createFixtureStore({filePath, mode: 'record'});
+    const recordConfig = await fixtureApolloConfigTask(
+      {store: recordStore},
+      localTestAuthTask({backend: createLocalBackend({regions})})
+    ).run().promise();
+    await queryRegions(recordConfig.apolloClient, {key: 'earth'});
+    recordStore.saveRecording();
+
+    const replayConfig = await fixtureApolloConfigTask(
+      {store: createFixtureStore({filePath, mode: 'replay'})},
+      serverAbsentTask
+    ).run().promise();
+    await expect(queryRegions(replayConfig.apolloClient, {key: 'mars'})).rejects.toThrow(
+      /No recorded fixture for operation regions with variables {"key":"mars"}.*Re-record with RECORD_GRAPHQL_FIXTURES=true/
+    );
+    await queryRegions(replayConfig.apolloClient, {key: 'earth'});
+    // Recorded once, so a second replay no longer matches the recording instead of reusing the last response
+    await expect(queryRegions(replayConfig.apolloClient, {key: 'earth'})).rejects.toThrow(
+      /was recorded 1 time\(s\) but replayed more often. Re-record with RECORD_GRAPHQL_FIXTURES=true/
+    );
+  });
+});
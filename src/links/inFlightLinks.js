@@ -0,0 +1,109 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import * as AC from '@apollo/client';
+import {operationKey, operationType, prependLinksToApolloClient} from './linkHelpers.js';
+
+const {ApolloLink, Observable} = AC;
+
+/**
+ * @fileoverview Tracks the operations an apolloClient has in flight. Apollo doesn't announce when a request
+ * completes, so waiting code uses this to know when to look for a new render. The tracker also remembers the
+ * operations it has seen, so cache snapshots can read the queries back from the cache
+ */
+
+// One tracker per apolloClient so the link is only added once
+const trackers = new WeakMap();
+
+/**
+ * Creates a tracker of in-flight operations
+ * @returns {Object} The tracker:
+ *  link: The Apollo link that does the tracking. It must be in the apolloClient's link chain
+ *  inFlight: Nullary. Returns the names of the operations in flight
+ *  onSettled: Unary. Registers a listener called with the operation name each time an operation completes,
+ *  errors or is unsubscribed. Returns a function to unregister
+ *  operations: Unary. Expects an optional operation type, such as 'query', and returns the distinct operations seen
+ *  so far as {operationName, operationType, query, variables}
+ */
+export const createInFlightTracker = () => {
+  let inFlight = [];
+  let listeners = [];
+  // Distinct operations by operationKey
+  let operations = {};
+  const settle = operationName => {
+    inFlight = R.remove(R.indexOf(operationName, inFlight), 1, inFlight);
+    R.forEach(listener => listener(operationName), listeners);
+  };
+
+  const link = new ApolloLink((operation, forward) => {
+    const {operationName} = operation;
+    inFlight = R.append(operationName, inFlight);
+    operations = R.assoc(operationKey(operation), {
+      operationName,
+      operationType: operationType(operation),
+      query: operation.query,
+      variables: operation.variables
+    }, operations);
+    return new Observable(observer => {
+      let settled = false;
+      const settleOnce = () => {
+        if (!settled) {
+          settled = true;
+          settle(operationName);
+        }
+      };
+      const subscription = forward(operation).subscribe({
+        next: result => observer.next(result),
+        error: error => {
+          settleOnce();
+          observer.error(error);
+        },
+        complete: () => {
+          settleOnce();
+          observer.complete();
+        }
+      });
+      return () => {
+        settleOnce();
+        subscription.unsubscribe();
+      };
+    });
+  });
+
+  return {
+    link,
+    inFlight: () => inFlight,
+    operations: type => R.filter(
+      operation => !type || R.equals(type, operation.operationType),
+      R.values(operations)
+    ),
+    onSettled: listener => {
+      listeners = R.append(listener, listeners);
+      return () => {
+        listeners = R.without([listener], listeners);
+      };
+    }
+  };
+};
+
+/**
+ * Returns the in-flight tracker of the apolloClient, adding one to the front of its links the first time
+ * @param {Object} apolloClient The ApolloClient
+ * @returns {Object} The tracker. See createInFlightTracker
+ */
+export const inFlightTrackerForApolloClient = apolloClient => {
+  if (!trackers.has(apolloClient)) {
+    const tracker = createInFlightTracker();
+    prependLinksToApolloClient(apolloClient, [tracker.link]);
+    trackers.set(apolloClient, tracker);
+  }
+  return trackers.get(apolloClient);
+};
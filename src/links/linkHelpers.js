@@ -0,0 +1,92 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import * as AC from '@apollo/client';
+import {getMainDefinition} from '@apollo/client/utilities';
+
+const {ApolloLink} = AC;
+
+/**
+ * Recursively sorts the keys of objects so that equal values stringify identically
+ * @param {*} value Any JSON value
+ * @returns {*} The value with sorted keys
+ */
+export const sortKeysDeep = value => {
+  return R.cond([
+    [Array.isArray, R.map(sortKeysDeep)],
+    [
+      value => R.is(Object, value) && !R.is(Function, value),
+      obj => R.fromPairs(R.map(
+        ([key, v]) => [key, sortKeysDeep(v)],
+        R.sortBy(R.head, R.toPairs(obj))
+      ))
+    ],
+    [R.T, R.identity]
+  ])(value);
+};
+
+/**
+ * Key for an operation based on its name and variables, independent of variable key order
+ * @param {Object} operation The Apollo operation
+ * @returns {String} The key
+ */
+export const operationKey = operation => {
+  return `${operation.operationName}:${JSON.stringify(sortKeysDeep(operation.variables || {}))}`;
+};
+
+/**
+ * Puts the given links in front of the existing link chain of the apolloClient. This is how the test harness
+ * instruments the apolloClient that an apolloConfigContainer resolves to
+ * @param {Object} apolloClient The ApolloClient
+ * @param {[Object]} links Apollo links. The first one sees each operation first
+ * @returns {Object} The apolloClient, mutated to use the new link chain
+ */
+export const prependLinksToApolloClient = (apolloClient, links) => {
+  apolloClient.setLink(ApolloLink.from(R.concat(links, [apolloClient.link])));
+  return apolloClient;
+};
+
+/**
+ * Returns the JSON serializable parts of a GraphQL error
+ * @param {Object} error A GraphQLError or similar
+ * @returns {Object} {message, locations, path, extensions} where defined
+ */
+export const serializableGraphqlError = error => {
+  return R.reject(R.isNil, R.pick(['message', 'locations', 'path', 'extensions'], error));
+};
+
+/**
+ * Returns 'query', 'mutation' or 'subscription' for the operation
+ * @param {Object} operation The Apollo operation
+ * @returns {String} The operation type
+ */
+export const operationType = operation => {
+  return getMainDefinition(operation.query).operation;
+};
+
+/**
+ * Tests whether an operation matches a selector. Links use selectors to choose the operations they act on
+ * @param {Object} selector
+ * @param {String|RegExp} [selector.operationName] The exact operation name or a RegExp to match it.
+ * If omitted every name matches
+ * @param {String} [selector.operationType] Optionally limit to 'query', 'mutation' or 'subscription'
+ * @param {Object} operation The Apollo operation
+ * @returns {Boolean} True if the operation matches
+ */
+export const operationMatches = ({operationName, operationType: type}, operation) => {
+  const name = operation.operationName || '';
+  const nameMatches = R.cond([
+    [R.isNil, R.T],
+    [R.is(RegExp), regExp => R.test(regExp, name)],
+    [R.T, R.equals(name)]
+  ])(operationName);
+  return nameMatches && (!type || R.equals(type, operationType(operation)));
+};
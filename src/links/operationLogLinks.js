@@ -0,0 +1,150 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import * as AC from '@apollo/client';
+import {getOperationName} from '@apollo/client/utilities';
+import {operationKey, operationType, prependLinksToApolloClient} from './linkHelpers.js';
+
+const {ApolloLink, Observable} = AC;
+
+/**
+ * @fileoverview Logs every request made with an apolloClient and whether the network served it. Links only see
+ * the requests that reach the network, so the client's request methods are wrapped to log the requests that the
+ * cache answers too
+ */
+
+// One log per apolloClient so the client is only instrumented once
+const operationLogs = new WeakMap();
+
+// The fetch policy that each client method uses when none is given or defaulted
+const DEFAULT_FETCH_POLICIES = {watchQuery: 'cache-first', query: 'cache-first', mutate: 'network-only'};
+
+/**
+ * Creates an operation log
+ * @returns {Object} The log:
+ *  link: The Apollo link that marks the requests that reach the network. It must be in the apolloClient's link chain
+ *  instrument: Unary. Expects the apolloClient and wraps its watchQuery, query and mutate to log each request.
+ *  Returns the apolloClient
+ *  entries: Nullary. Returns each request in the order made as
+ *  {operationName, operationType, variables, fetchPolicy, source, startedAt, finishedAt}, where source is 'network'
+ *  or 'cache', startedAt is when the request was made and finishedAt is when its network response completed or
+ *  errored, in ms since the epoch. finishedAt is null for requests that don't reach the network or are in flight. A request
+ *  is marked 'network' when the link sees an operation with the same name and variables while the request is the
+ *  oldest one unmarked. Deduplicated requests therefore remain 'cache'. Operations that reach the network without a
+ *  logged request, such as refetches, are logged with a null fetchPolicy
+ *  networkRequests: Nullary. Returns the entries whose source is 'network'
+ *  duplicateNetworkRequests: Nullary. Returns the entries of each operation that reached the network more than once
+ *  with identical variables, grouped as [[entry, ...], ...]
+ *  clear: Nullary. Empties the log
+ */
+export const createOperationLog = () => {
+  // Each entry has an id and a key, the operationKey, that aren't exposed
+  let entries = [];
+  let nextId = 0;
+
+  // Logs the request and returns its id
+  const log = (operation, fetchPolicy, source) => {
+    const id = nextId++;
+    entries = R.append({
+      id,
+      key: operationKey(operation),
+      operationName: operation.operationName,
+      operationType: operationType(operation),
+      variables: operation.variables || {},
+      fetchPolicy,
+      source,
+      startedAt: Date.now(),
+      finishedAt: null
+    }, entries);
+    return id;
+  };
+  const update = (id, props) => {
+    entries = R.map(entry => R.equals(id, entry.id) ? R.merge(entry, props) : entry, entries);
+  };
+
+  const link = new ApolloLink((operation, forward) => {
+    const key = operationKey(operation);
+    const entry = R.find(entry => R.equals(key, entry.key) && R.equals('cache', entry.source), entries);
+    const id = entry ? entry.id : log(operation, null, 'network');
+    update(id, {source: 'network'});
+    return new Observable(observer => {
+      const finish = () => update(id, {finishedAt: Date.now()});
+      const subscription = forward(operation).subscribe({
+        next: result => observer.next(result),
+        error: error => {
+          finish();
+          observer.error(error);
+        },
+        complete: () => {
+          finish();
+          observer.complete();
+        }
+      });
+      return () => subscription.unsubscribe();
+    });
+  });
+
+  // Wraps the client request method to log each request before the client handles it
+  const wrap = (apolloClient, method, documentKey) => {
+    const original = apolloClient[method].bind(apolloClient);
+    apolloClient[method] = options => {
+      const query = R.prop(documentKey, options);
+      const fetchPolicy = R.propOr(null, 'fetchPolicy', options) ||
+        R.pathOr(null, ['defaultOptions', method, 'fetchPolicy'], apolloClient) ||
+        R.prop(method, DEFAULT_FETCH_POLICIES);
+      // The request is marked 'network' if the link sees it
+      log({query, operationName: getOperationName(query), variables: R.propOr({}, 'variables', options)}, fetchPolicy, 'cache');
+      return original(options);
+    };
+  };
+
+  const networkRequests = () => R.filter(R.propEq('source', 'network'), entries);
+  const withoutKey = R.map(R.omit(['id', 'key']));
+
+  return {
+    link,
+    instrument: apolloClient => {
+      wrap(apolloClient, 'watchQuery', 'query');
+      wrap(apolloClient, 'query', 'query');
+      wrap(apolloClient, 'mutate', 'mutation');
+      return apolloClient;
+    },
+    entries: () => withoutKey(entries),
+    networkRequests: () => withoutKey(networkRequests()),
+    duplicateNetworkRequests: () => {
+      return R.compose(
+        R.map(withoutKey),
+        R.filter(group => R.length(group) > 1),
+        R.values,
+        R.groupBy(R.prop('key'))
+      )(networkRequests());
+    },
+    clear: () => {
+      entries = [];
+    }
+  };
+};
+
+/**
+ * Returns the operation log of the apolloClient, instrumenting the client and adding the log's link to the front of
+ * its links the first time
+ * @param {Object} apolloClient The ApolloClient
+ * @returns {Object} The log. See createOperationLog
+ */
+export const operationLogForApolloClient = apolloClient => {
+  if (!operationLogs.has(apolloClient)) {
+    const operationLog = createOperationLog();
+    operationLog.instrument(apolloClient);
+    prependLinksToApolloClient(apolloClient, [operationLog.link]);
+    operationLogs.set(apolloClient, operationLog);
+  }
+  return operationLogs.get(apolloClient);
+};
@@ -0,0 +1,100 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import * as AC from '@apollo/client';
+import {operationMatches, prependLinksToApolloClient} from './linkHelpers.js';
+
+const {ApolloLink, Observable} = AC;
+
+/**
+ * @fileoverview An in-memory pub/sub that stands in for a subscription transport such as a websocket.
+ * Subscription operations never reach the network. They stay open until unsubscribed and receive whatever
+ * the test publishes to them
+ */
+
+// One pub/sub per apolloClient so the link is only added once
+const pubSubs = new WeakMap();
+
+/**
+ * Creates an in-memory pub/sub for subscription operations
+ * @returns {Object} The pub/sub:
+ *  link: The Apollo link that holds the subscriptions. It must be in the apolloClient's link chain. Other operations
+ *  are forwarded
+ *  publish: Binary. Expects an operation selector, {operationName, variables}, where operationName is as in
+ *  operationMatches and variables optionally limits to subscriptions whose variables include them, and the payload.
+ *  The payload is sent to each matching open subscription as the data of a result, or as the whole result if it has
+ *  data or errors keys. Returns the number of subscriptions reached
+ *  openSubscriptions: Unary. Expects an optional selector like that of publish and returns the open subscriptions
+ *  as {operationName, variables}
+ */
+export const createPubSub = () => {
+  // The open subscriptions, each {id, operationName, variables, operation, observer}
+  let subscriptions = [];
+  let nextId = 0;
+
+  const selected = ({operationName, variables} = {}) => {
+    return R.filter(
+      subscription => {
+        return operationMatches({operationName, operationType: 'subscription'}, subscription.operation) &&
+          R.whereEq(variables || {}, subscription.variables || {});
+      },
+      subscriptions
+    );
+  };
+
+  const link = new ApolloLink((operation, forward) => {
+    if (!operationMatches({operationType: 'subscription'}, operation)) {
+      return forward(operation);
+    }
+    return new Observable(observer => {
+      const id = nextId++;
+      subscriptions = R.append({
+        id,
+        operationName: operation.operationName,
+        variables: operation.variables,
+        operation,
+        observer
+      }, subscriptions);
+      return () => {
+        subscriptions = R.reject(R.propEq('id', id), subscriptions);
+      };
+    });
+  });
+
+  return {
+    link,
+    publish: (selector, payload) => {
+      const result = R.is(Object, payload) && R.any(key => R.has(key, payload), ['data', 'errors']) ?
+        payload :
+        {data: payload};
+      const reached = selected(selector);
+      R.forEach(({observer}) => observer.next(result), reached);
+      return R.length(reached);
+    },
+    openSubscriptions: selector => {
+      return R.map(R.pick(['operationName', 'variables']), selected(selector));
+    }
+  };
+};
+
+/**
+ * Returns the pub/sub of the apolloClient, adding its link to the front of the client's links the first time
+ * @param {Object} apolloClient The ApolloClient
+ * @returns {Object} The pub/sub. See createPubSub
+ */
+export const pubSubForApolloClient = apolloClient => {
+  if (!pubSubs.has(apolloClient)) {
+    const pubSub = createPubSub();
+    prependLinksToApolloClient(apolloClient, [pubSub.link]);
+    pubSubs.set(apolloClient, pubSub);
+  }
+  return pubSubs.get(apolloClient);
+};
@@ -0,0 +1,170 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import * as AC from '@apollo/client';
+import {prependLinksToApolloClient} from './linkHelpers.js';
+
+const {ApolloLink, Observable, gql} = AC;
+
+/**
+ * @fileoverview Renews an expired token with the refresh token cookie, standing in for the client's token refresh.
+ * A request that fails authentication triggers a refreshToken mutation and is retried once if the token was renewed.
+ * If renewal is impossible, because the refresh token expired or was revoked, the session is ended like a logout
+ */
+
+// One token refresh per apolloClient so the link is only added once
+const tokenRefreshes = new WeakMap();
+
+// The refresh token is read from the cookie unless given as a variable
+const REFRESH_TOKEN_MUTATION = gql`
+  mutation refreshToken($refreshToken: String) {
+    refreshToken(refreshToken: $refreshToken) {
+      token
+      payload
+      refreshExpiresIn
+    }
+  }
+`;
+
+// The errors of the server for missing or expired tokens
+const AUTHENTICATION_ERROR = /permission|signature has expired/i;
+
+/**
+ * Ends the session in the cache like a logout so that containers render their unauthenticated state
+ * @param {Object} apolloClient The ApolloClient
+ */
+const endSession = apolloClient => {
+  apolloClient.cache.evict({id: 'ROOT_QUERY', fieldName: 'currentUser'});
+  apolloClient.cache.gc();
+};
+
+/**
+ * Creates a token refresh for the apolloClient
+ * @param {Object} apolloClient The ApolloClient that sends the refreshToken mutation
+ * @param {Object} [config]
+ * @param {Function} [config.isAuthenticationError] Unary function expecting a GraphQL error and returning true if it
+ * means the token is missing or expired. Defaults to matching the server's permission and expiry messages
+ * @param {Function} [config.onRenewalFailed] Unary function expecting the apolloClient, called when renewal is
+ * impossible. Defaults to evicting the currentUser from the cache
+ * @returns {Object} The token refresh:
+ *  link: The Apollo link that renews and retries. It must be in the apolloClient's link chain
+ *  renewals: Nullary. Returns each renewal attempt in order as {renewed, error}, where error is the message of the
+ *  failed renewal or null
+ *  refresh: Unary. Expects a refresh token and sends the refreshToken mutation with it in place of the cookie's.
+ *  Returns the Promise of the mutation. It isn't a renewal, so a failure doesn't end the session
+ */
+export const createTokenRefresh = (apolloClient, {isAuthenticationError, onRenewalFailed = endSession} = {}) => {
+  const authenticationError = isAuthenticationError || (error => R.test(AUTHENTICATION_ERROR, R.propOr('', 'message', error)));
+  let renewals = [];
+  // Requests that fail together share one renewal
+  let renewing = null;
+
+  const renew = () => {
+    if (!renewing) {
+      renewing = apolloClient.mutate({
+        mutation: REFRESH_TOKEN_MUTATION,
+        fetchPolicy: 'no-cache',
+        context: {skipTokenRefresh: true}
+      }).then(
+        () => {
+          renewals = R.append({renewed: true, error: null}, renewals);
+          return true;
+        },
+        error => {
+          renewals = R.append({renewed: false, error: error.message}, renewals);
+          onRenewalFailed(apolloClient);
+          return false;
+        }
+      ).finally(() => {
+        renewing = null;
+      });
+    }
+    return renewing;
+  };
+
+  const link = new ApolloLink((operation, forward) => {
+    if (R.propOr(false, 'skipTokenRefresh', operation.getContext())) {
+      return forward(operation);
+    }
+    return new Observable(observer => {
+      let subscription = null;
+      let closed = false;
+      // The result that failed authentication, held until the renewal decides whether to retry
+      let failed = null;
+      const attempt = retry => {
+        subscription = forward(operation).subscribe({
+          next: result => {
+            if (retry && R.any(authenticationError, R.propOr([], 'errors', result))) {
+              failed = result;
+            } else {
+              observer.next(result);
+            }
+          },
+          error: error => observer.error(error),
+          complete: () => {
+            if (!failed) {
+              observer.complete();
+              return;
+            }
+            const result = failed;
+            failed = null;
+            renew().then(renewed => {
+              if (closed) {
+                return;
+              }
+              if (renewed) {
+                attempt(false);
+              } else {
+                observer.next(result);
+                observer.complete();
+              }
+            });
+          }
+        });
+      };
+      attempt(true);
+      return () => {
+        closed = true;
+        if (subscription) {
+          subscription.unsubscribe();
+        }
+      };
+    });
+  });
+
+  return {
+    link,
+    renewals: () => R.clone(renewals),
+    refresh: refreshToken => {
+      return apolloClient.mutate({
+        mutation: REFRESH_TOKEN_MUTATION,
+        variables: {refreshToken},
+        fetchPolicy: 'no-cache',
+        context: {skipTokenRefresh: true}
+      });
+    }
+  };
+};
+
+/**
+ * Returns the token refresh of the apolloClient, adding its link to the front of the client's links the first time
+ * @param {Object} apolloClient The ApolloClient
+ * @param {Object} [config] See createTokenRefresh
+ * @returns {Object} The token refresh. See createTokenRefresh
+ */
+export const tokenRefreshForApolloClient = (apolloClient, config) => {
+  if (!tokenRefreshes.has(apolloClient)) {
+    const tokenRefresh = createTokenRefresh(apolloClient, config);
+    prependLinksToApolloClient(apolloClient, [tokenRefresh.link]);
+    tokenRefreshes.set(apolloClient, tokenRefresh);
+  }
+  return tokenRefreshes.get(apolloClient);
+};
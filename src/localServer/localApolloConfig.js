@@ -0,0 +1,97 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import T from 'folktale/concurrency/task';
+import {composeWithChain, mapToNamedResponseAndInputs, reqStrPathThrowing} from '@rescapes/ramda';
+import {
+  currentUserQueryContainer,
+  tokenAuthMutationContainer,
+  tokenAuthOutputParams,
+  userOutputParams
+} from '@rescapes/apollo';
+import {localSchema} from './localSchema.js';
+import {createLocalBackend} from './localBackend.js';
+import {remoteConfig} from '../remoteConfig.js';
+import {mockApolloClient} from '../componentTestHelpers.js';
+
+const {of} = T;
+
+/**
+ * @fileoverview Apollo configuration for running container tests against the in-process local schema
+ * instead of the server at localhost:8008. Use localTestAuthTask and localTestNoAuthTask in place of
+ * testAuthTask and testNoAuthTask of @rescapes/place in an apolloConfigContainer
+ */
+
+// Shared by all clients that aren't given a backend, so that data persists between tests like a real server
+export const defaultLocalBackend = createLocalBackend();
+
+/**
+ * Creates an ApolloClient whose requests are resolved by the local schema. Each client gets its own session,
+ * which holds its token cookies
+ * @param {Object} [config]
+ * @param {Object} [config.backend] The local backend. Defaults to defaultLocalBackend
+ * @param {Object} [config.session] The session to use. Defaults to a new session of the backend
+ * @param {Object} [config.typePolicies] Cache typePolicies
+ * @returns {Object} The ApolloClient
+ */
+export const localApolloClient = ({backend = defaultLocalBackend, session, typePolicies = {}} = {}) => {
+  const clientSession = session || backend.createSession();
+  return mockApolloClient({
+    schema: localSchema,
+    // Like the real server, the backend resolves every field. Generated data would hide what it doesn't return
+    mockGenerator: false,
+    typePolicies,
+    // A function so that each request sees the current backend state
+    context: () => ({backend, session: clientSession})
+  });
+};
+
+/**
+ * Resolves to an unauthenticated apolloConfig backed by the local schema
+ * @param {Object} [config] See localApolloClient
+ * @returns {Task<Object>} Resolves to {schema, apolloClient}
+ */
+export const localTestNoAuthTask = (config = {}) => {
+  return of({schema: localSchema, apolloClient: localApolloClient(config)});
+};
+
+/**
+ * Resolves to an apolloConfig backed by the local schema that is authenticated as the test user of
+ * remoteConfig.settings.testAuthorization. Like testAuthTask, the token and current user are in the cache
+ * afterward so that cache-only containers such as queryLocalTokenAuthContainer find them
+ * @param {Object} [config] See localApolloClient
+ * @param {Object} [config.testAuthorization] Overrides the {username, password} to authenticate with
+ * @returns {Task<Object>} Resolves to {schema, apolloClient}
+ */
+export const localTestAuthTask = ({testAuthorization, ...config} = {}) => {
+  return composeWithChain([
+    ({apolloClient}) => {
+      return of({schema: localSchema, apolloClient});
+    },
+    mapToNamedResponseAndInputs('userResponse',
+      ({apolloClient}) => {
+        return currentUserQueryContainer({apolloClient}, userOutputParams, {});
+      }
+    ),
+    mapToNamedResponseAndInputs('tokenAuthResponse',
+      ({apolloClient, authorization}) => {
+        return tokenAuthMutationContainer(
+          {apolloClient},
+          {outputParams: tokenAuthOutputParams},
+          R.pick(['username', 'password'], authorization)
+        );
+      }
+    )
+  ])({
+    apolloClient: localApolloClient(config),
+    authorization: testAuthorization || reqStrPathThrowing('settings.testAuthorization', remoteConfig)
+  });
+};
@@ -0,0 +1,358 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import {remoteConfig} from '../remoteConfig.js';
+
+/**
+ * @fileoverview A stateful, in-memory stand-in for the GraphQL server at remoteConfig.settings.api.uri.
+ * It stores users, regions, projects and userStates and implements the cookie based JWT authentication
+ * of the real server. The resolvers in localSchema.js delegate to an instance of this backend that they
+ * find in the resolver context. Users' isStaff and isSuperuser grant roles: only staff update regions and only
+ * superusers read or save the userStates of other users
+ */
+
+// The collections that the backend stores. Each is keyed by id
+export const LOCAL_BACKEND_COLLECTIONS = ['users', 'regions', 'projects', 'userStates'];
+
+// Matches the graphql_jwt defaults of the real server, in seconds
+const TOKEN_LIFETIME = 5 * 60;
+const REFRESH_TOKEN_LIFETIME = 7 * 24 * 60 * 60;
+
+const PERMISSION_DENIED = 'You do not have permission to perform this action';
+// Starts the error of an update whose versionNumber isn't the stored one
+export const VERSION_CONFLICT = 'Version conflict';
+
+/**
+ * The users that every local backend starts with. The test user matches remoteConfig.settings.testAuthorization
+ * and is staff, so that it may run every mutation of the sample containers
+ * @type {[Object]}
+ */
+export const defaultLocalUsers = [
+  R.merge(
+    {
+      id: 1,
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      isStaff: true,
+      isSuperuser: false,
+      isActive: true
+    },
+    R.pick(['username', 'password'], remoteConfig.settings.testAuthorization)
+  )
+];
+
+/**
+ * Tests whether an instance matches a filter in the style of the server's django-filter arguments.
+ * Keys ending in In, Contains, Icontains and Startswith are treated as lookups on the field without the suffix.
+ * Object values, such as {user: {id: 1}}, match the nested instance. Nil filter values are ignored
+ * @param {Object} filter The filter arguments of a query
+ * @param {Object} instance The stored instance
+ * @returns {Boolean} True if the instance matches every filter argument
+ */
+export const instanceMatchesFilter = (filter, instance) => {
+  return R.all(
+    ([key, value]) => {
+      if (R.isNil(value)) {
+        return true;
+      }
+      const [, field, lookup] = R.match(/^(.+?)(In|Icontains|Contains|Startswith)?$/, key);
+      const instanceValue = R.propOr(null, field, instance || {});
+      return R.cond([
+        [R.equals('In'), () => R.includes(instanceValue, value)],
+        [R.equals('Contains'), () => R.includes(value, instanceValue || '')],
+        [R.equals('Icontains'), () => R.includes(R.toLower(value), R.toLower(instanceValue || ''))],
+        [R.equals('Startswith'), () => R.startsWith(value, instanceValue || '')],
+        [() => R.is(Object, value) && !Array.isArray(value), () => instanceMatchesFilter(value, instanceValue)],
+        [R.T, () => R.equals(value, instanceValue)]
+      ])(lookup);
+    },
+    R.toPairs(filter || {})
+  );
+};
+
+/**
+ * Creates a clock for createLocalBackend that only moves when advanced, so tests can expire tokens mid-session
+ * @param {Date} [start] The starting time. Defaults to now
+ * @returns {Function} Nullary function returning the current Date. Its advance property is unary, expecting
+ * milliseconds to move the clock forward, and returns the new Date
+ */
+export const createControllableClock = (start = new Date()) => {
+  let now = start.getTime();
+  const clock = () => new Date(now);
+  clock.advance = milliseconds => {
+    now = now + milliseconds;
+    return clock();
+  };
+  return clock;
+};
+
+/**
+ * Creates an in-memory backend. Each backend is independent, so tests that need isolation create their own
+ * @param {Object} [config]
+ * @param {Function} [config.clock] Unary function returning the current Date. Defaults to the system clock.
+ * Supply a controllable clock to test token expiry
+ * @param {[Object]} [config.users] The users that can authenticate, each with a password. Defaults to defaultLocalUsers
+ * @param {[Object]} [config.regions] Initial regions
+ * @param {[Object]} [config.projects] Initial projects
+ * @param {[Object]} [config.userStates] Initial userStates
+ * @param {Number} [config.tokenLifetime] Seconds until a token expires. Defaults to 300
+ * @param {Number} [config.refreshTokenLifetime] Seconds until a refresh token expires. Defaults to 7 days
+ * @returns {Object} The backend
+ */
+export const createLocalBackend = (
+  {
+    clock = () => new Date(),
+    users = defaultLocalUsers,
+    regions = [],
+    projects = [],
+    userStates = [],
+    tokenLifetime = TOKEN_LIFETIME,
+    refreshTokenLifetime = REFRESH_TOKEN_LIFETIME
+  } = {}) => {
+
+  // Stored instances by collection name and id
+  const store = R.map(
+    instances => R.indexBy(R.compose(R.toString, R.prop('id')), instances),
+    {users, regions, projects, userStates}
+  );
+  // Issued tokens and refresh tokens, keyed by token
+  const tokens = {};
+  const refreshTokens = {};
+  let lastTimestamp = 0;
+  let tokenCount = 0;
+
+  const nowInSeconds = () => Math.floor(clock().getTime() / 1000);
+
+  // Timestamps are strictly increasing so that mutating twice within a millisecond still changes updatedAt
+  const timestamp = () => {
+    lastTimestamp = Math.max(clock().getTime(), lastTimestamp + 1);
+    return new Date(lastTimestamp).toISOString();
+  };
+
+  const nextId = collection => {
+    return R.reduce(R.max, 0, R.map(R.prop('id'), R.values(store[collection]))) + 1;
+  };
+
+  const get = (collection, id) => {
+    return R.propOr(null, R.toString(id), store[collection]);
+  };
+
+  const query = (collection, filter) => {
+    return R.compose(
+      R.sortBy(R.prop('id')),
+      R.filter(instance => instanceMatchesFilter(filter, instance)),
+      R.values
+    )(store[collection]);
+  };
+
+  const issueToken = user => {
+    const origIat = nowInSeconds();
+    tokenCount = tokenCount + 1;
+    const payload = {username: user.username, exp: origIat + tokenLifetime, origIat};
+    const token = `local.${user.id}.${tokenCount}`;
+    const refreshToken = `localRefresh.${user.id}.${tokenCount}`;
+    tokens[token] = {userId: user.id, payload};
+    refreshTokens[refreshToken] = {userId: user.id, exp: origIat + refreshTokenLifetime, revoked: false};
+    return {token, refreshToken, payload, refreshExpiresIn: origIat + refreshTokenLifetime};
+  };
+
+  const backend = {
+    clock,
+
+    /**
+     * Creates the cookie jar of a single client. Token cookies are stored here
+     * @returns {Object} {token: null, refreshToken: null}
+     */
+    createSession: () => ({token: null, refreshToken: null}),
+
+    get,
+
+    query,
+
+    /**
+     * Returns a page of the filtered instances. Pages start at 1
+     */
+    queryPaginated: (collection, {page = 1, pageSize = 10, ...filter}) => {
+      const instances = query(collection, filter);
+      const pages = Math.max(1, Math.ceil(R.length(instances) / pageSize));
+      return {
+        page,
+        pages,
+        pageSize,
+        hasNext: page < pages,
+        hasPrev: page > 1,
+        objects: R.slice((page - 1) * pageSize, page * pageSize, instances)
+      };
+    },
+
+    /**
+     * Creates or updates an instance. Updates merge the given data into the stored instance and
+     * increment its versionNumber
+     * @param {String} collection The collection name
+     * @param {Object} data The instance data. If data.id is given the instance is updated. If data.versionNumber
+     * is also given it must be the stored versionNumber, otherwise the update is rejected with a VERSION_CONFLICT
+     * error instead of overwriting the newer instance
+     * @returns {Object} The saved instance
+     */
+    save: (collection, data) => {
+      const existing = R.has('id', data) && !R.isNil(data.id) ? get(collection, data.id) : null;
+      if (R.has('id', data) && !R.isNil(data.id) && !existing) {
+        throw new Error(`${collection} with id ${data.id} does not exist`);
+      }
+      if (existing && !R.isNil(R.prop('versionNumber', data)) && !R.equals(data.versionNumber, existing.versionNumber)) {
+        throw new Error(
+          `${VERSION_CONFLICT}: ${collection} with id ${data.id} is at version ${existing.versionNumber}, not ${data.versionNumber}`
+        );
+      }
+      if (!existing && R.has('key', data) && R.length(query(collection, {key: data.key}))) {
+        throw new Error(`duplicate key value violates unique constraint: ${collection} with key ${data.key} already exists`);
+      }
+      const now = timestamp();
+      const instance = existing ?
+        R.mergeDeepRight(existing, R.merge(data, {updatedAt: now, versionNumber: existing.versionNumber + 1})) :
+        R.merge(
+          {deleted: null},
+          R.merge(data, {id: nextId(collection), createdAt: now, updatedAt: now, versionNumber: 1})
+        );
+      store[collection] = R.assoc(R.toString(instance.id), instance, store[collection]);
+      return instance;
+    },
+
+    /**
+     * Removes an instance from the store. Used by tests to simulate other writers
+     */
+    remove: (collection, id) => {
+      store[collection] = R.dissoc(R.toString(id), store[collection]);
+    },
+
+    /**
+     * Returns the user authenticated by the session's token cookie or null if the token is missing or expired
+     * @param {Object} session The client session
+     * @returns {Object} The user or null
+     */
+    authenticatedUser: session => {
+      const issued = R.propOr(null, R.propOr('', 'token', session), tokens);
+      if (!issued || issued.payload.exp <= nowInSeconds()) {
+        return null;
+      }
+      return get('users', issued.userId);
+    },
+
+    /**
+     * Throws a permission error unless the session is authenticated
+     * @param {Object} session The client session
+     * @returns {Object} The authenticated user
+     */
+    requireUser: session => {
+      const user = backend.authenticatedUser(session);
+      if (!user) {
+        throw new Error(PERMISSION_DENIED);
+      }
+      return user;
+    },
+
+    /**
+     * Throws a permission error unless the session is authenticated as a staff user or a superuser
+     * @param {Object} session The client session
+     * @returns {Object} The authenticated user
+     */
+    requireStaff: session => {
+      const user = backend.requireUser(session);
+      if (!user.isStaff && !user.isSuperuser) {
+        throw new Error(PERMISSION_DENIED);
+      }
+      return user;
+    },
+
+    /**
+     * Throws a permission error unless the session is authenticated as the owner of an instance or a superuser
+     * @param {Object} session The client session
+     * @param {Object} owner The {id} of the user that the instance belongs to. Only superusers may save instances
+     * without an owner
+     * @returns {Object} The authenticated user
+     */
+    requireOwner: (session, owner) => {
+      const user = backend.requireUser(session);
+      if (!user.isSuperuser && !R.equals(R.propOr(null, 'id', owner || {}), user.id)) {
+        throw new Error(PERMISSION_DENIED);
+      }
+      return user;
+    },
+
+    /**
+     * Authenticates with username and password and sets the token and refresh token cookies of the session
+     * @returns {Object} {token, refreshToken, payload, refreshExpiresIn}
+     */
+    tokenAuth: (session, {username, password}) => {
+      const user = R.find(R.whereEq({username, password}), R.values(store.users));
+      if (!user) {
+        throw new Error('Please enter valid credentials');
+      }
+      store.users = R.assoc(R.toString(user.id), R.merge(user, {lastLogin: timestamp()}), store.users);
+      const issued = issueToken(user);
+      session.token = issued.token;
+      session.refreshToken = issued.refreshToken;
+      return issued;
+    },
+
+    /**
+     * Returns the payload of a valid token
+     */
+    verifyToken: (session, {token}) => {
+      const issued = R.propOr(null, token || R.propOr('', 'token', session), tokens);
+      if (!issued) {
+        throw new Error('Error decoding signature');
+      }
+      if (issued.payload.exp <= nowInSeconds()) {
+        throw new Error('Signature has expired');
+      }
+      return {payload: issued.payload};
+    },
+
+    /**
+     * Issues a new token and refresh token from the given refresh token or the session's refresh token cookie.
+     * The refresh token is rotated: the one used is revoked, so reusing it fails like a revoked one
+     */
+    refreshToken: (session, {refreshToken}) => {
+      const key = refreshToken || R.propOr('', 'refreshToken', session);
+      const existing = R.propOr(null, key, refreshTokens);
+      if (!existing || existing.revoked) {
+        throw new Error('Invalid refresh token');
+      }
+      if (existing.exp <= nowInSeconds()) {
+        throw new Error('Refresh token is expired');
+      }
+      refreshTokens[key] = R.merge(existing, {revoked: true});
+      const issued = issueToken(get('users', existing.userId));
+      session.token = issued.token;
+      session.refreshToken = issued.refreshToken;
+      return issued;
+    },
+
+    deleteTokenCookie: session => {
+      session.token = null;
+      return {deleted: true};
+    },
+
+    /**
+     * Deletes the refresh token cookie and revokes the refresh token so it can't be used again
+     */
+    deleteRefreshTokenCookie: session => {
+      if (session.refreshToken && R.has(session.refreshToken, refreshTokens)) {
+        refreshTokens[session.refreshToken] = R.merge(refreshTokens[session.refreshToken], {revoked: true});
+      }
+      session.refreshToken = null;
+      return {deleted: true};
+    }
+  };
+  return backend;
+};
@@ -0,0 +1,327 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import graphqlTools from 'graphql-tools';
+import graphql from 'graphql';
+
+const {makeExecutableSchema} = graphqlTools;
+const {GraphQLScalarType, Kind, valueFromASTUntyped} = graphql;
+
+/**
+ * @fileoverview The subset of the server's schema that the sample containers use: users, regions, projects,
+ * userStates and token authentication. The resolvers are stateless. They delegate to the backend and session
+ * in the resolver context, see localBackend.js and localApolloConfig.js
+ */
+
+export const localTypeDefs = `
+  scalar JSONString
+  scalar DateTime
+
+  type UserType {
+    id: Int!
+    username: String!
+    firstName: String
+    lastName: String
+    email: String
+    isStaff: Boolean
+    isSuperuser: Boolean
+    isActive: Boolean
+    dateJoined: DateTime
+    lastLogin: DateTime
+  }
+
+  type RegionType {
+    id: Int!
+    key: String
+    name: String
+    geojson: JSONString
+    data: JSONString
+    createdAt: DateTime
+    updatedAt: DateTime
+    deleted: DateTime
+    versionNumber: Int
+  }
+
+  type ProjectType {
+    id: Int!
+    key: String
+    name: String
+    geojson: JSONString
+    data: JSONString
+    region: RegionType
+    user: UserType
+    createdAt: DateTime
+    updatedAt: DateTime
+    deleted: DateTime
+    versionNumber: Int
+  }
+
+  type ActivityDataType {
+    isActive: Boolean
+  }
+
+  type UserRegionDataType {
+    region: RegionType
+    mapbox: JSONString
+    activity: ActivityDataType
+    userSearch: JSONString
+  }
+
+  type UserProjectDataType {
+    project: ProjectType
+    mapbox: JSONString
+    activity: ActivityDataType
+    userSearch: JSONString
+  }
+
+  type UserStateDataType {
+    userRegions: [UserRegionDataType]
+    userProjects: [UserProjectDataType]
+  }
+
+  type UserStateType {
+    id: Int!
+    user: UserType
+    data: UserStateDataType
+    createdAt: DateTime
+    updatedAt: DateTime
+    versionNumber: Int
+  }
+
+  type RegionPaginatedType {
+    page: Int
+    pages: Int
+    pageSize: Int
+    hasNext: Boolean
+    hasPrev: Boolean
+    objects: [RegionType]
+  }
+
+  type ProjectPaginatedType {
+    page: Int
+    pages: Int
+    pageSize: Int
+    hasNext: Boolean
+    hasPrev: Boolean
+    objects: [ProjectType]
+  }
+
+  input IdInputType {
+    id: Int
+  }
+
+  input RegionInputType {
+    id: Int
+    key: String
+    name: String
+    geojson: JSONString
+    data: JSONString
+    deleted: DateTime
+    versionNumber: Int
+  }
+
+  input ProjectInputType {
+    id: Int
+    key: String
+    name: String
+    geojson: JSONString
+    data: JSONString
+    region: IdInputType
+    user: IdInputType
+    deleted: DateTime
+    versionNumber: Int
+  }
+
+  input UserStateInputType {
+    id: Int
+    user: IdInputType
+    data: JSONString
+    versionNumber: Int
+  }
+
+  type ObtainJSONWebToken {
+    token: String
+    payload: JSONString
+    refreshExpiresIn: Int
+  }
+
+  type Verify {
+    payload: JSONString
+  }
+
+  type DeleteJSONWebTokenCookie {
+    deleted: Boolean
+  }
+
+  type RegionMutation {
+    region: RegionType
+  }
+
+  type ProjectMutation {
+    project: ProjectType
+  }
+
+  type UserStateMutation {
+    userState: UserStateType
+  }
+
+  type Query {
+    currentUser: UserType
+    regions(
+      id: Int, key: String, name: String, idIn: [Int], keyIn: [String], keyContains: String, nameContains: String,
+      deleted: DateTime
+    ): [RegionType]
+    regionsPaginated(
+      page: Int, pageSize: Int,
+      id: Int, key: String, name: String, idIn: [Int], keyIn: [String], keyContains: String, nameContains: String,
+      deleted: DateTime
+    ): RegionPaginatedType
+    projects(
+      id: Int, key: String, name: String, idIn: [Int], keyIn: [String], keyContains: String, nameContains: String,
+      user: IdInputType, region: IdInputType, deleted: DateTime
+    ): [ProjectType]
+    projectsPaginated(
+      page: Int, pageSize: Int,
+      id: Int, key: String, name: String, idIn: [Int], keyIn: [String], keyContains: String, nameContains: String,
+      user: IdInputType, region: IdInputType, deleted: DateTime
+    ): ProjectPaginatedType
+    userStates(id: Int, user: IdInputType): [UserStateType]
+  }
+
+  type Mutation {
+    tokenAuth(username: String!, password: String!): ObtainJSONWebToken
+    verifyToken(token: String): Verify
+    refreshToken(refreshToken: String): ObtainJSONWebToken
+    deleteTokenCookie: DeleteJSONWebTokenCookie
+    deleteRefreshTokenCookie: DeleteJSONWebTokenCookie
+    createRegion(regionData: RegionInputType!): RegionMutation
+    updateRegion(regionData: RegionInputType!): RegionMutation
+    createProject(projectData: ProjectInputType!): ProjectMutation
+    updateProject(projectData: ProjectInputType!): ProjectMutation
+    createUserState(userStateData: UserStateInputType!): UserStateMutation
+    updateUserState(userStateData: UserStateInputType!): UserStateMutation
+  }
+
+  # Events are published by the test harness's in-memory pub/sub, see pubSubLinks.js
+  type Subscription {
+    regionUpdated(id: Int): RegionType
+  }
+`;
+
+/**
+ * The server serializes json fields as strings. We accept either objects or strings from the client and
+ * always return objects, which is what the client ends up with after @rescapes/apollo parses them
+ */
+const JSONString = new GraphQLScalarType({
+  name: 'JSONString',
+  serialize: value => R.is(String, value) ? JSON.parse(value) : value,
+  parseValue: value => R.is(String, value) ? JSON.parse(value) : value,
+  parseLiteral: ast => ast.kind === Kind.STRING ? JSON.parse(ast.value) : valueFromASTUntyped(ast)
+});
+
+const DateTime = new GraphQLScalarType({
+  name: 'DateTime',
+  serialize: value => R.is(Date, value) ? value.toISOString() : value,
+  parseValue: R.identity,
+  parseLiteral: ast => ast.kind === Kind.STRING ? ast.value : null
+});
+
+// Resolves a stored {id} reference to the full instance of the collection
+const resolveReference = (collection, field) => (parent, args, {backend}) => {
+  const reference = R.propOr(null, field, parent);
+  return reference ? backend.get(collection, reference.id) || reference : null;
+};
+
+// Resolves a collection query for an authenticated user
+const resolveCollection = collection => (parent, args, {backend, session}) => {
+  backend.requireUser(session);
+  return backend.query(collection, args);
+};
+
+const resolvePaginated = collection => (parent, args, {backend, session}) => {
+  backend.requireUser(session);
+  return backend.queryPaginated(collection, args);
+};
+
+// Resolves a query of instances that belong to a user. Only superusers see the instances of other users
+const resolveOwnedCollection = collection => (parent, args, {backend, session}) => {
+  const user = backend.requireUser(session);
+  return R.filter(
+    instance => user.isSuperuser || R.equals(user.id, R.pathOr(null, ['user', 'id'], instance)),
+    backend.query(collection, args)
+  );
+};
+
+// Authorizes a save of any authenticated user
+const requireUser = (backend, session) => backend.requireUser(session);
+
+// Authorizes a save of a staff user
+const requireStaff = (backend, session) => backend.requireStaff(session);
+
+// Authorizes a save of the user that the stored instance, or else the new one, belongs to
+const requireOwner = (backend, session, collection, data) => {
+  const existing = R.isNil(R.propOr(null, 'id', data)) ? null : backend.get(collection, data.id);
+  return backend.requireOwner(session, R.propOr(R.propOr(null, 'user', data), 'user', existing || {}));
+};
+
+// Resolves a create or update mutation that authorize permits, returning {[responseKey]: instance}
+const resolveSave = (collection, dataArg, responseKey, authorize = requireUser) => (parent, args, {backend, session}) => {
+  authorize(backend, session, collection, R.prop(dataArg, args));
+  return {[responseKey]: backend.save(collection, R.prop(dataArg, args))};
+};
+
+export const localResolvers = {
+  JSONString,
+  DateTime,
+  Query: {
+    currentUser: (parent, args, {backend, session}) => backend.authenticatedUser(session),
+    regions: resolveCollection('regions'),
+    regionsPaginated: resolvePaginated('regions'),
+    projects: resolveCollection('projects'),
+    projectsPaginated: resolvePaginated('projects'),
+    userStates: resolveOwnedCollection('userStates')
+  },
+  Mutation: {
+    tokenAuth: (parent, args, {backend, session}) => backend.tokenAuth(session, args),
+    verifyToken: (parent, args, {backend, session}) => backend.verifyToken(session, args),
+    refreshToken: (parent, args, {backend, session}) => backend.refreshToken(session, args),
+    deleteTokenCookie: (parent, args, {backend, session}) => backend.deleteTokenCookie(session),
+    deleteRefreshTokenCookie: (parent, args, {backend, session}) => backend.deleteRefreshTokenCookie(session),
+    createRegion: resolveSave('regions', 'regionData', 'region'),
+    updateRegion: resolveSave('regions', 'regionData', 'region', requireStaff),
+    createProject: resolveSave('projects', 'projectData', 'project'),
+    updateProject: resolveSave('projects', 'projectData', 'project'),
+    createUserState: resolveSave('userStates', 'userStateData', 'userState', requireOwner),
+    updateUserState: resolveSave('userStates', 'userStateData', 'userState', requireOwner)
+  },
+  ProjectType: {
+    region: resolveReference('regions', 'region'),
+    user: resolveReference('users', 'user')
+  },
+  UserStateType: {
+    user: resolveReference('users', 'user')
+  },
+  UserRegionDataType: {
+    region: resolveReference('regions', 'region')
+  },
+  UserProjectDataType: {
+    project: resolveReference('projects', 'project')
+  }
+};
+
+/**
+ * The executable local schema. Resolvers expect {backend, session} in the context
+ * @type {GraphQLSchema}
+ */
+export const localSchema = makeExecutableSchema({
+  typeDefs: localTypeDefs,
+  resolvers: localResolvers
+});
@@ -0,0 +1,98 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import graphql from 'graphql';
+
+const {isAbstractType, isEnumType} = graphql;
+
+/**
+ * @fileoverview Deterministic fake data for schema types that have no resolvers. mockApolloClient generates its
+ * mocks with these unless its mockGenerator config is false, and passes them to graphql-tools' addMocksToSchema
+ */
+
+// Fields of String type with these suffixes are treated as dates
+const DATE_FIELD = /(At|Date|Joined|Login|deleted)$/;
+
+/**
+ * Returns a seeded pseudo random number generator (mulberry32)
+ * @param {Number} seed Integer seed. The same seed always produces the same sequence
+ * @returns {Function} Nullary function returning a number in [0, 1)
+ */
+export const seededRandom = seed => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Creates mocks for every scalar, enum and abstract type of the schema that produce the same values for the same
+ * seed and sequence of requests
+ * @param {Object} schema The GraphQLSchema
+ * @param {Object} [config]
+ * @param {Number} [config.seed] Default 1. The seed of the generator
+ * @param {Date|String} [config.now] If given, every date is this date. Otherwise dates are seeded
+ * @param {Object} [config.overrides] Keyed by type name and valued by an object of field values.
+ * Values can be functions, which are called as resolvers with (args, context, info).
+ * Example: {RegionType: {name: 'Earth'}}. Scalar type names can be overridden with a function, e.g. {Int: () => 1}
+ * @returns {Object} Mocks keyed by type name
+ */
+export const createSchemaMocks = (schema, {seed = 1, now, overrides = {}} = {}) => {
+  const random = seededRandom(seed);
+  const integer = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const pick = list => list[integer(0, R.length(list) - 1)];
+  // Seeded dates fall within 2020
+  const date = () => {
+    return (now ? new Date(now) : new Date(Date.UTC(2020, 0, 1) + integer(0, 365 * 24 * 60 * 60) * 1000)).toISOString();
+  };
+  const fieldName = info => R.propOr('value', 'fieldName', info || {});
+
+  const scalarMocks = {
+    Int: () => integer(1, 1000),
+    Float: () => integer(0, 100000) / 100,
+    Boolean: () => random() < 0.5,
+    ID: () => `${integer(1, 100000)}`,
+    String: (root, args, context, info) => {
+      const name = fieldName(info);
+      return R.test(DATE_FIELD, name) ? date() : `${name}${integer(1, 1000)}`;
+    },
+    DateTime: date,
+    Date: () => R.take(10, date()),
+    // Like the server, JSONString values are serialized JSON
+    JSONString: () => JSON.stringify({})
+  };
+
+  // Enums and abstract types otherwise pick with Math.random
+  const typeMocks = R.reduce(
+    (mocks, type) => {
+      if (isEnumType(type)) {
+        return R.assoc(type.name, () => pick(R.map(R.prop('value'), type.getValues())), mocks);
+      }
+      if (isAbstractType(type)) {
+        return R.assoc(type.name, () => ({__typename: pick(R.map(R.prop('name'), schema.getPossibleTypes(type)))}), mocks);
+      }
+      return mocks;
+    },
+    {},
+    R.reject(type => R.startsWith('__', type.name), R.values(schema.getTypeMap()))
+  );
+
+  const overrideMocks = R.map(
+    fields => R.is(Function, fields) ? fields : () => fields,
+    overrides
+  );
+
+  return R.mergeAll([scalarMocks, typeMocks, overrideMocks]);
+};
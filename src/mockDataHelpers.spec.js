@@ -0,0 +1,46 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the 'Software'), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED 'AS IS', WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import graphqlTools from 'graphql-tools';
+import graphql from 'graphql';
+import {createSchemaMocks, seededRandom} from './mockDataHelpers.js';
+import {localTypeDefs} from './localServer/localSchema.js';
+
+const {addMocksToSchema, makeExecutableSchema} = graphqlTools;
+const schema = makeExecutableSchema({typeDefs: localTypeDefs});
+const query = '{regions {id key name updatedAt data} currentUser {username dateJoined}}';
+
+const mockedQuery = config => {
+  return graphql.graphql(addMocksToSchema({schema, mocks: createSchemaMocks(schema, config)}), query);
+};
+
+describe('mockDataHelpers', () => {
+
+  test('seededRandom', () => {
+    expect(seededRandom(7)()).toEqual(seededRandom(7)());
+    expect(seededRandom(7)()).not.toEqual(seededRandom(8)());
+  });
+
+  test('createSchemaMocks', async () => {
+    const {data} = await mockedQuery({seed: 3});
+    expect(data).toEqual((await mockedQuery({seed: 3})).data);
+    expect(data).not.toEqual((await mockedQuery({seed: 4})).data);
+    // JSONString values are serialized JSON
+    expect(JSON.parse(data.regions[0].data)).toEqual({});
+
+    const {data: overridden} = await mockedQuery({
+      now: '2021-04-13T00:00:00.000Z',
+      overrides: {RegionType: {name: 'Earth'}}
+    });
+    expect(overridden.regions[0].name).toEqual('Earth');
+    expect(overridden.regions[0].updatedAt).toEqual('2021-04-13T00:00:00.000Z');
+    expect(overridden.currentUser.dateJoined).toEqual('2021-04-13T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import graphql from 'graphql';
+
+const {getNullableType, isEnumType, isInputObjectType, isListType, isNonNullType, isScalarType, typeFromAST} = graphql;
+
+/**
+ * @fileoverview Invalid variants of a mutation's variables derived from the input types of its variables in the
+ * schema. Where errorMaker hand-crafts one bad input per mutation, these cover every field of the input
+ */
+
+/**
+ * The kinds of variants:
+ *  missingRequired: A non-null variable or field is omitted
+ *  wrongScalarType: A scalar is a value of another type
+ *  outOfRangeId: An id is negative, zero or beyond the 32 bit range of GraphQL Int
+ *  oversizedString: A String is very long
+ *  unexpectedEnum: An enum is a value that the enum doesn't have
+ * @type {[String]}
+ */
+export const FUZZ_KINDS = ['missingRequired', 'wrongScalarType', 'outOfRangeId', 'oversizedString', 'unexpectedEnum'];
+
+// A value of the wrong type for each built-in scalar. Custom scalars get a number in place of a string and
+// a string otherwise
+const WRONG_SCALAR_VALUES = {Int: 'notAnInt', Float: 'notAFloat', String: 12345, Boolean: 'notABoolean', ID: {id: 1}};
+const OUT_OF_RANGE_IDS = [-1, 0, Math.pow(2, 31)];
+const UNEXPECTED_ENUM_VALUE = 'UNEXPECTED_ENUM_VALUE';
+
+// Fields named id or ending in Id of Int or ID type are ids
+const isIdField = (key, scalarName) => {
+  return R.is(String, key) && R.test(/^id$|Id$/, key) && R.includes(scalarName, ['Int', 'ID']);
+};
+
+/**
+ * Returns the variants of the value at path of variables, recursing into input objects and the first item of lists
+ * @param {Object} type The GraphQL input type of the value
+ * @param {[String|Number]} path The path of the value in variables
+ * @param {Object} variables The valid variables
+ * @param {Object} options {kinds, oversizedLength}. See mutationInputVariants
+ * @returns {[Object]} The variants. See mutationInputVariants
+ * @private
+ */
+const _typeVariants = (type, path, variables, {kinds, oversizedLength}) => {
+  const key = R.last(path);
+  const current = R.path(path, variables);
+  const nullableType = getNullableType(type);
+  const variant = (kind, value) => {
+    return R.includes(kind, kinds) ?
+      [{kind, path: R.join('.', path), value, variables: R.assocPath(path, value, variables)}] :
+      [];
+  };
+  // Omitting a value that the valid variables don't have wouldn't change them
+  const missing = isNonNullType(type) && !R.isNil(current) && R.includes('missingRequired', kinds) ?
+    [{kind: 'missingRequired', path: R.join('.', path), value: undefined, variables: R.dissocPath(path, variables)}] :
+    [];
+
+  if (isListType(nullableType)) {
+    return R.concat(
+      missing,
+      R.is(Array, current) && R.length(current) ?
+        _typeVariants(nullableType.ofType, R.append(0, path), variables, {kinds, oversizedLength}) :
+        []
+    );
+  }
+  if (isInputObjectType(nullableType)) {
+    // Only the fields of input objects that the valid variables have, or must have, are varied
+    return R.concat(
+      missing,
+      R.is(Object, current) || isNonNullType(type) ?
+        R.chain(
+          field => _typeVariants(field.type, R.append(field.name, path), variables, {kinds, oversizedLength}),
+          R.filter(
+            field => isNonNullType(field.type) || R.has(field.name, current || {}),
+            R.values(nullableType.getFields())
+          )
+        ) :
+        []
+    );
+  }
+  if (isEnumType(nullableType)) {
+    return R.concat(missing, variant('unexpectedEnum', UNEXPECTED_ENUM_VALUE));
+  }
+  if (isScalarType(nullableType)) {
+    const scalarName = nullableType.name;
+    return R.unnest([
+      missing,
+      variant('wrongScalarType', R.propOr(R.is(String, current) ? 12345 : `notA${scalarName}`, scalarName, WRONG_SCALAR_VALUES)),
+      isIdField(key, scalarName) ? R.chain(id => variant('outOfRangeId', id), OUT_OF_RANGE_IDS) : [],
+      R.equals('String', scalarName) ? variant('oversizedString', R.join('', R.repeat('x', oversizedLength))) : []
+    ]);
+  }
+  return missing;
+};
+
+/**
+ * Derives invalid variants of a mutation's variables from the input types of its variable definitions in the schema
+ * @param {Object} schema The GraphQLSchema of the server
+ * @param {Object} mutation The mutation document, such as the mutation option of apolloClient.mutate
+ * @param {Object} variables Valid variables of the mutation, which each variant changes in one place
+ * @param {Object} [options]
+ * @param {[String]} [options.kinds] Default FUZZ_KINDS. The kinds of variants to derive
+ * @param {Number} [options.oversizedLength] Default 10000. The length of oversized strings
+ * @returns {[Object]} The variants, each {name, kind, path, value, variables}, where path is the dot-separated path
+ * of the changed value in variables, value is the value there, undefined if omitted, and name is unique, such as
+ * 'outOfRangeId regionData.id=-1'. Variables whose type isn't in the schema have no variants
+ */
+export const mutationInputVariants = (schema, mutation, variables, {kinds = FUZZ_KINDS, oversizedLength = 10000} = {}) => {
+  const variableDefinitions = R.compose(
+    R.chain(R.propOr([], 'variableDefinitions')),
+    R.filter(R.propEq('kind', 'OperationDefinition'))
+  )(R.propOr([], 'definitions', mutation));
+  return R.compose(
+    R.map(variant => {
+      // Out of range ids vary the same path more than once
+      const value = R.equals('outOfRangeId', variant.kind) ? `=${variant.value}` : '';
+      return R.merge({name: `${variant.kind} ${variant.path}${value}`}, variant);
+    }),
+    R.chain(definition => {
+      const type = typeFromAST(schema, definition.type);
+      return type ?
+        _typeVariants(type, [definition.variable.name.value], variables, {kinds, oversizedLength}) :
+        [];
+    })
+  )(variableDefinitions);
+};
@@ -0,0 +1,80 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the 'Software'), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED 'AS IS', WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import graphql from 'graphql';
+import {mutationInputVariants} from './mutationFuzzHelpers.js';
+
+const {buildSchema, parse} = graphql;
+
+const schema = buildSchema(`
+  enum Status { ACTIVE INACTIVE }
+  input IdInputType { id: Int }
+  input RegionInputType { id: Int! name: String status: Status region: IdInputType }
+  type RegionType { id: Int name: String }
+  type Query { region: RegionType }
+  type Mutation { updateRegion(regionData: RegionInputType!): RegionType }
+`);
+const mutation = parse(`
+  mutation updateRegion($regionData: RegionInputType!) { updateRegion(regionData: $regionData) { id } }
+`);
+const variables = {regionData: {id: 1, name: 'Earth', status: 'ACTIVE'}};
+
+describe('mutationFuzzHelpers', () => {
+
+  test('mutationInputVariants', () => {
+    const variants = mutationInputVariants(schema, mutation, variables, {oversizedLength: 3});
+    expect(R.map(R.prop('name'), variants)).toEqual([
+      'missingRequired regionData',
+      'missingRequired regionData.id',
+      'wrongScalarType regionData.id',
+      'outOfRangeId regionData.id=-1',
+      'outOfRangeId regionData.id=0',
+      'outOfRangeId regionData.id=2147483648',
+      'wrongScalarType regionData.name',
+      'oversizedString regionData.name',
+      'unexpectedEnum regionData.status'
+    ]);
+    expect(R.prop('variables', R.find(R.propEq('name', 'missingRequired regionData.id'), variants))).toEqual(
+      {regionData: {name: 'Earth', status: 'ACTIVE'}}
+    );
+    expect(R.prop('variables', R.find(R.propEq('name', 'oversizedString regionData.name'), variants))).toEqual(
+      {regionData: {id: 1, name: 'xxx', status: 'ACTIVE'}}
+    );
+  });
+
+  test('mutationInputVariants of absent fields', () => {
+    // name, status and region are absent and optional, so they aren't varied
+    const variants = mutationInputVariants(
+      schema,
+      mutation,
+      {regionData: {id: 1}},
+      {kinds: ['wrongScalarType', 'unexpectedEnum']}
+    );
+    expect(R.map(R.prop('name'), variants)).toEqual(['wrongScalarType regionData.id']);
+  });
+
+  test('mutationInputVariants of given kinds', () => {
+    const variants = mutationInputVariants(
+      schema,
+      mutation,
+      {regionData: {id: 1, region: {id: 2}}},
+      {kinds: ['outOfRangeId']}
+    );
+    expect(R.map(R.prop('name'), variants)).toEqual([
+      'outOfRangeId regionData.id=-1',
+      'outOfRangeId regionData.id=0',
+      'outOfRangeId regionData.id=2147483648',
+      'outOfRangeId regionData.region.id=-1',
+      'outOfRangeId regionData.region.id=0',
+      'outOfRangeId regionData.region.id=2147483648'
+    ]);
+  });
+});
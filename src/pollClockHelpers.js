@@ -0,0 +1,133 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import * as AC from '@apollo/client';
+import {getOperationName} from '@apollo/client/utilities';
+import FakeTimers from '@sinonjs/fake-timers';
+import {operationMatches} from './links/linkHelpers.js';
+
+const {NetworkStatus} = AC;
+
+/**
+ * @fileoverview A fake clock for the polling of Apollo queries. The polling queries are created without their
+ * pollInterval so that Apollo schedules no timers of its own. Instead each polls on an interval of a
+ * @sinonjs/fake-timers clock that is never installed globally, so requests and the harness's waits keep real time
+ * while the test advances the polls one at a time
+ */
+
+/**
+ * Creates a poll clock
+ * @returns {Object} The clock:
+ *  install: Binary. Expects the apolloClient and optional pollIntervals, [{operationName, pollInterval}], that force
+ *  the pollInterval of the matching queries. Wraps the apolloClient's watchQuery to record the polling queries and
+ *  move their polling to the fake clock. The startPolling, stopPolling and setOptions of each polling query are
+ *  wrapped so that changes of the pollInterval reschedule its poll on the fake clock
+ *  observableQueries: Nullary. Returns the polling queries as {operationName, pollInterval, observableQuery}
+ *  advance: Unary. Expects milliseconds and ticks the fake clock, polling each query whose interval elapses as
+ *  Apollo would. Returns the number of polls
+ *  pending: Nullary. Returns the number of polls scheduled for queries that still have observers
+ *  uninstall: Nullary. Restores watchQuery and stops the polls
+ */
+export const createPollClock = () => {
+  const clock = FakeTimers.createClock();
+  // The polling queries, each {operationName, pollInterval, observableQuery, forced, timer}
+  let polls = [];
+  let restore = () => {};
+
+  // Stops the poll of the entry and, given a pollInterval, starts polling on it
+  const schedule = (entry, pollInterval) => {
+    if (entry.timer) {
+      clock.clearInterval(entry.timer);
+      entry.timer = null;
+    }
+    entry.pollInterval = pollInterval;
+    if (!pollInterval) {
+      return;
+    }
+    entry.timer = clock.setInterval(() => {
+      const {observableQuery} = entry;
+      // Like Apollo, a query without observers stops polling
+      if (!observableQuery.hasObservers()) {
+        schedule(entry, 0);
+        return;
+      }
+      entry.polled = entry.polled + 1;
+      observableQuery.reobserve(
+        {fetchPolicy: 'network-only', nextFetchPolicy: observableQuery.options.fetchPolicy || 'cache-first'},
+        NetworkStatus.poll
+      ).catch(() => {
+        // Failed polls are reported to the observers
+      });
+    }, pollInterval);
+  };
+
+  // Moves the polling of the observableQuery to the fake clock
+  const wrapObservableQuery = entry => {
+    const {observableQuery} = entry;
+    const setOptions = observableQuery.setOptions.bind(observableQuery);
+    observableQuery.startPolling = pollInterval => schedule(entry, entry.forced || pollInterval);
+    observableQuery.stopPolling = () => schedule(entry, 0);
+    observableQuery.setOptions = newOptions => {
+      const pollInterval = entry.forced || R.propOr(0, 'pollInterval', newOptions);
+      if (!R.equals(pollInterval, entry.pollInterval)) {
+        schedule(entry, pollInterval);
+      }
+      return setOptions(R.omit(['pollInterval'], newOptions));
+    };
+  };
+
+  return {
+    install: (apolloClient, pollIntervals = []) => {
+      const watchQuery = apolloClient.watchQuery;
+      apolloClient.watchQuery = options => {
+        const operationName = getOperationName(options.query);
+        const forced = R.find(
+          ({operationName: matcher}) => operationMatches({operationName: matcher}, {operationName}),
+          pollIntervals
+        );
+        const pollInterval = forced ? forced.pollInterval : R.prop('pollInterval', options);
+        if (!pollInterval) {
+          return watchQuery.call(apolloClient, options);
+        }
+        const observableQuery = watchQuery.call(apolloClient, R.omit(['pollInterval'], options));
+        const entry = {
+          operationName,
+          pollInterval: 0,
+          observableQuery,
+          forced: forced ? pollInterval : null,
+          timer: null,
+          polled: 0
+        };
+        wrapObservableQuery(entry);
+        schedule(entry, pollInterval);
+        polls = R.append(entry, polls);
+        return observableQuery;
+      };
+      restore = () => {
+        apolloClient.watchQuery = watchQuery;
+      };
+    },
+    observableQueries: () => R.map(R.pick(['operationName', 'pollInterval', 'observableQuery']), polls),
+    advance: milliseconds => {
+      const before = R.sum(R.map(R.prop('polled'), polls));
+      clock.tick(milliseconds);
+      return R.sum(R.map(R.prop('polled'), polls)) - before;
+    },
+    pending: () => {
+      return R.length(R.filter(({timer, observableQuery}) => !!timer && observableQuery.hasObservers(), polls));
+    },
+    uninstall: () => {
+      restore();
+      restore = () => {};
+      R.forEach(entry => schedule(entry, 0), polls);
+    }
+  };
+};
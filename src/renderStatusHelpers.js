@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import T from 'folktale/concurrency/task';
+
+const {task} = T;
+
+/**
+ * @fileoverview Records which status classes (data, loading, error, noAuthentication) a mounted component
+ * renders over time, by observing the DOM it is mounted into
+ */
+
+/**
+ * Resolves after the given number of milliseconds
+ * @param {Number} milliseconds
+ * @returns {Task} Resolves to milliseconds
+ */
+export const delayTask = milliseconds => {
+  return task(resolver => {
+    const timer = setTimeout(() => resolver.resolve(milliseconds), milliseconds);
+    resolver.cleanup(() => clearTimeout(timer));
+  });
+};
+
+/**
+ * Creates a detached-from-React DOM node in the document to mount a test component into, so its DOM can be observed
+ * @returns {Object} The DOM node
+ */
+export const createMountNode = () => {
+  const node = document.createElement('div');
+  document.body.appendChild(node);
+  return node;
+};
+
+/**
+ * Returns the keys of the statusClasses whose data-testid is currently rendered under node.
+ * Status ids that are component names (capitalized) have no DOM representation and are never found
+ * @param {Object} node The DOM node
+ * @param {Object} statusClasses Keyed by status name and valued by data-testid, e.g. {data: 'sampleLogout', loading: ...}
+ * @returns {[String]} The rendered status names
+ */
+export const renderedStatuses = (node, statusClasses) => {
+  return R.keys(R.filter(
+    id => !R.isNil(id) && !R.test(/^[A-Z]\S+/, id) && !!node.querySelector(`[data-testid='${id}']`),
+    statusClasses
+  ));
+};
+
+/**
+ * Starts recording the rendered statuses under node every time its DOM changes
+ * @param {Object} node The DOM node the component is mounted into
+ * @param {Object} statusClasses See renderedStatuses
+ * @returns {Object} The recorder:
+ *  history: Nullary. Returns [{time, statuses}] for every change of the rendered statuses since recording started,
+ *  where time is milliseconds since recording started
+ *  statusSequence: Nullary. Returns the rendered statuses in the order they occurred, without empty entries and
+ *  consecutive duplicates, e.g. ['loading', 'data']
+ *  sample: Nullary. Records the current statuses now and returns them
+ *  onChange: Unary. Registers a listener called with the statuses on every change. Returns a function to unregister
+ *  disconnect: Nullary. Stops recording
+ */
+export const createStatusRecorder = (node, statusClasses) => {
+  const start = Date.now();
+  const history = [];
+  let listeners = [];
+
+  const sample = () => {
+    const statuses = renderedStatuses(node, statusClasses);
+    if (!R.length(history) || !R.equals(R.last(history).statuses, statuses)) {
+      history.push({time: Date.now() - start, statuses});
+      R.forEach(listener => listener(statuses), listeners);
+    }
+    return statuses;
+  };
+
+  const MutationObserver = node.ownerDocument.defaultView.MutationObserver;
+  const observer = new MutationObserver(() => sample());
+  observer.observe(node, {childList: true, subtree: true, attributes: true});
+  sample();
+
+  return {
+    history: () => R.clone(history),
+    statusSequence: () => {
+      return R.compose(
+        R.dropRepeats,
+        R.chain(R.prop('statuses'))
+      )(history);
+    },
+    sample,
+    onChange: listener => {
+      listeners = R.append(listener, listeners);
+      return () => {
+        listeners = R.without([listener], listeners);
+      };
+    },
+    disconnect: () => observer.disconnect()
+  };
+};
+
+/**
+ * Waits until the recorded status sequence satisfies predicate
+ * @param {Object} statusRecorder See createStatusRecorder
+ * @param {Function} predicate Unary function expecting the statusSequence
+ * @param {Number} [waitLength] Default 10000. Milliseconds to wait before rejecting
+ * @returns {Task} Resolves to the statusSequence or rejects with an Error listing the observed statuses
+ */
+export const waitForStatusSequenceTask = (statusRecorder, predicate, waitLength = 10000) => {
+  return task(resolver => {
+    let settled = false;
+    let timer = null;
+    let unregister = null;
+    const cleanup = () => {
+      settled = true;
+      clearTimeout(timer);
+      if (unregister) {
+        unregister();
+      }
+    };
+    const check = () => {
+      const statusSequence = statusRecorder.statusSequence();
+      if (!settled && predicate(statusSequence)) {
+        cleanup();
+        resolver.resolve(statusSequence);
+      }
+    };
+    resolver.cleanup(cleanup);
+    unregister = statusRecorder.onChange(check);
+    timer = setTimeout(() => {
+      cleanup();
+      resolver.reject(new Error(
+        `Timed out after ${waitLength} ms. Observed statuses: ${R.join(', ', statusRecorder.statusSequence())}`
+      ));
+    }, waitLength);
+    statusRecorder.sample();
+    check();
+  });
+};
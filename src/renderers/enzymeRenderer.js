@@ -0,0 +1,33 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import enzyme from 'enzyme';
+
+const {mount} = enzyme;
+
+/**
+ * @fileoverview Mounts with enzyme. Enzyme's ReactWrapper has every method of the wrapper interface in renderers.js
+ * and also finds components by name, so this renderer needs no adaptation
+ */
+
+/**
+ * The enzyme renderer. Requires an enzyme adapter for the React version to be configured
+ * @type {{name: string, mount: (function(Object, Object=): Object)}}
+ */
+export const enzymeRenderer = {
+  name: 'enzyme',
+  /**
+   * Mounts the element
+   * @param {Object} element The React element
+   * @param {Object} [options] Enzyme mount options, such as {attachTo: domNode}
+   * @returns {Object} The enzyme ReactWrapper
+   */
+  mount: (element, options = {}) => mount(element, options)
+};
@@ -0,0 +1,46 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import {enzymeRenderer} from './enzymeRenderer.js';
+import {testingLibraryRenderer} from './testingLibraryRenderer.js';
+
+/**
+ * @fileoverview The renderers that mountWithApolloClient and apolloContainerTests can mount with. A renderer is
+ * {name, mount}, where mount expects a React element and options such as {attachTo} and returns the root wrapper.
+ * The harness only uses this subset of enzyme's ReactWrapper, which a wrapper of DOM nodes can implement:
+ *  find([data-testid='id']), first(), at(index), exists(), length, props(), getDOMNode(), debug(), update(), root(),
+ *  detach() and unmount().
+ * props() of a DOM node may be its attributes. The harness reads the props of the tested component as it renders, so
+ * no renderer needs to find them. A wrapper can also have:
+ *  waitFor(callback, {timeout, interval}), which the harness waits for renders with instead of observing the DOM.
+ *  domOnly: true if find only supports data-testids. Component names then find the root. See findById.
+ */
+
+// The built in renderers by name
+export const RENDERERS = {
+  enzyme: enzymeRenderer,
+  testingLibrary: testingLibraryRenderer
+};
+
+/**
+ * Resolves a renderer name or renderer
+ * @param {String|Object} [renderer] Default 'enzyme'. A key of RENDERERS or a renderer object
+ * @returns {Object} The renderer
+ */
+export const resolveRenderer = (renderer = 'enzyme') => {
+  if (R.is(Object, renderer)) {
+    return renderer;
+  }
+  if (!R.has(renderer, RENDERERS)) {
+    throw new Error(`Unknown renderer ${renderer}. Expected one of ${R.join(', ', R.keys(RENDERERS))} or a renderer object`);
+  }
+  return R.prop(renderer, RENDERERS);
+};
@@ -0,0 +1,107 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import rtl from '@testing-library/react';
+
+const {prettyDOM, render, waitFor, within} = rtl;
+
+/**
+ * @fileoverview Mounts with @testing-library/react. The wrapper only queries the DOM, by [data-testid='id'], and
+ * never reads React's internals, so it can't find components by name. See renderers.js for the wrapper interface
+ */
+
+/**
+ * The data-testid of a [data-testid='id'] selector
+ * @param {String} selector The selector
+ * @returns {String} The data-testid
+ * @private
+ */
+const _testId = selector => {
+  const testId = R.nth(1, R.match(/^\[data-testid=['"](.+)['"]\]$/, selector));
+  if (!testId) {
+    throw new Error(
+      `The testingLibrary renderer only finds [data-testid='id'] selectors. Got ${selector}. Finding components by name needs the enzyme renderer`
+    );
+  }
+  return testId;
+};
+
+// The props of a DOM node are its attributes
+const _domProps = node => {
+  return R.fromPairs(R.map(({name, value}) => [name, value], Array.from(node.attributes || [])));
+};
+
+/**
+ * Creates a wrapper of the given DOM nodes
+ * @param {Object} rendered The result of testing-library's render
+ * @param {[Object]} nodes The DOM nodes. The root wrapper's node is the container that testing-library rendered
+ * into, so the root always reads the current DOM like an enzyme wrapper that is always updated. Found wrappers are
+ * snapshots, like in enzyme
+ * @returns {Object} The wrapper
+ * @private
+ */
+const _testingLibraryWrapper = (rendered, nodes) => {
+  const snapshot = nodes => _testingLibraryWrapper(rendered, nodes);
+  const wrapper = {
+    // Tells the harness that components can't be found by name. See findById
+    domOnly: true,
+    length: R.length(nodes),
+    find: selector => {
+      const testId = _testId(selector);
+      return snapshot(R.uniq(R.chain(node => within(node).queryAllByTestId(testId), nodes)));
+    },
+    first: () => snapshot(R.take(1, nodes)),
+    at: index => snapshot(R.reject(R.isNil, [R.nth(index, nodes)])),
+    exists: () => R.length(nodes) > 0,
+    props: () => {
+      const node = R.head(nodes);
+      if (!node) {
+        throw new Error('props can only be called on a wrapper of at least 1 node. 0 found');
+      }
+      return _domProps(node);
+    },
+    getDOMNode: () => R.head(nodes) || null,
+    debug: () => R.join('\n', R.map(node => prettyDOM(node, Infinity), nodes)),
+    // The root always reads the current DOM, so there is nothing to update
+    update: () => wrapper,
+    root: () => snapshot([rendered.container]),
+    detach: () => rendered.unmount(),
+    unmount: () => rendered.unmount(),
+    /**
+     * testing-library's waitFor in the container of this wrapper
+     * @param {Function} callback Called on DOM changes and each interval until it doesn't throw
+     * @param {Object} [options] waitFor options such as timeout and interval
+     * @returns {Promise} Resolves to the callback result
+     */
+    waitFor: (callback, options = {}) => waitFor(callback, R.merge({container: rendered.container}, options))
+  };
+  return wrapper;
+};
+
+/**
+ * The @testing-library/react renderer
+ * @type {{name: string, mount: (function(Object, Object=): Object)}}
+ */
+export const testingLibraryRenderer = {
+  name: 'testingLibrary',
+  /**
+   * Renders the element
+   * @param {Object} element The React element
+   * @param {Object} [options]
+   * @param {Object} [options.attachTo] The DOM node to render into. Defaults to a node testing-library adds to the
+   * document body
+   * @returns {Object} The root wrapper. See renderers.js
+   */
+  mount: (element, {attachTo} = {}) => {
+    const rendered = render(element, attachTo ? {container: attachTo} : {});
+    return _testingLibraryWrapper(rendered, [rendered.container]);
+  }
+};
@@ -0,0 +1,184 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the "Software"), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import {operationMatches} from './links/linkHelpers.js';
+
+/**
+ * @fileoverview The dependency timeline of the requests made while a container renders and its critical path.
+ * A composed container only starts a dependent request once the props it needs have arrived. Which props those are is
+ * recorded as the containers are called, see trackContainerDependencies, so each request waited on the last request
+ * of the containers it depends on
+ */
+
+/**
+ * Wraps each container so that calling it records which other containers' results it reads the data of. Those are
+ * the props that its skip and variables depend on. Only reads made while the container function runs are recorded
+ * @param {Object} apolloContainers The containers keyed by container key, each a unary function expecting props
+ * @returns {Object} {containers, dependencies}, where containers are the wrapped containers, to be adopted instead of
+ * apolloContainers, and dependencies is a nullary function returning the keys of the containers that each container
+ * read so far, keyed by container key
+ */
+export const trackContainerDependencies = apolloContainers => {
+  const containerKeys = R.keys(apolloContainers);
+  let dependencies = {};
+  // The key of the container that is being called
+  let caller = null;
+  const record = containerKey => {
+    if (caller && !R.equals(caller, containerKey)) {
+      dependencies = R.over(
+        R.lensProp(caller),
+        R.compose(R.uniq, R.append(containerKey), R.defaultTo([])),
+        dependencies
+      );
+    }
+  };
+  // Records reads of the data of a container's result
+  const trackResult = (containerKey, result) => {
+    return R.is(Object, result) ?
+      new Proxy(result, {
+        get: (target, property, receiver) => {
+          if (R.equals('data', property)) {
+            record(containerKey);
+          }
+          return Reflect.get(target, property, receiver);
+        }
+      }) :
+      result;
+  };
+  const containers = R.mapObjIndexed(
+    (container, containerKey) => props => {
+      const trackedProps = R.mapObjIndexed(
+        (value, key) => R.includes(key, containerKeys) ? trackResult(key, value) : value,
+        props
+      );
+      const previousCaller = caller;
+      caller = containerKey;
+      try {
+        return container(trackedProps);
+      } finally {
+        caller = previousCaller;
+      }
+    },
+    apolloContainers
+  );
+  return {
+    containers,
+    dependencies: () => dependencies
+  };
+};
+
+/**
+ * Builds the timeline of the requests in an operation log
+ * @param {[Object]} entries The entries of an operation log. See createOperationLog
+ * @param {Object} [containerOperationNames] Operation name matchers keyed by container key. Each request is labeled
+ * with the key of the first container that matches it, which is the prop its result is passed to
+ * @param {Object} [containerDependencies] The keys of the containers that each container depends on, keyed by
+ * container key. See trackContainerDependencies
+ * @returns {[Object]} The requests in the order they started as
+ * {index, operationName, operationType, containerKey, source, start, finish, waitedOn, depth}.
+ * start and finish are ms since the first request started. Requests that don't reach the network finish when they
+ * start and requests still in flight have a null finish. waitedOn is the index of the request of the containers that
+ * this request's container depends on that finished last before this one started, or null. depth is the length of
+ * the waitedOn chain that ends with this request
+ */
+export const requestTimeline = (entries, containerOperationNames = {}, containerDependencies = {}) => {
+  const sorted = R.sortBy(R.prop('startedAt'), entries);
+  const origin = R.propOr(0, 'startedAt', R.head(sorted));
+  const containerKey = entry => {
+    const match = R.find(
+      ([, operationName]) => operationMatches({operationName}, R.pick(['operationName'], entry)),
+      R.toPairs(containerOperationNames)
+    );
+    return match ? R.head(match) : null;
+  };
+  return R.addIndex(R.reduce)(
+    (timeline, entry, index) => {
+      const start = entry.startedAt - origin;
+      const finish = R.equals('network', entry.source) ?
+        (R.isNil(entry.finishedAt) ? null : entry.finishedAt - origin) :
+        start;
+      const key = containerKey(entry);
+      const dependencies = R.propOr([], key, containerDependencies);
+      const waitedOn = R.last(R.sortBy(
+        R.prop('finish'),
+        R.filter(
+          request => R.includes(request.containerKey, dependencies) && !R.isNil(request.finish) && request.finish <= start,
+          timeline
+        )
+      ));
+      return R.append({
+        index,
+        operationName: entry.operationName,
+        operationType: entry.operationType,
+        containerKey: key,
+        source: entry.source,
+        start,
+        finish,
+        waitedOn: waitedOn ? waitedOn.index : null,
+        depth: waitedOn ? waitedOn.depth + 1 : 1
+      }, timeline);
+    },
+    [],
+    sorted
+  );
+};
+
+/**
+ * Returns the critical path of a timeline, the longest chain of requests that each waited on the previous one.
+ * Of chains of the same depth, the one that finished last is chosen
+ * @param {[Object]} timeline The timeline from requestTimeline
+ * @returns {[Object]} The requests of the chain, first to last
+ */
+export const criticalPath = timeline => {
+  const last = R.last(R.sortWith(
+    [R.ascend(R.prop('depth')), R.ascend(request => R.defaultTo(request.start, request.finish))],
+    timeline
+  ));
+  const chain = request => {
+    return R.isNil(request.waitedOn) ?
+      [request] :
+      R.append(request, chain(R.nth(request.waitedOn, timeline)));
+  };
+  return last ? chain(last) : [];
+};
+
+/**
+ * Reports the critical path of a timeline as text and JSON
+ * @param {[Object]} timeline The timeline from requestTimeline
+ * @param {Object} [options]
+ * @param {String} [options.name] Names the report, such as the component id
+ * @returns {Object} {text, json}, where json is {name, depth, duration, criticalPath, requests}. depth is the
+ * waterfall depth, the number of requests on the critical path, and duration is the ms until its last request finished
+ */
+export const requestTimelineReport = (timeline, {name = 'requests'} = {}) => {
+  const path = criticalPath(timeline);
+  const lastRequest = R.last(path);
+  const json = {
+    name,
+    depth: R.length(path),
+    duration: lastRequest ? R.defaultTo(lastRequest.start, lastRequest.finish) : 0,
+    criticalPath: path,
+    requests: timeline
+  };
+  const label = request => request.containerKey ?
+    `${request.containerKey} (${request.operationName})` :
+    request.operationName;
+  const line = (request, i) => {
+    const waited = R.isNil(request.waitedOn) ? '' : `, waited on ${label(R.nth(request.waitedOn, timeline))}`;
+    const finish = R.isNil(request.finish) ? 'in flight' : `${request.finish} ms`;
+    return `  ${i + 1}. ${label(request)} ${request.source} ${request.start} ms to ${finish}${waited}`;
+  };
+  const text = R.join('\n', R.concat(
+    [`Critical path of ${name}: depth ${json.depth} of ${R.length(timeline)} requests, ${json.duration} ms`],
+    R.addIndex(R.map)(line, path)
+  ));
+  return {text, json};
+};
@@ -0,0 +1,93 @@
+/**
+ * Copyright (c) 2018 Andy Likuski
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated documentation files (the 'Software'), to deal in the Software without restriction, including without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED 'AS IS', WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as R from 'ramda';
+import {
+  criticalPath,
+  requestTimeline,
+  requestTimelineReport,
+  trackContainerDependencies
+} from './requestTimelineHelpers.js';
+
+// queryUserRegions waits on the cached current user and queryActiveRegions waits on queryUserRegions.
+// queryRegions runs alongside
+const entries = [
+  {operationName: 'currentUser', source: 'cache', startedAt: 1000, finishedAt: null},
+  {operationName: 'regions', source: 'network', startedAt: 1001, finishedAt: 1030},
+  {operationName: 'userStates', source: 'network', startedAt: 1002, finishedAt: 1040},
+  {operationName: 'activeRegions', source: 'network', startedAt: 1041, finishedAt: 1060}
+];
+const containerOperationNames = {
+  queryAuthenticatedUserLocalContainer: 'currentUser',
+  queryUserRegions: 'userStates',
+  queryActiveRegions: 'activeRegions'
+};
+const containerDependencies = {
+  queryUserRegions: ['queryAuthenticatedUserLocalContainer'],
+  queryActiveRegions: ['queryUserRegions']
+};
+
+describe('requestTimelineHelpers', () => {
+
+  test('trackContainerDependencies', () => {
+    const {containers, dependencies} = trackContainerDependencies({
+      queryAuthenticatedUserLocalContainer: props => 'currentUser',
+      queryUserRegions: props => {
+        return R.pathOr(false, ['queryAuthenticatedUserLocalContainer', 'data', 'currentUser'], props) ? 'userStates' : null;
+      },
+      // Copying a result doesn't read its data
+      queryActiveRegions: props => R.merge(props, {id: R.path(['queryUserRegions', 'data', 'userStates', 0, 'id'], props)})
+    });
+    const currentUser = {data: {currentUser: {id: 1}}};
+    expect(containers.queryAuthenticatedUserLocalContainer({})).toEqual('currentUser');
+    expect(containers.queryUserRegions({queryAuthenticatedUserLocalContainer: currentUser})).toEqual('userStates');
+    expect(containers.queryActiveRegions({
+      queryAuthenticatedUserLocalContainer: currentUser,
+      queryUserRegions: {data: {userStates: [{id: 2}]}}
+    }).id).toEqual(2);
+    expect(dependencies()).toEqual(containerDependencies);
+  });
+
+  test('requestTimeline', () => {
+    const timeline = requestTimeline(entries, containerOperationNames, containerDependencies);
+    expect(R.map(R.pick(['containerKey', 'start', 'finish', 'waitedOn', 'depth']), timeline)).toEqual([
+      {containerKey: 'queryAuthenticatedUserLocalContainer', start: 0, finish: 0, waitedOn: null, depth: 1},
+      {containerKey: null, start: 1, finish: 30, waitedOn: null, depth: 1},
+      {containerKey: 'queryUserRegions', start: 2, finish: 40, waitedOn: 0, depth: 2},
+      {containerKey: 'queryActiveRegions', start: 41, finish: 60, waitedOn: 2, depth: 3}
+    ]);
+    // Without dependencies no request waited on another
+    expect(R.map(R.prop('waitedOn'), requestTimeline(entries, containerOperationNames))).toEqual([null, null, null, null]);
+  });
+
+  test('criticalPath', () => {
+    expect(R.map(
+      R.prop('operationName'),
+      criticalPath(requestTimeline(entries, containerOperationNames, containerDependencies))
+    )).toEqual(
+      ['currentUser', 'userStates', 'activeRegions']
+    );
+    expect(criticalPath([])).toEqual([]);
+  });
+
+  test('requestTimelineReport', () => {
+    const {text, json} = requestTimelineReport(
+      requestTimeline(entries, containerOperationNames, containerDependencies),
+      {name: 'Sample'}
+    );
+    expect(R.pick(['name', 'depth', 'duration'], json)).toEqual({name: 'Sample', depth: 3, duration: 60});
+    expect(text).toEqual(R.join('\n', [
+      'Critical path of Sample: depth 3 of 4 requests, 60 ms',
+      '  1. queryAuthenticatedUserLocalContainer (currentUser) cache 0 ms to 0 ms',
+      '  2. queryUserRegions (userStates) network 2 ms to 40 ms, waited on queryAuthenticatedUserLocalContainer (currentUser)',
+      '  3. queryActiveRegions (activeRegions) network 41 ms to 60 ms, waited on queryUserRegions (userStates)'
+    ]));
+  });
+});